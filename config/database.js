@@ -2,8 +2,9 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const { runMigrations, getSchemaVersion, getMigrationStatus } = require('./migrations');
 
-const dbPath = path.join(__dirname, '../database.sqlite');
+const dbPath = process.env.DB_PATH || path.join(__dirname, '../database.sqlite');
 console.log('Database path:', dbPath);
 
 const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
@@ -31,107 +32,26 @@ const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CR
   }
 });
 
-const initializeDatabase = () => {
-  db.serialize(() => {
-    db.run(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        role TEXT DEFAULT 'worker' CHECK (role IN ('admin', 'worker')),
-        isActive BOOLEAN DEFAULT 1,
-        lastLogin DATETIME,
-        googleAccessToken TEXT,
-        googleRefreshToken TEXT,
-        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating users table:', err);
-      } else {
-        console.log('Users table ready');
-        
-        db.all("PRAGMA table_info(users)", (err, columns) => {
-          if (!err) {
-            const columnNames = columns.map(col => col.name);
-            if (!columnNames.includes('googleAccessToken')) {
-              db.run('ALTER TABLE users ADD COLUMN googleAccessToken TEXT', (err) => {
-                if (!err) console.log('Added googleAccessToken column to users');
-              });
-            }
-            if (!columnNames.includes('googleRefreshToken')) {
-              db.run('ALTER TABLE users ADD COLUMN googleRefreshToken TEXT', (err) => {
-                if (!err) console.log('Added googleRefreshToken column to users');
-              });
-            }
-          }
-        });
-      }
-    });
+// Bring the schema up to date, then make sure the default admin exists
+const initializeDatabase = async () => {
+  const helpers = { dbGet, dbAll, dbRun };
 
-    // First drop the existing table
-    db.run('DROP TABLE IF EXISTS work_items', (err) => {
-      if (err) {
-        console.error('Error dropping work_items table:', err);
-      } else {
-        console.log('Dropped existing work_items table');
-      }
-    });
-
-    // Then recreate with correct schema
-    db.run(`
-      CREATE TABLE IF NOT EXISTS work_items (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        workerId INTEGER NOT NULL,
-        task TEXT NOT NULL,
-        description TEXT DEFAULT '',
-        instructions TEXT NOT NULL,
-        deadline DATETIME NOT NULL,
-        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'approved', 'rejected')),
-        assignedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        submittedAt DATETIME,
-        reviewedAt DATETIME,
-        explanation TEXT,
-        workLink TEXT,
-        reviewNotes TEXT,
-        assignedBy INTEGER NOT NULL,
-        reviewedBy INTEGER,
-        FOREIGN KEY (workerId) REFERENCES users (id) ON DELETE CASCADE,
-        FOREIGN KEY (assignedBy) REFERENCES users (id) ON DELETE CASCADE,
-        FOREIGN KEY (reviewedBy) REFERENCES users (id) ON DELETE SET NULL
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating work_items table:', err);
-      } else {
-        console.log('Work items table recreated with correct schema');
-      }
-    });
+  await runMigrations(helpers);
+  console.log('Database schema version:', await getSchemaVersion(helpers));
 
-    db.get('SELECT * FROM users WHERE email = ?', ['admin@taskpilot.com'], async (err, row) => {
-      if (err) {
-        console.error('Error checking for admin user:', err);
-      } else if (!row) {
-        try {
-          const hashedPassword = await bcrypt.hash('admin123', 10);
-          db.run(`
-            INSERT INTO users (name, email, password, role)
-            VALUES (?, ?, ?, ?)
-          `, ['Admin', 'admin@taskpilot.com', hashedPassword, 'admin'], (err) => {
-            if (err) {
-              console.error('Error creating admin user:', err);
-            } else {
-              console.log('Default admin user created (admin@taskpilot.com / admin123)');
-            }
-          });
-        } catch (error) {
-          console.error('Error hashing admin password:', error);
-        }
-      }
-    });
-  });
+  const admin = await dbGet('SELECT id FROM users WHERE email = ?', ['admin@taskpilot.com']);
+  if (!admin) {
+    try {
+      const hashedPassword = await bcrypt.hash('admin123', 10);
+      await dbRun(`
+        INSERT INTO users (name, email, password, role, mustChangePassword)
+        VALUES (?, ?, ?, ?, 1)
+      `, ['Admin', 'admin@taskpilot.com', hashedPassword, 'admin']);
+      console.log('Default admin user created (admin@taskpilot.com / admin123)');
+    } catch (error) {
+      console.error('Error creating admin user:', error);
+    }
+  }
 };
 
 const dbGet = (sql, params = []) => {
@@ -191,6 +111,10 @@ const dbRun = (sql, params = []) => {
   });
 };
 
+const getDatabaseVersion = () => getSchemaVersion({ dbGet, dbAll, dbRun });
+
+const getDatabaseMigrationStatus = () => getMigrationStatus({ dbGet, dbAll, dbRun });
+
 const checkDatabaseHealth = () => {
   return new Promise((resolve, reject) => {
     db.get('SELECT 1 as test', [], (err, row) => {
@@ -234,5 +158,7 @@ module.exports = {
   dbAll,
   dbRun,
   initializeDatabase,
+  getDatabaseVersion,
+  getDatabaseMigrationStatus,
   checkDatabaseHealth
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+// config/migrations.js - Versioned schema migrations
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, '../migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.js$/;
+
+// Read every numbered migration file from /migrations, ordered by version
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(migrationsDir)
+    .map(file => {
+      const match = file.match(migrationFilePattern);
+      if (!match) return null;
+
+      const migration = require(path.join(migrationsDir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        disableForeignKeys: !!migration.disableForeignKeys
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async ({ dbRun }) => {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getSchemaVersion = async (helpers) => {
+  await ensureMigrationsTable(helpers);
+  const row = await helpers.dbGet('SELECT MAX(version) as version FROM schema_migrations');
+  return row && row.version ? row.version : 0;
+};
+
+const getMigrationStatus = async (helpers) => {
+  await ensureMigrationsTable(helpers);
+  const applied = await helpers.dbAll('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version');
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  const migrations = loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).appliedAt : null
+  }));
+
+  return {
+    currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations.length ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(migration => !migration.applied).map(migration => migration.version),
+    migrations
+  };
+};
+
+// Apply every pending migration in order, each inside its own transaction.
+// Migrations that rebuild a table referenced by foreign keys set
+// disableForeignKeys so the DROP doesn't cascade; the keys are checked
+// before the transaction commits instead.
+const runMigrations = async (helpers) => {
+  const { dbRun, dbAll } = helpers;
+
+  await ensureMigrationsTable(helpers);
+
+  const appliedRows = await dbAll('SELECT version FROM schema_migrations');
+  const applied = new Set(appliedRows.map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    console.log('Database schema is up to date');
+    return [];
+  }
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.file}...`);
+    if (migration.disableForeignKeys) {
+      // Has no effect inside a transaction, so it must happen first
+      await dbRun('PRAGMA foreign_keys = OFF');
+    }
+
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      await migration.up(helpers);
+
+      if (migration.disableForeignKeys) {
+        const violations = await dbAll('PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`foreign key check failed for table ${violations[0].table}`);
+        }
+      }
+
+      await dbRun('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await dbRun('COMMIT');
+      console.log(`Migration ${migration.file} applied`);
+    } catch (error) {
+      console.error(`Migration ${migration.file} failed, rolling back:`, error.message);
+      await dbRun('ROLLBACK').catch(rollbackError => {
+        console.error('Error rolling back migration:', rollbackError);
+      });
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    } finally {
+      if (migration.disableForeignKeys) {
+        await dbRun('PRAGMA foreign_keys = ON');
+      }
+    }
+  }
+
+  return pending.map(migration => migration.version);
+};
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+  getSchemaVersion,
+  getMigrationStatus
+};
@@ -0,0 +1,110 @@
+// jobs/calendarSync.js - Keeps Google Calendar events in step with their work items, retrying failures
+//
+// A sync looks at the work item as it is now and creates, updates or removes the
+// event in one user's calendar to match, so a retry never replays stale changes.
+const WorkItem = require('../models/WorkItem');
+const User = require('../models/User');
+const CalendarSyncRetry = require('../models/CalendarSyncRetry');
+const { createCalendarEvent, updateCalendarEvent, deleteCalendarEvent } = require('../utils/calendar');
+const { createJob } = require('./scheduler');
+
+const intervalMinutes = parseInt(process.env.CALENDAR_SYNC_INTERVAL_MINUTES, 10) || 5;
+
+// Bad data or a bug rather than a passing outage: a retry would throw the same way
+const isPermanent = (error) => error instanceof RangeError || error instanceof TypeError;
+
+// staleEventId: an event in this user's calendar the work item no longer points
+// at - the task was deleted or handed to someone else
+const reconcile = async (workItemId, userId, staleEventId) => {
+  const user = await User.findById(userId);
+  if (!user) return { success: false, reason: 'User not found' };
+
+  const found = await WorkItem.findById(workItemId);
+  const workItem = found && found.workerId === userId ? found : null;
+
+  if (staleEventId && (!workItem || staleEventId !== workItem.googleEventId)) {
+    const result = await deleteCalendarEvent(user, staleEventId);
+    if (!result.success || !workItem) return result;
+  }
+
+  if (!workItem) return { success: true };
+
+  if (!workItem.googleEventId) {
+    // Nothing to mark done if the event was never created
+    if (workItem.isApproved()) return { success: true };
+
+    const result = await createCalendarEvent(user, workItem);
+    if (result.success) {
+      await workItem.setGoogleEventId(result.eventId);
+    }
+    return result;
+  }
+
+  const result = await updateCalendarEvent(user, workItem.googleEventId, workItem);
+  if (result.gone) {
+    // Deleted on the Google side - respect that rather than putting it back
+    await workItem.setGoogleEventId(null);
+  }
+  return result;
+};
+
+// Sync one work item into one user's calendar. Failures that may be temporary are
+// queued for retry; the result says when (retryAt). Permanent ones leave the
+// queue on the first attempt. Never throws.
+const syncWorkItem = async (workItemId, userId, staleEventId = null) => {
+  let result;
+  let pending = null;
+
+  try {
+    pending = await CalendarSyncRetry.find(workItemId, userId);
+    result = await reconcile(workItemId, userId, staleEventId || (pending && pending.eventId));
+  } catch (error) {
+    console.error(`Error syncing calendar for work item ${workItemId}:`, error.message);
+    result = { success: false, reason: error.message, retryable: !isPermanent(error) };
+  }
+
+  try {
+    if (result.retryable) {
+      const retry = await CalendarSyncRetry.schedule({
+        workItemId,
+        userId,
+        eventId: staleEventId,
+        error: result.reason
+      });
+      result.retryAt = retry ? retry.nextAttemptAt : null;
+    } else if (pending) {
+      await CalendarSyncRetry.clear(workItemId, userId);
+    }
+  } catch (error) {
+    console.error(`Error queueing calendar retry for work item ${workItemId}:`, error.message);
+  }
+
+  return result;
+};
+
+// Move the event from the previous worker's calendar to the new worker's
+const syncReassignment = async (workItem, previousWorkerId, previousEventId) => {
+  if (previousWorkerId) {
+    await syncWorkItem(workItem.id, previousWorkerId, previousEventId);
+  }
+  return workItem.workerId ? await syncWorkItem(workItem.id, workItem.workerId) : null;
+};
+
+const retryFailedSyncs = async (now = new Date()) => {
+  const due = await CalendarSyncRetry.findDue(now);
+  let synced = 0;
+
+  for (const retry of due) {
+    const result = await syncWorkItem(retry.workItemId, retry.userId, retry.eventId);
+    if (result.success) synced += 1;
+  }
+
+  if (due.length > 0) {
+    console.log(`Calendar sync retries: ${synced}/${due.length} succeeded`);
+  }
+  return synced;
+};
+
+const job = createJob('Calendar sync retry', intervalMinutes, retryFailedSyncs);
+
+module.exports = { ...job, syncWorkItem, syncReassignment };
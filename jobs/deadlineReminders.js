@@ -0,0 +1,159 @@
+// jobs/deadlineReminders.js - Deadline reminders, overdue flagging and escalation to the assigner
+const WorkItem = require('../models/WorkItem');
+const WorkItemNotification = require('../models/WorkItemNotification');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { sendDeadlineReminder, sendOverdueNotice, sendOverdueEscalation } = require('../utils/email');
+const { createJob } = require('./scheduler');
+
+const intervalMinutes = parseInt(process.env.DEADLINE_JOB_INTERVAL_MINUTES, 10) || 5;
+
+// Work that is still waiting on the worker; submitted work is waiting on a reviewer
+const OPEN_STATUSES = ['pending', 'rejected'];
+
+const defaultSettings = {
+  reminderOffsetsHours: (process.env.REMINDER_OFFSETS_HOURS || '24,1')
+    .split(',')
+    .map(hours => Number(hours.trim()))
+    .filter(hours => hours > 0),
+  escalationGraceHours: Number(process.env.OVERDUE_ESCALATION_GRACE_HOURS) || 24
+};
+
+const validateSettings = ({ reminderOffsetsHours, escalationGraceHours }) => {
+  if (!Array.isArray(reminderOffsetsHours) || reminderOffsetsHours.length > 10 ||
+      reminderOffsetsHours.some(hours => typeof hours !== 'number' || !(hours > 0) || hours > 24 * 30)) {
+    throw new Error('reminderOffsetsHours must be a list of up to 10 positive hour values (max 720)');
+  }
+
+  if (typeof escalationGraceHours !== 'number' || escalationGraceHours < 0 || escalationGraceHours > 24 * 30) {
+    throw new Error('escalationGraceHours must be a number of hours between 0 and 720');
+  }
+
+  return {
+    reminderOffsetsHours: [...new Set(reminderOffsetsHours)].sort((a, b) => b - a),
+    escalationGraceHours
+  };
+};
+
+const getSettings = async () => ({
+  ...defaultSettings,
+  ...(await Setting.get(Setting.DEADLINE_REMINDERS, {}))
+});
+
+// SQLite CURRENT_TIMESTAMP values are UTC but carry no zone marker
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+};
+
+const deliver = async (notification, send) => {
+  try {
+    await notification.recordDelivery(await send());
+  } catch (error) {
+    console.error(`Error sending ${notification.kind} for work item ${notification.workItemId}:`, error.message);
+    await notification.recordDelivery({ success: false, reason: error.message });
+  }
+};
+
+// Send the closest reminder whose window has opened. Windows that were already
+// open when the task was assigned are skipped - the assignment email covers those.
+const sendReminder = async (workItem, offsetsMinutes, now) => {
+  if (!workItem.workerId) return false;
+
+  const deadline = new Date(workItem.deadline);
+  const receivedAt = parseTimestamp(workItem.claimedAt || workItem.assignedAt) || new Date(0);
+  const due = offsetsMinutes.filter(offset => {
+    const windowOpens = new Date(deadline.getTime() - offset * 60 * 1000);
+    return windowOpens <= now && windowOpens >= receivedAt;
+  });
+  if (due.length === 0) return false;
+
+  const offsetMinutes = Math.min(...due);
+  const alreadySent = await WorkItemNotification.smallestReminderSent(workItem.id, workItem.deadline);
+  if (alreadySent !== null && alreadySent <= offsetMinutes) return false;
+
+  const notification = await WorkItemNotification.claim({
+    workItemId: workItem.id,
+    kind: 'reminder',
+    offsetMinutes,
+    deadline: workItem.deadline,
+    recipientId: workItem.workerId
+  });
+  if (!notification) return false;
+
+  const worker = await User.findById(workItem.workerId);
+  await deliver(notification, () => sendDeadlineReminder(worker, workItem, offsetMinutes));
+  return true;
+};
+
+const handleOverdue = async (workItem, settings, now) => {
+  let sent = 0;
+
+  if (!workItem.overdueAt) {
+    await workItem.markOverdue(now);
+    console.log(`Work item ${workItem.id} is overdue`);
+
+    if (workItem.workerId) {
+      const notification = await WorkItemNotification.claim({
+        workItemId: workItem.id,
+        kind: 'overdue',
+        deadline: workItem.deadline,
+        recipientId: workItem.workerId
+      });
+      if (notification) {
+        const worker = await User.findById(workItem.workerId);
+        await deliver(notification, () => sendOverdueNotice(worker, workItem));
+        sent += 1;
+      }
+    }
+  }
+
+  const escalateAt = new Date(workItem.deadline).getTime() + settings.escalationGraceHours * 60 * 60 * 1000;
+  if (now.getTime() >= escalateAt) {
+    const notification = await WorkItemNotification.claim({
+      workItemId: workItem.id,
+      kind: 'escalation',
+      deadline: workItem.deadline,
+      recipientId: workItem.assignedBy
+    });
+    if (notification) {
+      const assigner = await User.findById(workItem.assignedBy);
+      if (assigner) {
+        console.log(`Escalating overdue work item ${workItem.id} to ${assigner.email}`);
+        await deliver(notification, () => sendOverdueEscalation(assigner, workItem, settings.escalationGraceHours));
+        sent += 1;
+      }
+    }
+  }
+
+  return sent;
+};
+
+const checkDeadlines = async (now = new Date()) => {
+  const settings = await getSettings();
+  const offsetsMinutes = settings.reminderOffsetsHours.map(hours => Math.round(hours * 60));
+  const horizon = new Date(now.getTime() + Math.max(0, ...offsetsMinutes) * 60 * 1000);
+
+  const workItems = await WorkItem.findAll({ statuses: OPEN_STATUSES, deadlineTo: horizon.toISOString() });
+  let sent = 0;
+
+  for (const workItem of workItems) {
+    try {
+      if (isNaN(new Date(workItem.deadline).getTime())) continue;
+
+      if (new Date(workItem.deadline) > now) {
+        if (await sendReminder(workItem, offsetsMinutes, now)) sent += 1;
+      } else {
+        sent += await handleOverdue(workItem, settings, now);
+      }
+    } catch (error) {
+      console.error(`Error checking deadline for work item ${workItem.id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+const job = createJob('Deadline reminder scheduler', intervalMinutes, checkDeadlines);
+
+module.exports = { ...job, getSettings, validateSettings };
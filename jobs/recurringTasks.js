@@ -0,0 +1,85 @@
+// jobs/recurringTasks.js - Turns recurring schedules into work items ahead of their deadlines
+const RecurringSchedule = require('../models/RecurringSchedule');
+const WorkItem = require('../models/WorkItem');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { sendAssignmentNotification, sendTeamQueueNotification } = require('../utils/email');
+const calendarSync = require('./calendarSync');
+const { createJob } = require('./scheduler');
+
+const intervalMinutes = parseInt(process.env.RECURRING_TASKS_INTERVAL_MINUTES, 10) || 15;
+
+const notifyAssignees = async (schedule, workItem) => {
+  if (workItem.workerId) {
+    const worker = await User.findById(workItem.workerId);
+    if (worker) {
+      await sendAssignmentNotification(worker, workItem);
+      await calendarSync.syncWorkItem(workItem.id, worker.id);
+    }
+    return;
+  }
+
+  const team = await Team.findById(workItem.teamId);
+  if (!team) return;
+  const members = (await team.getMembers()).filter(member => member.isActive);
+  for (const member of members) {
+    await sendTeamQueueNotification(member, team, workItem);
+  }
+};
+
+// Create work items for every occurrence of the schedule that is inside its lead window
+const materializeSchedule = async (schedule, now = new Date()) => {
+  const horizon = new Date(now.getTime() + schedule.leadDays * 24 * 60 * 60 * 1000);
+  const created = [];
+
+  while (schedule.status === 'active' && schedule.nextOccurrenceAt && new Date(schedule.nextOccurrenceAt) <= horizon) {
+    const deadline = schedule.nextOccurrenceAt;
+    let workItem = null;
+
+    try {
+      workItem = await WorkItem.create({
+        workerId: schedule.workerId,
+        teamId: schedule.teamId,
+        scheduleId: schedule.id,
+        task: schedule.task,
+        description: schedule.description || '',
+        instructions: schedule.instructions,
+        deadline,
+        assignedBy: schedule.createdBy,
+        status: 'pending'
+      });
+    } catch (error) {
+      // Already created before a restart - just move the series along
+      if (!error.message.includes('UNIQUE constraint')) {
+        throw error;
+      }
+    }
+
+    await schedule.advancePast(deadline, { generated: !!workItem });
+
+    if (workItem) {
+      created.push(workItem);
+      console.log(`Recurring schedule ${schedule.id}: created work item ${workItem.id} due ${deadline}`);
+      await notifyAssignees(schedule, workItem);
+    }
+  }
+
+  return created;
+};
+
+const materializeDueSchedules = async (now = new Date()) => {
+  let total = 0;
+  const schedules = await RecurringSchedule.findDue(now);
+  for (const schedule of schedules) {
+    try {
+      total += (await materializeSchedule(schedule, now)).length;
+    } catch (error) {
+      console.error(`Error materializing recurring schedule ${schedule.id}:`, error.message);
+    }
+  }
+  return total;
+};
+
+const job = createJob('Recurring task scheduler', intervalMinutes, materializeDueSchedules);
+
+module.exports = { ...job, materializeSchedule };
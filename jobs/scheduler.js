@@ -0,0 +1,41 @@
+// jobs/scheduler.js - Minimal in-process interval jobs
+//
+// Each job runs once at start-up and then every `intervalMinutes`. A run that
+// is still in progress when the next tick comes around is not started twice.
+const createJob = (name, intervalMinutes, task) => {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async (...args) => {
+    if (running) return null;
+    running = true;
+
+    try {
+      return await task(...args);
+    } catch (error) {
+      console.error(`Error running ${name}:`, error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`${name} running every ${intervalMinutes} minute(s)`);
+    runOnce();
+    timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+    timer.unref();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = { createJob };
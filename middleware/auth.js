@@ -1,5 +1,21 @@
 // middleware/auth.js - Complete file with fixes
 const jwt = require('jsonwebtoken');
+const { dbGet } = require('../config/database');
+const Setting = require('../models/Setting');
+const Role = require('../models/Role');
+
+// The only routes a user who must change their password can reach
+const passwordChangeAllowedPaths = ['/api/users/password', '/api/users/profile', '/api/auth/verify', '/api/auth/logout'];
+
+// The only routes an admin who still has to enroll in 2FA can reach
+const twoFactorEnrollmentAllowedPaths = [
+  '/api/auth/2fa/status',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/verify',
+  '/api/users/profile',
+  '/api/auth/verify',
+  '/api/auth/logout'
+];
 
 const authenticateToken = (req, res, next) => {
   console.log('=== Authentication Debug ===');
@@ -33,9 +49,15 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       console.log('ERROR: Token verification failed:', err.message);
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          message: 'Token expired',
+          code: 'TOKEN_EXPIRED'
+        });
+      }
       return res.status(403).json({ 
         message: 'Invalid token',
         debug: {
@@ -49,19 +71,88 @@ const authenticateToken = (req, res, next) => {
     console.log('User ID:', user.id);
     console.log('User Role:', user.role);
     console.log('User Email:', user.email);
-    
+
+    // The token is only as good as the session and account behind it
+    let account;
+    try {
+      account = user.sid && await dbGet(`
+        SELECT u.role, u.isActive, u.mustChangePassword, u.twoFactorEnabled, s.revokedAt, s.expiresAt
+        FROM sessions s
+        JOIN users u ON s.userId = u.id
+        WHERE s.id = ? AND s.userId = ?
+      `, [user.sid, user.id]);
+    } catch (error) {
+      console.error('Session lookup failed:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    if (!account || account.revokedAt || new Date(account.expiresAt) <= new Date()) {
+      console.log('ERROR: Session revoked or missing for user:', user.id);
+      return res.status(401).json({
+        message: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    if (!account.isActive) {
+      console.log('ERROR: Account is deactivated:', user.id);
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    // Role and flags come from the database, not from a possibly stale token
+    user.role = account.role;
+    user.mustChangePassword = !!account.mustChangePassword;
+    try {
+      user.permissions = await Role.getPermissions(account.role);
+    } catch (error) {
+      console.error('Permission lookup failed:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
     req.user = user;
+
+    const requestPath = `${req.baseUrl}${req.path}`;
+
+    if (user.mustChangePassword && !passwordChangeAllowedPaths.includes(requestPath)) {
+      console.log('ERROR: Password change required before accessing', req.originalUrl);
+      return res.status(403).json({
+        message: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    // The password comes first (its routes are all that is reachable until then);
+    // enrollment is enforced from the next request on
+    if (user.role === 'admin' && !user.mustChangePassword && !account.twoFactorEnabled &&
+        !twoFactorEnrollmentAllowedPaths.includes(requestPath)) {
+      let requireAdminTwoFactor = false;
+      try {
+        requireAdminTwoFactor = await Setting.get(Setting.REQUIRE_ADMIN_TWO_FACTOR, false);
+      } catch (error) {
+        console.error('Error reading 2FA policy:', error);
+        return res.status(500).json({ message: 'Server error' });
+      }
+
+      if (requireAdminTwoFactor) {
+        console.log('ERROR: Two-factor enrollment required before accessing', req.originalUrl);
+        return res.status(403).json({
+          message: 'You must set up two-factor authentication before continuing',
+          code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+        });
+      }
+    }
+
     next();
   });
 };
 
-const requireAdmin = (req, res, next) => {
-  console.log('=== Admin Check ===');
-  console.log('Full user object:', req.user);
+const hasPermission = (user, permission) => !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+
+// Allow the request through if the user's role grants any of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  console.log('=== Permission Check ===');
+  console.log('Required (any of):', permissions);
   console.log('User role:', req.user?.role);
-  console.log('Role type:', typeof req.user?.role);
-  console.log('Role comparison result:', req.user?.role === 'admin');
-  
+
   if (!req.user) {
     console.log('ERROR: No user object found in request');
     return res.status(401).json({ 
@@ -70,23 +161,20 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.role === 'admin') {
-    console.log('SUCCESS: Admin access granted');
-    next();
-  } else {
-    console.log('ERROR: Admin access denied');
-    console.log('Expected: admin');
-    console.log('Received:', req.user.role);
-    
-    res.status(403).json({ 
-      message: 'Admin access required',
-      debug: {
-        userRole: req.user?.role || 'undefined',
-        userId: req.user?.id || 'undefined',
-        userEmail: req.user?.email || 'undefined'
-      }
-    });
+  if (permissions.some(permission => hasPermission(req.user, permission))) {
+    console.log('SUCCESS: Permission granted');
+    return next();
   }
+
+  console.log('ERROR: Permission denied');
+  res.status(403).json({ 
+    message: 'You do not have permission to perform this action',
+    required: permissions,
+    debug: {
+      userRole: req.user?.role || 'undefined',
+      userId: req.user?.id || 'undefined'
+    }
+  });
 };
 
-module.exports = { authenticateToken, requireAdmin };
\ No newline at end of file
+module.exports = { authenticateToken, requirePermission, hasPermission };
\ No newline at end of file
@@ -0,0 +1,156 @@
+// middleware/upload.js - Multipart file uploads to local disk
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads');
+const maxFileSizeMb = parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10;
+const maxFiles = parseInt(process.env.MAX_UPLOAD_FILES, 10) || 5;
+
+const ZIP = { bytes: [0x50, 0x4b, 0x03, 0x04] };
+const OLE2 = { bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] };
+
+// Allowed extensions, the MIME types browsers send for them and how the file
+// must start. The client-sent type alone proves nothing, so all three have to agree.
+// Text formats have no signature; they just must not contain NUL bytes.
+const fileTypes = {
+  '.pdf': { mimeTypes: ['application/pdf'], signatures: [{ bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }] },
+  '.zip': { mimeTypes: ['application/zip', 'application/x-zip-compressed'], signatures: [ZIP] },
+  '.doc': { mimeTypes: ['application/msword'], signatures: [OLE2] },
+  '.docx': { mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], signatures: [ZIP] },
+  '.xls': { mimeTypes: ['application/vnd.ms-excel'], signatures: [OLE2] },
+  '.xlsx': { mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'], signatures: [ZIP] },
+  '.ppt': { mimeTypes: ['application/vnd.ms-powerpoint'], signatures: [OLE2] },
+  '.pptx': { mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'], signatures: [ZIP] },
+  '.txt': { mimeTypes: ['text/plain'], text: true },
+  // Windows browsers label CSV files as Excel
+  '.csv': { mimeTypes: ['text/csv', 'text/plain', 'application/vnd.ms-excel'], text: true },
+  '.png': { mimeTypes: ['image/png'], signatures: [{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }] },
+  '.jpg': { mimeTypes: ['image/jpeg'], signatures: [{ bytes: [0xff, 0xd8, 0xff] }] },
+  '.jpeg': { mimeTypes: ['image/jpeg'], signatures: [{ bytes: [0xff, 0xd8, 0xff] }] },
+  '.gif': { mimeTypes: ['image/gif'], signatures: [{ bytes: [0x47, 0x49, 0x46, 0x38] }] },
+  '.webp': { mimeTypes: ['image/webp'], signatures: [{ bytes: [0x52, 0x49, 0x46, 0x46] }, { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }] }
+};
+
+const allowedMimeTypes = [...new Set(Object.values(fileTypes).flatMap(type => type.mimeTypes))];
+
+const HEADER_BYTES = 512;
+
+const fileTypeFor = (file) => fileTypes[path.extname(file.originalname).toLowerCase()] || null;
+
+// Every signature has to be there at its offset (webp has two)
+const startsLike = (header, type) => {
+  if (type.text) return !header.includes(0);
+  return type.signatures.every(({ offset = 0, bytes }) =>
+    bytes.every((byte, index) => header[offset + index] === byte));
+};
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// The first saved file whose content does not match its extension, if any
+const findMismatchedFile = async (files = []) => {
+  for (const file of files) {
+    if (!startsLike(await readHeader(file.path), fileTypeFor(file))) {
+      return file;
+    }
+  }
+  return null;
+};
+
+fs.mkdirSync(uploadDir, { recursive: true });
+
+// Never trust the client's file name on disk
+const generateStoredName = (originalName) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${Date.now()}-${crypto.randomBytes(12).toString('hex')}${extension}`;
+};
+
+const storage = multer.diskStorage({
+  destination: uploadDir,
+  filename: (req, file, cb) => cb(null, generateStoredName(file.originalname))
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: maxFileSizeMb * 1024 * 1024,
+    files: maxFiles
+  },
+  // Extension and declared type are checked here; the content once the file is on disk
+  fileFilter: (req, file, cb) => {
+    const type = fileTypeFor(file);
+    if (type && type.mimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      cb(error);
+    }
+  }
+});
+
+const removeUploadedFiles = (files = []) => {
+  for (const file of files) {
+    fs.unlink(file.path, (err) => {
+      if (err && err.code !== 'ENOENT') {
+        console.error('Error removing uploaded file:', file.path, err.message);
+      }
+    });
+  }
+};
+
+// Accept up to maxFiles files in the "attachments" field. JSON requests pass straight through.
+// Files from a request that ends in an error response are discarded.
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', maxFiles)(req, res, async (err) => {
+    if (!err) {
+      let mismatched;
+      try {
+        mismatched = await findMismatchedFile(req.files);
+      } catch (error) {
+        removeUploadedFiles(req.files);
+        return next(error);
+      }
+
+      if (mismatched) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({
+          message: `${mismatched.originalname} does not match its file type`,
+          error: 'INVALID_FILE_CONTENT'
+        });
+      }
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          removeUploadedFiles(req.files);
+        }
+      });
+      return next();
+    }
+
+    removeUploadedFiles(req.files);
+
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Files cannot be larger than ${maxFileSizeMb}MB`
+        : err.code === 'LIMIT_FILE_COUNT'
+          ? `No more than ${maxFiles} files can be uploaded at once`
+          : err.message;
+      return res.status(400).json({ message, error: err.code });
+    }
+
+    next(err);
+  });
+};
+
+module.exports = { uploadAttachments, removeUploadedFiles, uploadDir, allowedMimeTypes, generateStoredName };
@@ -0,0 +1,77 @@
+// migrations/001_initial_schema.js - Baseline users and work_items tables
+const createWorkItemsTable = (dbRun, tableName) => dbRun(`
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workerId INTEGER NOT NULL,
+    task TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    instructions TEXT NOT NULL,
+    deadline DATETIME NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'approved', 'rejected')),
+    assignedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    submittedAt DATETIME,
+    reviewedAt DATETIME,
+    explanation TEXT,
+    workLink TEXT,
+    reviewNotes TEXT,
+    assignedBy INTEGER NOT NULL,
+    reviewedBy INTEGER,
+    FOREIGN KEY (workerId) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (assignedBy) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewedBy) REFERENCES users (id) ON DELETE SET NULL
+  )
+`);
+
+module.exports = {
+  up: async ({ dbGet, dbAll, dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT DEFAULT 'worker' CHECK (role IN ('admin', 'worker')),
+        isActive BOOLEAN DEFAULT 1,
+        lastLogin DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Leftover from an earlier manual rebuild attempt
+    await dbRun('DROP TABLE IF EXISTS work_items_new');
+
+    const existing = await dbGet("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'work_items'");
+
+    if (!existing) {
+      await createWorkItemsTable(dbRun, 'work_items');
+      return;
+    }
+
+    if (existing.sql.includes("'submitted'")) {
+      return;
+    }
+
+    // Databases created before the review workflow used pending/done/custom
+    // statuses. Rebuild the table and carry the rows over instead of dropping it.
+    console.log('Rebuilding legacy work_items table');
+    const columns = (await dbAll('PRAGMA table_info(work_items)')).map(col => col.name);
+    const pick = (column, fallback) => (columns.includes(column) ? column : fallback);
+
+    await createWorkItemsTable(dbRun, 'work_items_migrated');
+    await dbRun(`
+      INSERT INTO work_items_migrated (
+        id, workerId, task, description, instructions, deadline, status, assignedAt,
+        submittedAt, reviewedAt, explanation, workLink, reviewNotes, assignedBy, reviewedBy
+      )
+      SELECT
+        id, workerId, task, COALESCE(${pick('description', "''")}, ''), instructions, deadline,
+        CASE status WHEN 'done' THEN 'submitted' WHEN 'custom' THEN 'pending' ELSE status END,
+        assignedAt, ${pick('submittedAt', pick('completedAt', 'NULL'))}, ${pick('reviewedAt', 'NULL')},
+        explanation, workLink, ${pick('reviewNotes', 'NULL')}, assignedBy, ${pick('reviewedBy', 'NULL')}
+      FROM work_items
+    `);
+    await dbRun('DROP TABLE work_items');
+    await dbRun('ALTER TABLE work_items_migrated RENAME TO work_items');
+  }
+};
@@ -0,0 +1,14 @@
+// migrations/002_google_calendar_tokens.js - Google OAuth token columns on users
+module.exports = {
+  up: async ({ dbAll, dbRun }) => {
+    // Some databases already picked these columns up from the old ad-hoc ALTER TABLE checks
+    const columnNames = (await dbAll('PRAGMA table_info(users)')).map(col => col.name);
+
+    if (!columnNames.includes('googleAccessToken')) {
+      await dbRun('ALTER TABLE users ADD COLUMN googleAccessToken TEXT');
+    }
+    if (!columnNames.includes('googleRefreshToken')) {
+      await dbRun('ALTER TABLE users ADD COLUMN googleRefreshToken TEXT');
+    }
+  }
+};
@@ -0,0 +1,52 @@
+// migrations/003_work_item_history.js - Submission and review history per work item
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        submittedBy INTEGER,
+        explanation TEXT NOT NULL,
+        workLink TEXT,
+        submittedAt DATETIME NOT NULL,
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (submittedBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        submissionId INTEGER,
+        reviewedBy INTEGER,
+        decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+        reviewNotes TEXT,
+        reviewedAt DATETIME NOT NULL,
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (submissionId) REFERENCES work_item_submissions (id) ON DELETE SET NULL,
+        FOREIGN KEY (reviewedBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_item_submissions_item ON work_item_submissions (workItemId)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_item_reviews_item ON work_item_reviews (workItemId)');
+
+    // Seed history from whatever the work items still hold today
+    await dbRun(`
+      INSERT INTO work_item_submissions (workItemId, submittedBy, explanation, workLink, submittedAt)
+      SELECT id, workerId, explanation, workLink, submittedAt
+      FROM work_items
+      WHERE submittedAt IS NOT NULL AND explanation IS NOT NULL
+    `);
+
+    await dbRun(`
+      INSERT INTO work_item_reviews (workItemId, submissionId, reviewedBy, decision, reviewNotes, reviewedAt)
+      SELECT wi.id,
+             (SELECT s.id FROM work_item_submissions s WHERE s.workItemId = wi.id ORDER BY s.id DESC LIMIT 1),
+             wi.reviewedBy, wi.status, wi.reviewNotes, wi.reviewedAt
+      FROM work_items wi
+      WHERE wi.reviewedAt IS NOT NULL AND wi.status IN ('approved', 'rejected')
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+// migrations/004_audit_log.js - Append-only audit trail
+module.exports = {
+  up: async ({ dbRun }) => {
+    // actorId is deliberately not a foreign key: entries must survive the
+    // actor being deleted, and cascading updates would break append-only
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actorId INTEGER,
+        actorEmail TEXT,
+        action TEXT NOT NULL,
+        entityType TEXT NOT NULL,
+        entityId INTEGER,
+        before TEXT,
+        after TEXT,
+        ipAddress TEXT,
+        userAgent TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actorId)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entityType, entityId)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (createdAt)');
+
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+      BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END
+    `);
+
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+      BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END
+    `);
+  }
+};
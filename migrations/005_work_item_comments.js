@@ -0,0 +1,23 @@
+// migrations/005_work_item_comments.js - Threaded comments on work items
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        authorId INTEGER,
+        parentId INTEGER,
+        body TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        editedAt DATETIME,
+        deletedAt DATETIME,
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (authorId) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (parentId) REFERENCES work_item_comments (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_item_comments_item ON work_item_comments (workItemId)');
+  }
+};
@@ -0,0 +1,24 @@
+// migrations/006_attachments.js - Uploaded files on assignments and submissions
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        submissionId INTEGER,
+        uploadedBy INTEGER,
+        kind TEXT NOT NULL CHECK (kind IN ('reference', 'deliverable')),
+        originalName TEXT NOT NULL,
+        storedName TEXT NOT NULL UNIQUE,
+        mimeType TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (submissionId) REFERENCES work_item_submissions (id) ON DELETE SET NULL,
+        FOREIGN KEY (uploadedBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_attachments_item ON attachments (workItemId)');
+  }
+};
@@ -0,0 +1,19 @@
+// migrations/007_password_reset_tokens.js - Single-use password reset tokens
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        tokenHash TEXT NOT NULL UNIQUE,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME,
+        requestedIp TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens (userId)');
+  }
+};
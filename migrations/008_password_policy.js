@@ -0,0 +1,26 @@
+// migrations/008_password_policy.js - Password history and forced password changes
+const bcrypt = require('bcryptjs');
+
+module.exports = {
+  up: async ({ dbGet, dbRun }) => {
+    await dbRun('ALTER TABLE users ADD COLUMN mustChangePassword BOOLEAN DEFAULT 0');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        passwordHash TEXT NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history (userId)');
+
+    // The seeded admin still on its published default password must pick a new one
+    const admin = await dbGet('SELECT id, password FROM users WHERE email = ?', ['admin@taskpilot.com']);
+    if (admin && await bcrypt.compare('admin123', admin.password)) {
+      await dbRun('UPDATE users SET mustChangePassword = 1 WHERE id = ?', [admin.id]);
+    }
+  }
+};
@@ -0,0 +1,24 @@
+// migrations/009_sessions.js - Server-side sessions backing refresh tokens
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        refreshTokenHash TEXT NOT NULL UNIQUE,
+        previousRefreshTokenHash TEXT,
+        userAgent TEXT,
+        ipAddress TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        lastUsedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expiresAt DATETIME NOT NULL,
+        revokedAt DATETIME,
+        revokedReason TEXT,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (userId)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_sessions_previous_hash ON sessions (previousRefreshTokenHash)');
+  }
+};
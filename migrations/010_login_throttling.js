@@ -0,0 +1,24 @@
+// migrations/010_login_throttling.js - Login attempt tracking and account lockout
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun('ALTER TABLE users ADD COLUMN failedLoginAttempts INTEGER DEFAULT 0');
+    await dbRun('ALTER TABLE users ADD COLUMN lastFailedLoginAt DATETIME');
+    await dbRun('ALTER TABLE users ADD COLUMN lockedUntil DATETIME');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT,
+        userId INTEGER,
+        ipAddress TEXT,
+        success BOOLEAN NOT NULL DEFAULT 0,
+        reason TEXT,
+        createdAt DATETIME NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ipAddress, createdAt)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts (email, createdAt)');
+  }
+};
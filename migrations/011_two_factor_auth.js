@@ -0,0 +1,29 @@
+// migrations/011_two_factor_auth.js - TOTP two-factor authentication and app settings
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun('ALTER TABLE users ADD COLUMN twoFactorSecret TEXT');
+    await dbRun('ALTER TABLE users ADD COLUMN twoFactorEnabled BOOLEAN DEFAULT 0');
+    await dbRun('ALTER TABLE users ADD COLUMN twoFactorLastUsedStep INTEGER');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        codeHash TEXT NOT NULL,
+        usedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes (userId)');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+};
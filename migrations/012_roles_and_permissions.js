@@ -0,0 +1,106 @@
+// migrations/012_roles_and_permissions.js - Permission-based roles, adds the manager role
+const permissions = [
+  ['users:read', 'List worker accounts'],
+  ['users:read_all', 'List every account, including admins'],
+  ['users:create', 'Create user accounts'],
+  ['users:delete', 'Delete user accounts'],
+  ['users:manage', 'Change roles, unlock accounts, force password changes and revoke sessions'],
+  ['users:stats', 'View user statistics'],
+  ['work:read_all', 'View work items assigned to other users'],
+  ['work:assign', 'Assign work items'],
+  ['work:update', 'Edit work items and submit on behalf of workers'],
+  ['work:delete', 'Delete work items'],
+  ['work:approve', 'Approve submitted work'],
+  ['work:reject', 'Reject submitted work'],
+  ['work:stats', 'View work statistics'],
+  ['audit:read', 'Read the audit log'],
+  ['roles:manage', 'Create roles and change role permissions'],
+  ['settings:manage', 'Change security settings such as the 2FA policy']
+];
+
+const roles = [
+  ['admin', 'Full access', permissions.map(([name]) => name)],
+  ['manager', 'Team lead: assigns and reviews work', [
+    'users:read', 'work:read_all', 'work:assign', 'work:update', 'work:approve', 'work:reject', 'work:stats'
+  ]],
+  ['worker', 'Works on their own assigned tasks', []]
+];
+
+module.exports = {
+  // users is rebuilt to swap its role CHECK for a foreign key
+  disableForeignKeys: true,
+
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name TEXT PRIMARY KEY,
+        description TEXT DEFAULT '',
+        isBuiltIn BOOLEAN DEFAULT 0,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        name TEXT PRIMARY KEY,
+        description TEXT DEFAULT ''
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role TEXT NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles (name) ON DELETE CASCADE ON UPDATE CASCADE,
+        FOREIGN KEY (permission) REFERENCES permissions (name) ON DELETE CASCADE
+      )
+    `);
+
+    for (const [name, description] of permissions) {
+      await dbRun('INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    for (const [name, description, rolePermissions] of roles) {
+      await dbRun('INSERT OR IGNORE INTO roles (name, description, isBuiltIn) VALUES (?, ?, 1)', [name, description]);
+      for (const permission of rolePermissions) {
+        await dbRun('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [name, permission]);
+      }
+    }
+
+    await dbRun(`
+      CREATE TABLE users_migrated (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'worker',
+        isActive BOOLEAN DEFAULT 1,
+        lastLogin DATETIME,
+        googleAccessToken TEXT,
+        googleRefreshToken TEXT,
+        mustChangePassword BOOLEAN DEFAULT 0,
+        failedLoginAttempts INTEGER DEFAULT 0,
+        lastFailedLoginAt DATETIME,
+        lockedUntil DATETIME,
+        twoFactorSecret TEXT,
+        twoFactorEnabled BOOLEAN DEFAULT 0,
+        twoFactorLastUsedStep INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (role) REFERENCES roles (name) ON UPDATE CASCADE
+      )
+    `);
+
+    const columns = [
+      'id', 'name', 'email', 'password', 'role', 'isActive', 'lastLogin', 'googleAccessToken', 'googleRefreshToken',
+      'mustChangePassword', 'failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil', 'twoFactorSecret',
+      'twoFactorEnabled', 'twoFactorLastUsedStep', 'createdAt', 'updatedAt'
+    ].join(', ');
+
+    await dbRun(`INSERT INTO users_migrated (${columns}) SELECT ${columns} FROM users`);
+    await dbRun('DROP TABLE users');
+    await dbRun('ALTER TABLE users_migrated RENAME TO users');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_users_role ON users (role)');
+  }
+};
@@ -0,0 +1,94 @@
+// migrations/013_teams.js - Teams, team leads and team work queues
+const permissions = [
+  ['teams:manage', 'Create, rename and delete teams and assign team leads'],
+  ['teams:view_all', 'See users and work across every team, not just the teams you lead']
+];
+
+const rolePermissions = [
+  ['admin', 'teams:manage'],
+  ['admin', 'teams:view_all'],
+  // Managers now see stats, scoped to the teams they lead
+  ['manager', 'users:stats']
+];
+
+module.exports = {
+  // work_items is rebuilt so workerId can be empty while a task waits in a team queue
+  disableForeignKeys: true,
+
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        description TEXT DEFAULT '',
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS team_members (
+        teamId INTEGER NOT NULL,
+        userId INTEGER NOT NULL,
+        isLead BOOLEAN DEFAULT 0,
+        addedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (teamId, userId),
+        FOREIGN KEY (teamId) REFERENCES teams (id) ON DELETE CASCADE,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_team_members_user ON team_members (userId)');
+
+    await dbRun(`
+      CREATE TABLE work_items_migrated (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workerId INTEGER,
+        teamId INTEGER,
+        task TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        instructions TEXT NOT NULL,
+        deadline DATETIME NOT NULL,
+        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'approved', 'rejected')),
+        assignedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        claimedAt DATETIME,
+        submittedAt DATETIME,
+        reviewedAt DATETIME,
+        explanation TEXT,
+        workLink TEXT,
+        reviewNotes TEXT,
+        assignedBy INTEGER NOT NULL,
+        reviewedBy INTEGER,
+        CHECK (workerId IS NOT NULL OR teamId IS NOT NULL),
+        FOREIGN KEY (workerId) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (teamId) REFERENCES teams (id) ON DELETE SET NULL,
+        FOREIGN KEY (assignedBy) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewedBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun(`
+      INSERT INTO work_items_migrated (
+        id, workerId, task, description, instructions, deadline, status, assignedAt,
+        submittedAt, reviewedAt, explanation, workLink, reviewNotes, assignedBy, reviewedBy
+      )
+      SELECT
+        id, workerId, task, description, instructions, deadline, status, assignedAt,
+        submittedAt, reviewedAt, explanation, workLink, reviewNotes, assignedBy, reviewedBy
+      FROM work_items
+    `);
+    await dbRun('DROP TABLE work_items');
+    await dbRun('ALTER TABLE work_items_migrated RENAME TO work_items');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_team ON work_items (teamId)');
+
+    for (const [name, description] of permissions) {
+      await dbRun('INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    for (const [role, permission] of rolePermissions) {
+      await dbRun('INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]);
+    }
+  }
+};
@@ -0,0 +1,19 @@
+// migrations/014_assignment_batches.js - Group work items created by one multi-worker assignment
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task TEXT NOT NULL,
+        teamId INTEGER,
+        assignedBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (teamId) REFERENCES teams (id) ON DELETE SET NULL,
+        FOREIGN KEY (assignedBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun('ALTER TABLE work_items ADD COLUMN assignmentId INTEGER REFERENCES assignments (id) ON DELETE SET NULL');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_assignment ON work_items (assignmentId)');
+  }
+};
@@ -0,0 +1,35 @@
+// migrations/015_recurring_schedules.js - Recurring assignment definitions
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS recurring_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workerId INTEGER,
+        teamId INTEGER,
+        task TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        instructions TEXT NOT NULL,
+        rrule TEXT NOT NULL,
+        startsAt DATETIME NOT NULL,
+        leadDays INTEGER NOT NULL DEFAULT 7,
+        status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'stopped', 'completed')),
+        nextOccurrenceAt DATETIME,
+        lastOccurrenceAt DATETIME,
+        generatedCount INTEGER NOT NULL DEFAULT 0,
+        createdBy INTEGER NOT NULL,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (workerId IS NOT NULL OR teamId IS NOT NULL),
+        FOREIGN KEY (workerId) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (teamId) REFERENCES teams (id) ON DELETE CASCADE,
+        FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_recurring_schedules_due ON recurring_schedules (status, nextOccurrenceAt)');
+
+    await dbRun('ALTER TABLE work_items ADD COLUMN scheduleId INTEGER REFERENCES recurring_schedules (id) ON DELETE SET NULL');
+    // One work item per occurrence, even if the scheduler is interrupted mid-run
+    await dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_work_items_schedule_occurrence ON work_items (scheduleId, deadline) WHERE scheduleId IS NOT NULL');
+  }
+};
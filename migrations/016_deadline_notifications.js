@@ -0,0 +1,27 @@
+// migrations/016_deadline_notifications.js - Deadline reminders, overdue flag and escalations
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun('ALTER TABLE work_items ADD COLUMN overdueAt DATETIME');
+
+    // One row per notification ever sent, keyed by the deadline it was about so
+    // moving a deadline re-arms the reminders
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('reminder', 'overdue', 'escalation')),
+        offsetMinutes INTEGER NOT NULL DEFAULT 0,
+        deadline DATETIME NOT NULL,
+        recipientId INTEGER,
+        delivered BOOLEAN DEFAULT 0,
+        error TEXT,
+        sentAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (workItemId, kind, offsetMinutes, deadline),
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (recipientId) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_item_notifications_item ON work_item_notifications (workItemId)');
+  }
+};
@@ -0,0 +1,36 @@
+// migrations/017_priority_and_tags.js - Work item priority and a shared tag vocabulary
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      ALTER TABLE work_items ADD COLUMN priority TEXT NOT NULL DEFAULT 'normal'
+        CHECK (priority IN ('low', 'normal', 'high', 'urgent'))
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_priority ON work_items (priority, deadline)');
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        color TEXT,
+        description TEXT DEFAULT '',
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_tags (
+        workItemId INTEGER NOT NULL,
+        tagId INTEGER NOT NULL,
+        PRIMARY KEY (workItemId, tagId),
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (tagId) REFERENCES tags (id) ON DELETE CASCADE
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_item_tags_tag ON work_item_tags (tagId)');
+
+    await dbRun("INSERT OR IGNORE INTO permissions (name, description) VALUES ('tags:manage', 'Create, rename and delete tags')");
+    await dbRun("INSERT OR IGNORE INTO role_permissions (role, permission) VALUES ('admin', 'tags:manage')");
+  }
+};
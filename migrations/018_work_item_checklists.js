@@ -0,0 +1,24 @@
+// migrations/018_work_item_checklists.js - Checklist items the worker ticks off inside a work item
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_checklist_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        mandatory INTEGER NOT NULL DEFAULT 0,
+        done INTEGER NOT NULL DEFAULT 0,
+        doneAt DATETIME,
+        doneBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (doneBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_checklist_items_work_item ON work_item_checklist_items (workItemId, position)');
+
+    // When set, PUT /api/work/complete/:id is refused until every mandatory item is checked
+    await dbRun('ALTER TABLE work_items ADD COLUMN requireChecklist INTEGER NOT NULL DEFAULT 0');
+  }
+};
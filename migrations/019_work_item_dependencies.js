@@ -0,0 +1,19 @@
+// migrations/019_work_item_dependencies.js - Blocked-by relations between work items
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS work_item_dependencies (
+        workItemId INTEGER NOT NULL,
+        blockedById INTEGER NOT NULL,
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (workItemId, blockedById),
+        CHECK (workItemId != blockedById),
+        FOREIGN KEY (workItemId) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (blockedById) REFERENCES work_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_item_dependencies_blocker ON work_item_dependencies (blockedById)');
+  }
+};
@@ -0,0 +1,25 @@
+// migrations/020_task_templates.js - Reusable task templates
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        task TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        instructions TEXT NOT NULL,
+        defaultDeadline TEXT,
+        priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+        tags TEXT NOT NULL DEFAULT '[]',
+        checklist TEXT NOT NULL DEFAULT '[]',
+        requireChecklist INTEGER NOT NULL DEFAULT 0,
+        createdBy INTEGER,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (createdBy) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await dbRun('ALTER TABLE work_items ADD COLUMN templateId INTEGER REFERENCES task_templates (id) ON DELETE SET NULL');
+  }
+};
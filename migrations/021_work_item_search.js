@@ -0,0 +1,50 @@
+// migrations/021_work_item_search.js - Full-text search over work items and indexes for list sorting
+//
+// work_items_fts is an external-content FTS5 index: it stores no copy of the
+// text, and the triggers below keep it in step with every insert, update and
+// delete. A later migration that rebuilds work_items must recreate the triggers
+// and run the 'rebuild' command again.
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS work_items_fts USING fts5(
+        task, description, instructions, explanation,
+        content = 'work_items',
+        content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS work_items_fts_insert AFTER INSERT ON work_items BEGIN
+        INSERT INTO work_items_fts (rowid, task, description, instructions, explanation)
+        VALUES (new.id, new.task, new.description, new.instructions, new.explanation);
+      END
+    `);
+
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS work_items_fts_delete AFTER DELETE ON work_items BEGIN
+        INSERT INTO work_items_fts (work_items_fts, rowid, task, description, instructions, explanation)
+        VALUES ('delete', old.id, old.task, old.description, old.instructions, old.explanation);
+      END
+    `);
+
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS work_items_fts_update
+      AFTER UPDATE OF task, description, instructions, explanation ON work_items BEGIN
+        INSERT INTO work_items_fts (work_items_fts, rowid, task, description, instructions, explanation)
+        VALUES ('delete', old.id, old.task, old.description, old.instructions, old.explanation);
+        INSERT INTO work_items_fts (rowid, task, description, instructions, explanation)
+        VALUES (new.id, new.task, new.description, new.instructions, new.explanation);
+      END
+    `);
+
+    // Index the rows that already exist
+    await dbRun("INSERT INTO work_items_fts (work_items_fts) VALUES ('rebuild')");
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_assigned_at ON work_items (assignedAt)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_deadline ON work_items (deadline)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_status ON work_items (status, assignedAt)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_work_items_worker ON work_items (workerId, assignedAt)');
+  }
+};
@@ -0,0 +1,22 @@
+// migrations/022_calendar_feeds.js - Secret iCalendar feed URLs and event sequence numbers
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        userId INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('tasks', 'reviews')),
+        tokenHash TEXT NOT NULL UNIQUE,
+        lastAccessedAt DATETIME,
+        revokedAt DATETIME,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds (userId, kind)');
+
+    // Bumped whenever a work item's calendar event changes, so clients replace the old copy
+    await dbRun('ALTER TABLE work_items ADD COLUMN calendarSequence INTEGER NOT NULL DEFAULT 0');
+  }
+};
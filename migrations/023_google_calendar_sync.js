@@ -0,0 +1,26 @@
+// migrations/023_google_calendar_sync.js - Google Calendar event IDs per work item and a retry queue
+module.exports = {
+  up: async ({ dbRun }) => {
+    // The event lives in the calendar of the work item's current worker
+    await dbRun('ALTER TABLE work_items ADD COLUMN googleEventId TEXT');
+
+    // Failed calendar operations waiting to be retried. No foreign key on the work
+    // item: removing the event of a deleted task has to outlive the task itself.
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS calendar_sync_retries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workItemId INTEGER NOT NULL,
+        userId INTEGER NOT NULL,
+        eventId TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        nextAttemptAt DATETIME NOT NULL,
+        lastError TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (workItemId, userId),
+        FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_calendar_sync_retries_due ON calendar_sync_retries (nextAttemptAt)');
+  }
+};
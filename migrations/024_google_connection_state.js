@@ -0,0 +1,9 @@
+// migrations/024_google_connection_state.js - Why and when a user's Google Calendar link was dropped
+//
+// Existing plaintext tokens are encrypted by migration 026.
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun('ALTER TABLE users ADD COLUMN googleDisconnectedAt DATETIME');
+    await dbRun('ALTER TABLE users ADD COLUMN googleDisconnectReason TEXT');
+  }
+};
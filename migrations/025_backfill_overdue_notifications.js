@@ -0,0 +1,27 @@
+// migrations/025_backfill_overdue_notifications.js - Treat work that was overdue before deadline notifications as already handled
+//
+// Without this the first run of the deadline job sends an overdue notice and an
+// escalation for every task that had been overdue for any length of time. The rows
+// are recorded as not delivered, with the reason, so nothing claims they were sent.
+const REASON = 'Overdue before deadline notifications were enabled';
+
+const OVERDUE_SQL = `
+  FROM work_items
+  WHERE status IN ('pending', 'rejected') AND julianday(deadline) < julianday('now')
+`;
+
+module.exports = {
+  up: async ({ dbRun }) => {
+    await dbRun(`
+      INSERT OR IGNORE INTO work_item_notifications (workItemId, kind, deadline, recipientId, delivered, error)
+      SELECT id, 'overdue', deadline, workerId, 0, ? ${OVERDUE_SQL} AND workerId IS NOT NULL
+    `, [REASON]);
+
+    await dbRun(`
+      INSERT OR IGNORE INTO work_item_notifications (workItemId, kind, deadline, recipientId, delivered, error)
+      SELECT id, 'escalation', deadline, assignedBy, 0, ? ${OVERDUE_SQL}
+    `, [REASON]);
+
+    await dbRun(`UPDATE work_items SET overdueAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE overdueAt IS NULL AND id IN (SELECT id ${OVERDUE_SQL})`);
+  }
+};
@@ -0,0 +1,35 @@
+// migrations/026_encrypt_google_tokens.js - Encrypt Google tokens saved before encryption at rest
+//
+// Tokens are only read in encrypted form from here on. Without TOKEN_ENCRYPTION_KEYS
+// the plaintext can't be kept, so those users are disconnected and asked to
+// reconnect; Google Calendar stays off until a key is configured anyway.
+const { encrypt, isConfigured, isEncrypted } = require('../utils/tokenEncryption');
+
+const REASON = 'Google tokens were stored unencrypted';
+
+const isPlaintext = (value) => !!value && !isEncrypted(value);
+
+module.exports = {
+  up: async ({ dbAll, dbRun }) => {
+    const rows = await dbAll(`
+      SELECT id, googleAccessToken, googleRefreshToken FROM users
+      WHERE googleAccessToken IS NOT NULL OR googleRefreshToken IS NOT NULL
+    `);
+
+    for (const row of rows.filter(row => isPlaintext(row.googleAccessToken) || isPlaintext(row.googleRefreshToken))) {
+      if (isConfigured()) {
+        const stored = (value) => (isPlaintext(value) ? encrypt(value) : value);
+        await dbRun(
+          'UPDATE users SET googleAccessToken = ?, googleRefreshToken = ? WHERE id = ?',
+          [stored(row.googleAccessToken), stored(row.googleRefreshToken), row.id]
+        );
+      } else {
+        await dbRun(`
+          UPDATE users SET googleAccessToken = NULL, googleRefreshToken = NULL,
+            googleDisconnectedAt = CURRENT_TIMESTAMP, googleDisconnectReason = ?
+          WHERE id = ?
+        `, [REASON, row.id]);
+      }
+    }
+  }
+};
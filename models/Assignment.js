@@ -0,0 +1,66 @@
+// models/Assignment.js - A batch of work items created by one multi-worker assignment
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+class Assignment {
+  constructor(data) {
+    this.id = data.id;
+    this.task = data.task;
+    this.teamId = data.teamId;
+    this.assignedBy = data.assignedBy;
+    this.createdAt = data.createdAt;
+    this.progress = data.progress;
+  }
+
+  static async create({ task, teamId = null, assignedBy }) {
+    if (!task || !assignedBy) {
+      throw new Error('Task and assigning user are required');
+    }
+
+    const result = await dbRun(
+      'INSERT INTO assignments (task, teamId, assignedBy) VALUES (?, ?, ?)',
+      [task.trim(), teamId, assignedBy]
+    );
+    return await Assignment.findById(result.id);
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM assignments WHERE id = ?', [id]);
+    return row ? new Assignment(row) : null;
+  }
+
+  static async findByIds(ids) {
+    if (ids.length === 0) return [];
+    const rows = await dbAll(
+      `SELECT * FROM assignments WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY createdAt DESC, id DESC`,
+      ids
+    );
+    return rows.map(row => new Assignment(row));
+  }
+
+  // Completion progress over the batch; a work item counts as done once approved
+  static summarizeProgress(workItems) {
+    const progress = { total: workItems.length, pending: 0, submitted: 0, approved: 0, rejected: 0 };
+    for (const workItem of workItems) {
+      progress[workItem.status] += 1;
+    }
+    progress.percentComplete = progress.total > 0 ? Math.round((progress.approved / progress.total) * 100) : 0;
+    return progress;
+  }
+
+  async delete() {
+    await dbRun('DELETE FROM assignments WHERE id = ?', [this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      task: this.task,
+      teamId: this.teamId,
+      assignedBy: this.assignedBy,
+      createdAt: this.createdAt,
+      progress: this.progress
+    };
+  }
+}
+
+module.exports = Assignment;
@@ -0,0 +1,122 @@
+// models/Attachment.js - Metadata for files stored in the upload directory
+const fs = require('fs');
+const path = require('path');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { uploadDir, generateStoredName } = require('../middleware/upload');
+
+class Attachment {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.submissionId = data.submissionId;
+    this.uploadedBy = data.uploadedBy;
+    this.kind = data.kind;
+    this.originalName = data.originalName;
+    this.storedName = data.storedName;
+    this.mimeType = data.mimeType;
+    this.size = data.size;
+    this.createdAt = data.createdAt;
+  }
+
+  // Save metadata for files multer has already written to disk
+  static async createFromUploads(files = [], { workItemId, submissionId = null, uploadedBy, kind }) {
+    if (!['reference', 'deliverable'].includes(kind)) {
+      throw new Error('Attachment kind must be reference or deliverable');
+    }
+
+    const attachments = [];
+    for (const file of files) {
+      try {
+        const result = await dbRun(`
+          INSERT INTO attachments (workItemId, submissionId, uploadedBy, kind, originalName, storedName, mimeType, size)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [workItemId, submissionId, uploadedBy, kind, file.originalname, file.filename, file.mimetype, file.size]);
+
+        attachments.push(await Attachment.findById(result.id));
+      } catch (error) {
+        console.error('Database error in Attachment.createFromUploads:', error);
+        throw new Error(`Failed to save attachment: ${error.message}`);
+      }
+    }
+    return attachments;
+  }
+
+  // Each work item owns its files, so a batch assignment gives every extra
+  // recipient its own copy of the uploaded reference files
+  static async copyUploads(files = []) {
+    const copies = [];
+    for (const file of files) {
+      const filename = generateStoredName(file.originalname);
+      const copyPath = path.join(uploadDir, filename);
+      await fs.promises.copyFile(path.join(uploadDir, file.filename), copyPath);
+      copies.push({ ...file, filename, path: copyPath });
+    }
+    return copies;
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM attachments WHERE id = ?', [id]);
+    return row ? new Attachment(row) : null;
+  }
+
+  static async findByWorkItem(workItemId, filters = {}) {
+    let sql = 'SELECT * FROM attachments WHERE workItemId = ?';
+    const params = [workItemId];
+
+    if (filters.kind) {
+      sql += ' AND kind = ?';
+      params.push(filters.kind);
+    }
+
+    sql += ' ORDER BY createdAt ASC, id ASC';
+
+    const rows = await dbAll(sql, params);
+    return rows.map(row => new Attachment(row));
+  }
+
+  // Attachments on work items a user does or assigned; those work items are
+  // deleted along with the user
+  static async findForUserWorkItems(userId) {
+    const rows = await dbAll(`
+      SELECT a.* FROM attachments a
+      JOIN work_items wi ON wi.id = a.workItemId
+      WHERE wi.workerId = ? OR wi.assignedBy = ?
+    `, [userId, userId]);
+    return rows.map(row => new Attachment(row));
+  }
+
+  // Database rows cascade with the work item; the files on disk don't
+  static async removeFilesForWorkItem(workItemId) {
+    const attachments = await Attachment.findByWorkItem(workItemId);
+    attachments.forEach(attachment => attachment.removeFile());
+  }
+
+  getFilePath() {
+    return path.join(uploadDir, path.basename(this.storedName));
+  }
+
+  removeFile() {
+    fs.unlink(this.getFilePath(), (err) => {
+      if (err && err.code !== 'ENOENT') {
+        console.error('Error removing attachment file:', this.storedName, err.message);
+      }
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      workItemId: this.workItemId,
+      submissionId: this.submissionId,
+      uploadedBy: this.uploadedBy,
+      kind: this.kind,
+      originalName: this.originalName,
+      mimeType: this.mimeType,
+      size: this.size,
+      createdAt: this.createdAt,
+      downloadUrl: `/api/work/${this.workItemId}/attachments/${this.id}/download`
+    };
+  }
+}
+
+module.exports = Attachment;
@@ -0,0 +1,180 @@
+// models/AuditLog.js - Append-only record of who did what
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { getClientIp, getUserAgent } = require('../utils/request');
+
+// Never copy credentials into the audit trail
+const sensitiveFields = ['password', 'googleAccessToken', 'googleRefreshToken', 'twoFactorSecret', 'twoFactorLastUsedStep'];
+
+const sanitize = (data) => {
+  if (!data) return null;
+  const plain = typeof data.toJSON === 'function' ? data.toJSON() : { ...data };
+  const result = {};
+  for (const [key, value] of Object.entries(plain)) {
+    if (sensitiveFields.includes(key)) continue;
+    // Skip joined objects such as worker / assignedByUser
+    if (value !== null && typeof value === 'object') continue;
+    result[key] = value;
+  }
+  return result;
+};
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+class AuditLog {
+  constructor(data) {
+    this.id = data.id;
+    this.actorId = data.actorId;
+    this.actorEmail = data.actorEmail;
+    this.action = data.action;
+    this.entityType = data.entityType;
+    this.entityId = data.entityId;
+    this.before = parseJson(data.before);
+    this.after = parseJson(data.after);
+    this.ipAddress = data.ipAddress;
+    this.userAgent = data.userAgent;
+    this.createdAt = data.createdAt;
+  }
+
+  // Reduce two snapshots to just the fields that changed
+  static diff(before, after) {
+    const cleanBefore = sanitize(before) || {};
+    const cleanAfter = sanitize(after) || {};
+    const changedBefore = {};
+    const changedAfter = {};
+
+    const keys = new Set([...Object.keys(cleanBefore), ...Object.keys(cleanAfter)]);
+    for (const key of keys) {
+      if (cleanBefore[key] !== cleanAfter[key]) {
+        changedBefore[key] = cleanBefore[key] === undefined ? null : cleanBefore[key];
+        changedAfter[key] = cleanAfter[key] === undefined ? null : cleanAfter[key];
+      }
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  static async create(entry) {
+    const { actorId = null, actorEmail = null, action, entityType, entityId = null, before = null, after = null, ipAddress = null, userAgent = null } = entry;
+
+    if (!action || !entityType) {
+      throw new Error('Audit entries need an action and an entity type');
+    }
+
+    const result = await dbRun(`
+      INSERT INTO audit_log (actorId, actorEmail, action, entityType, entityId, before, after, ipAddress, userAgent)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      actorId,
+      actorEmail,
+      action,
+      entityType,
+      entityId,
+      before ? JSON.stringify(sanitize(before)) : null,
+      after ? JSON.stringify(sanitize(after)) : null,
+      ipAddress,
+      userAgent
+    ]);
+
+    return await AuditLog.findById(result.id);
+  }
+
+  // Record an action taken during a request. Failures are logged, never thrown,
+  // so auditing can't break the action being audited.
+  static async record(req, entry) {
+    const actor = entry.actor || req.user || {};
+    try {
+      return await AuditLog.create({
+        actorId: actor.id || null,
+        actorEmail: actor.email || null,
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        before: entry.before,
+        after: entry.after,
+        ipAddress: getClientIp(req),
+        userAgent: getUserAgent(req)
+      });
+    } catch (error) {
+      console.error('Failed to write audit log entry:', entry.action, error.message);
+      return null;
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM audit_log WHERE id = ?', [id]);
+    return row ? new AuditLog(row) : null;
+  }
+
+  static buildFilters(filters = {}) {
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.actorId) {
+      where += ' AND actorId = ?';
+      params.push(filters.actorId);
+    }
+
+    if (filters.actorEmail) {
+      where += ' AND actorEmail = ?';
+      params.push(filters.actorEmail.toLowerCase().trim());
+    }
+
+    if (filters.action) {
+      where += ' AND action = ?';
+      params.push(filters.action);
+    }
+
+    if (filters.entityType) {
+      where += ' AND entityType = ?';
+      params.push(filters.entityType);
+    }
+
+    if (filters.entityId) {
+      where += ' AND entityId = ?';
+      params.push(filters.entityId);
+    }
+
+    if (filters.from) {
+      where += ' AND createdAt >= datetime(?)';
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      where += ' AND createdAt <= datetime(?)';
+      params.push(filters.to);
+    }
+
+    return { where, params };
+  }
+
+  static async findAll(filters = {}) {
+    const { where, params } = AuditLog.buildFilters(filters);
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, 500);
+    const offset = parseInt(filters.offset, 10) || 0;
+
+    const rows = await dbAll(
+      `SELECT * FROM audit_log${where} ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => new AuditLog(row));
+  }
+
+  static async count(filters = {}) {
+    const { where, params } = AuditLog.buildFilters(filters);
+    const result = await dbGet(`SELECT COUNT(*) as count FROM audit_log${where}`, params);
+    return result.count;
+  }
+
+  toJSON() {
+    return { ...this };
+  }
+}
+
+module.exports = AuditLog;
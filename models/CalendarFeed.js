@@ -0,0 +1,86 @@
+// models/CalendarFeed.js - Secret, revocable iCalendar subscription URLs
+const crypto = require('crypto');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { hashToken } = require('../utils/tokens');
+
+// tasks: the user's own open work; reviews: the review queue they can approve from
+const KINDS = ['tasks', 'reviews'];
+
+class CalendarFeed {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.userId;
+    this.kind = data.kind;
+    this.lastAccessedAt = data.lastAccessedAt;
+    this.revokedAt = data.revokedAt;
+    this.createdAt = data.createdAt;
+  }
+
+  // Replaces any existing feed of this kind. Returns the plain token; only its
+  // hash is stored, so calendar apps holding the old URL stop getting updates.
+  static async issue(userId, kind) {
+    if (!KINDS.includes(kind)) {
+      throw new Error('Feed kind must be tasks or reviews');
+    }
+
+    await CalendarFeed.revoke(userId, kind);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await dbRun(
+      'INSERT INTO calendar_feeds (userId, kind, tokenHash) VALUES (?, ?, ?)',
+      [userId, kind, hashToken(token)]
+    );
+
+    return { token, feed: await CalendarFeed.findById(result.id) };
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM calendar_feeds WHERE id = ?', [id]);
+    return row ? new CalendarFeed(row) : null;
+  }
+
+  static async findByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const row = await dbGet(
+      'SELECT * FROM calendar_feeds WHERE tokenHash = ? AND revokedAt IS NULL',
+      [hashToken(token)]
+    );
+    return row ? new CalendarFeed(row) : null;
+  }
+
+  static async findActiveForUser(userId) {
+    const rows = await dbAll(
+      'SELECT * FROM calendar_feeds WHERE userId = ? AND revokedAt IS NULL ORDER BY kind ASC',
+      [userId]
+    );
+    return rows.map(row => new CalendarFeed(row));
+  }
+
+  // Returns how many feeds were revoked (0 or 1)
+  static async revoke(userId, kind) {
+    const result = await dbRun(
+      'UPDATE calendar_feeds SET revokedAt = CURRENT_TIMESTAMP WHERE userId = ? AND kind = ? AND revokedAt IS NULL',
+      [userId, kind]
+    );
+    return result.changes;
+  }
+
+  async touch() {
+    this.lastAccessedAt = new Date().toISOString();
+    await dbRun('UPDATE calendar_feeds SET lastAccessedAt = ? WHERE id = ?', [this.lastAccessedAt, this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      kind: this.kind,
+      lastAccessedAt: this.lastAccessedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+CalendarFeed.KINDS = KINDS;
+
+module.exports = CalendarFeed;
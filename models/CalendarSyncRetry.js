@@ -0,0 +1,74 @@
+// models/CalendarSyncRetry.js - Google Calendar syncs that failed and are waiting for another try
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+// Minutes to wait before each retry; after the last one the sync is given up
+const BACKOFF_MINUTES = [1, 5, 15, 60, 240, 720];
+
+class CalendarSyncRetry {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.userId = data.userId;
+    this.eventId = data.eventId;
+    this.attempts = data.attempts;
+    this.nextAttemptAt = data.nextAttemptAt;
+    this.lastError = data.lastError;
+    this.createdAt = data.createdAt;
+  }
+
+  // Record a failed attempt for this work item in this user's calendar. One row per
+  // pair: a retry re-syncs whatever state the work item is in by then. Returns
+  // null once the attempts are used up.
+  static async schedule({ workItemId, userId, eventId = null, error, now = new Date() }) {
+    const existing = await CalendarSyncRetry.find(workItemId, userId);
+    const attempts = existing ? existing.attempts + 1 : 1;
+
+    if (attempts > BACKOFF_MINUTES.length) {
+      await CalendarSyncRetry.clear(workItemId, userId);
+      console.error(`Giving up calendar sync of work item ${workItemId} for user ${userId} after ${attempts - 1} retries:`, error);
+      return null;
+    }
+
+    const nextAttemptAt = new Date(now.getTime() + BACKOFF_MINUTES[attempts - 1] * 60 * 1000).toISOString();
+
+    if (existing) {
+      await dbRun(
+        'UPDATE calendar_sync_retries SET attempts = ?, nextAttemptAt = ?, lastError = ?, eventId = COALESCE(?, eventId) WHERE id = ?',
+        [attempts, nextAttemptAt, error, eventId, existing.id]
+      );
+    } else {
+      await dbRun(
+        'INSERT INTO calendar_sync_retries (workItemId, userId, eventId, attempts, nextAttemptAt, lastError) VALUES (?, ?, ?, ?, ?, ?)',
+        [workItemId, userId, eventId, attempts, nextAttemptAt, error]
+      );
+    }
+
+    return await CalendarSyncRetry.find(workItemId, userId);
+  }
+
+  static async find(workItemId, userId) {
+    const row = await dbGet('SELECT * FROM calendar_sync_retries WHERE workItemId = ? AND userId = ?', [workItemId, userId]);
+    return row ? new CalendarSyncRetry(row) : null;
+  }
+
+  static async findDue(now = new Date(), limit = 50) {
+    const rows = await dbAll(
+      'SELECT * FROM calendar_sync_retries WHERE nextAttemptAt <= ? ORDER BY nextAttemptAt ASC LIMIT ?',
+      [now.toISOString(), limit]
+    );
+    return rows.map(row => new CalendarSyncRetry(row));
+  }
+
+  static async findByWorkItem(workItemId) {
+    const rows = await dbAll('SELECT * FROM calendar_sync_retries WHERE workItemId = ? ORDER BY id ASC', [workItemId]);
+    return rows.map(row => new CalendarSyncRetry(row));
+  }
+
+  static async clear(workItemId, userId) {
+    await dbRun('DELETE FROM calendar_sync_retries WHERE workItemId = ? AND userId = ?', [workItemId, userId]);
+  }
+}
+
+CalendarSyncRetry.BACKOFF_MINUTES = BACKOFF_MINUTES;
+
+module.exports = CalendarSyncRetry;
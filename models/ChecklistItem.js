@@ -0,0 +1,201 @@
+// models/ChecklistItem.js - Ordered checklist steps inside a work item
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+const MAX_ITEM_LENGTH = 500;
+const MAX_ITEMS = 100;
+
+const validateText = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw new Error('Checklist item text is required');
+  }
+  if (trimmed.length > MAX_ITEM_LENGTH) {
+    throw new Error(`Checklist item cannot be longer than ${MAX_ITEM_LENGTH} characters`);
+  }
+  return trimmed;
+};
+
+const emptyProgress = () => ({ total: 0, done: 0, mandatory: 0, mandatoryDone: 0 });
+
+class ChecklistItem {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.text = data.text;
+    this.position = data.position;
+    this.mandatory = !!data.mandatory;
+    this.done = !!data.done;
+    this.doneAt = data.doneAt;
+    this.doneBy = data.doneBy;
+    this.createdAt = data.createdAt;
+  }
+
+  // Accepts strings or { text, mandatory } objects, as a list or a JSON string
+  // (multipart assignment forms can only send the latter)
+  static normalize(items) {
+    let list = items;
+    if (typeof list === 'string') {
+      try {
+        list = JSON.parse(list);
+      } catch (error) {
+        throw new Error('Checklist must be a list of items');
+      }
+    }
+    if (list === undefined || list === null) return [];
+    if (!Array.isArray(list)) {
+      throw new Error('Checklist must be a list of items');
+    }
+    if (list.length > MAX_ITEMS) {
+      throw new Error(`Checklist cannot have more than ${MAX_ITEMS} items`);
+    }
+
+    return list.map(item => (typeof item === 'string'
+      ? { text: validateText(item), mandatory: false }
+      : { text: validateText(item && item.text), mandatory: !!(item && item.mandatory) }));
+  }
+
+  static async create({ workItemId, text, mandatory = false, position }) {
+    const itemText = validateText(text);
+
+    const { count } = await dbGet('SELECT COUNT(*) as count FROM work_item_checklist_items WHERE workItemId = ?', [workItemId]);
+    if (count >= MAX_ITEMS) {
+      throw new Error(`Checklist cannot have more than ${MAX_ITEMS} items`);
+    }
+
+    if (position === undefined || position === null) {
+      const { nextPosition } = await dbGet(
+        'SELECT COALESCE(MAX(position) + 1, 0) as nextPosition FROM work_item_checklist_items WHERE workItemId = ?',
+        [workItemId]
+      );
+      position = nextPosition;
+    }
+
+    const result = await dbRun(`
+      INSERT INTO work_item_checklist_items (workItemId, text, position, mandatory)
+      VALUES (?, ?, ?, ?)
+    `, [workItemId, itemText, position, mandatory ? 1 : 0]);
+
+    return await ChecklistItem.findById(result.id);
+  }
+
+  static async createMany(workItemId, items) {
+    const created = [];
+    for (const [index, item] of ChecklistItem.normalize(items).entries()) {
+      created.push(await ChecklistItem.create({ workItemId, ...item, position: index }));
+    }
+    return created;
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM work_item_checklist_items WHERE id = ?', [id]);
+    return row ? new ChecklistItem(row) : null;
+  }
+
+  static async findByWorkItem(workItemId) {
+    const rows = await dbAll(
+      'SELECT * FROM work_item_checklist_items WHERE workItemId = ? ORDER BY position ASC, id ASC',
+      [workItemId]
+    );
+    return rows.map(row => new ChecklistItem(row));
+  }
+
+  // Progress for many work items in one query, as Map<workItemId, progress>
+  static async progressForWorkItems(workItemIds) {
+    const progressByItem = new Map(workItemIds.map(id => [id, emptyProgress()]));
+    if (workItemIds.length === 0) return progressByItem;
+
+    const rows = await dbAll(`
+      SELECT workItemId,
+             COUNT(*) as total,
+             SUM(done) as done,
+             SUM(mandatory) as mandatory,
+             SUM(CASE WHEN mandatory = 1 AND done = 1 THEN 1 ELSE 0 END) as mandatoryDone
+      FROM work_item_checklist_items
+      WHERE workItemId IN (${workItemIds.map(() => '?').join(', ')})
+      GROUP BY workItemId
+    `, workItemIds);
+
+    for (const row of rows) {
+      progressByItem.set(row.workItemId, {
+        total: row.total,
+        done: row.done,
+        mandatory: row.mandatory,
+        mandatoryDone: row.mandatoryDone
+      });
+    }
+    return progressByItem;
+  }
+
+  // Renumber the checklist in the given order; every item must be listed exactly once
+  static async reorder(workItemId, itemIds) {
+    const items = await ChecklistItem.findByWorkItem(workItemId);
+    const ids = (Array.isArray(itemIds) ? itemIds : []).map(id => parseInt(id));
+    const known = new Set(items.map(item => item.id));
+
+    if (ids.length !== items.length || new Set(ids).size !== ids.length || ids.some(id => !known.has(id))) {
+      throw new Error('Checklist order must list every item of this work item exactly once');
+    }
+
+    for (const [position, id] of ids.entries()) {
+      await dbRun('UPDATE work_item_checklist_items SET position = ? WHERE id = ?', [position, id]);
+    }
+    return await ChecklistItem.findByWorkItem(workItemId);
+  }
+
+  async update({ text, mandatory }) {
+    const updates = [];
+    const params = [];
+
+    if (text !== undefined) {
+      updates.push('text = ?');
+      params.push(validateText(text));
+    }
+    if (mandatory !== undefined) {
+      updates.push('mandatory = ?');
+      params.push(mandatory ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    params.push(this.id);
+    await dbRun(`UPDATE work_item_checklist_items SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    Object.assign(this, await ChecklistItem.findById(this.id));
+    return this;
+  }
+
+  async setDone(done, userId) {
+    if (done) {
+      await dbRun(
+        'UPDATE work_item_checklist_items SET done = 1, doneAt = ?, doneBy = ? WHERE id = ?',
+        [new Date().toISOString(), userId, this.id]
+      );
+    } else {
+      await dbRun('UPDATE work_item_checklist_items SET done = 0, doneAt = NULL, doneBy = NULL WHERE id = ?', [this.id]);
+    }
+
+    Object.assign(this, await ChecklistItem.findById(this.id));
+    return this;
+  }
+
+  async delete() {
+    await dbRun('DELETE FROM work_item_checklist_items WHERE id = ?', [this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      workItemId: this.workItemId,
+      text: this.text,
+      position: this.position,
+      mandatory: this.mandatory,
+      done: this.done,
+      doneAt: this.doneAt,
+      doneBy: this.doneBy
+    };
+  }
+}
+
+module.exports = ChecklistItem;
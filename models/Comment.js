@@ -0,0 +1,144 @@
+// models/Comment.js - Threaded discussion on a work item
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+class Comment {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.authorId = data.authorId;
+    this.parentId = data.parentId;
+    this.body = data.body;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+    this.editedAt = data.editedAt;
+    this.deletedAt = data.deletedAt;
+    this.author = data.authorId
+      ? { id: data.authorId, name: data.authorName, email: data.authorEmail, role: data.authorRole }
+      : null;
+  }
+
+  static validateBody(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error('Comment text is required');
+    }
+    if (body.trim().length > MAX_COMMENT_LENGTH) {
+      throw new Error(`Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`);
+    }
+  }
+
+  static async create(commentData) {
+    const { workItemId, authorId, parentId = null, body } = commentData;
+
+    Comment.validateBody(body);
+
+    if (parentId) {
+      const parent = await Comment.findById(parentId);
+      if (!parent || parent.workItemId !== parseInt(workItemId)) {
+        throw new Error('Parent comment not found on this work item');
+      }
+    }
+
+    try {
+      const result = await dbRun(`
+        INSERT INTO work_item_comments (workItemId, authorId, parentId, body)
+        VALUES (?, ?, ?, ?)
+      `, [workItemId, authorId, parentId, body.trim()]);
+
+      return await Comment.findById(result.id);
+    } catch (error) {
+      console.error('Database error in Comment.create:', error);
+      throw new Error(`Failed to create comment: ${error.message}`);
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet(`
+      SELECT c.*, u.name as authorName, u.email as authorEmail, u.role as authorRole
+      FROM work_item_comments c
+      LEFT JOIN users u ON c.authorId = u.id
+      WHERE c.id = ?
+    `, [id]);
+    return row ? new Comment(row) : null;
+  }
+
+  static async findByWorkItem(workItemId) {
+    const rows = await dbAll(`
+      SELECT c.*, u.name as authorName, u.email as authorEmail, u.role as authorRole
+      FROM work_item_comments c
+      LEFT JOIN users u ON c.authorId = u.id
+      WHERE c.workItemId = ?
+      ORDER BY c.createdAt ASC, c.id ASC
+    `, [workItemId]);
+    return rows.map(row => new Comment(row));
+  }
+
+  // Nest replies under their parents, oldest first at every level
+  static async findThreadsByWorkItem(workItemId) {
+    const comments = (await Comment.findByWorkItem(workItemId)).map(comment => ({ ...comment.toJSON(), replies: [] }));
+    const byId = new Map(comments.map(comment => [comment.id, comment]));
+    const threads = [];
+
+    for (const comment of comments) {
+      const parent = comment.parentId ? byId.get(comment.parentId) : null;
+      if (parent) {
+        parent.replies.push(comment);
+      } else {
+        threads.push(comment);
+      }
+    }
+
+    return threads;
+  }
+
+  async update(body) {
+    if (this.deletedAt) {
+      throw new Error('Cannot edit a deleted comment');
+    }
+
+    Comment.validateBody(body);
+
+    await dbRun(`
+      UPDATE work_item_comments
+      SET body = ?, editedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [body.trim(), this.id]);
+
+    const updated = await Comment.findById(this.id);
+    Object.assign(this, updated);
+    return this;
+  }
+
+  // Soft delete so replies to the comment keep their context
+  async delete() {
+    await dbRun(`
+      UPDATE work_item_comments
+      SET body = NULL, deletedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [this.id]);
+
+    const updated = await Comment.findById(this.id);
+    Object.assign(this, updated);
+  }
+
+  isDeleted() {
+    return !!this.deletedAt;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      workItemId: this.workItemId,
+      parentId: this.parentId,
+      body: this.body,
+      author: this.author,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      editedAt: this.editedAt,
+      deleted: !!this.deletedAt
+    };
+  }
+}
+
+module.exports = Comment;
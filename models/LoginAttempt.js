@@ -0,0 +1,34 @@
+// models/LoginAttempt.js - Every login attempt, used for per-IP throttling
+const { dbGet, dbRun } = require('../config/database');
+
+class LoginAttempt {
+  static async record({ email, userId = null, ipAddress, success, reason = null }) {
+    try {
+      await dbRun(`
+        INSERT INTO login_attempts (email, userId, ipAddress, success, reason, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        email ? String(email).toLowerCase().trim().substring(0, 255) : null,
+        userId,
+        ipAddress,
+        success ? 1 : 0,
+        reason,
+        new Date().toISOString()
+      ]);
+    } catch (error) {
+      console.error('Failed to record login attempt:', error.message);
+    }
+  }
+
+  // Failed attempts from an IP since the given time, and when the latest one happened
+  static async recentFailuresByIp(ipAddress, since) {
+    const row = await dbGet(`
+      SELECT COUNT(*) as count, MAX(createdAt) as lastFailedAt
+      FROM login_attempts
+      WHERE ipAddress = ? AND success = 0 AND createdAt > ?
+    `, [ipAddress, since]);
+    return { count: row.count, lastFailedAt: row.lastFailedAt };
+  }
+}
+
+module.exports = LoginAttempt;
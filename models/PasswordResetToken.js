@@ -0,0 +1,65 @@
+// models/PasswordResetToken.js - Hashed, expiring, single-use reset tokens
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('../config/database');
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60;
+
+// Only the hash is stored, so a leaked database can't be used to reset passwords
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetToken {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.userId;
+    this.tokenHash = data.tokenHash;
+    this.expiresAt = data.expiresAt;
+    this.usedAt = data.usedAt;
+    this.requestedIp = data.requestedIp;
+    this.createdAt = data.createdAt;
+  }
+
+  // Returns the plain token; it is never stored and can't be recovered later
+  static async issue(userId, requestedIp = null) {
+    await PasswordResetToken.invalidateAllForUser(userId);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+    await dbRun(`
+      INSERT INTO password_reset_tokens (userId, tokenHash, expiresAt, requestedIp)
+      VALUES (?, ?, ?, ?)
+    `, [userId, hashToken(token), expiresAt, requestedIp]);
+
+    return { token, expiresAt };
+  }
+
+  static async findValid(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const row = await dbGet(`
+      SELECT * FROM password_reset_tokens
+      WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > ?
+    `, [hashToken(token), new Date().toISOString()]);
+    return row ? new PasswordResetToken(row) : null;
+  }
+
+  // Mark the token used; false means another request got there first
+  async consume() {
+    const result = await dbRun(
+      'UPDATE password_reset_tokens SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL',
+      [this.id]
+    );
+    return result.changes === 1;
+  }
+
+  static async invalidateAllForUser(userId) {
+    await dbRun(
+      'UPDATE password_reset_tokens SET usedAt = CURRENT_TIMESTAMP WHERE userId = ? AND usedAt IS NULL',
+      [userId]
+    );
+  }
+}
+
+PasswordResetToken.TOKEN_TTL_MINUTES = TOKEN_TTL_MINUTES;
+
+module.exports = PasswordResetToken;
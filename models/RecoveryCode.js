@@ -0,0 +1,55 @@
+// models/RecoveryCode.js - Hashed one-time recovery codes for two-factor auth
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('../config/database');
+
+const CODE_COUNT = 10;
+
+// Codes are random enough that a fast hash is fine
+const hashCode = (code) => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+class RecoveryCode {
+  // Replace any existing codes; the plain codes are only ever returned here
+  static async regenerateForUser(userId) {
+    await dbRun('DELETE FROM two_factor_recovery_codes WHERE userId = ?', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      const code = `${raw.substring(0, 5)}-${raw.substring(5)}`;
+      await dbRun('INSERT INTO two_factor_recovery_codes (userId, codeHash) VALUES (?, ?)', [userId, hashCode(code)]);
+      codes.push(code);
+    }
+    return codes;
+  }
+
+  // True if the code was valid and unused; it can't be used again afterwards
+  static async consume(userId, code) {
+    if (!code || typeof code !== 'string') return false;
+
+    const row = await dbGet(
+      'SELECT id FROM two_factor_recovery_codes WHERE userId = ? AND codeHash = ? AND usedAt IS NULL',
+      [userId, hashCode(code)]
+    );
+    if (!row) return false;
+
+    const result = await dbRun(
+      'UPDATE two_factor_recovery_codes SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL',
+      [row.id]
+    );
+    return result.changes === 1;
+  }
+
+  static async countRemaining(userId) {
+    const row = await dbGet(
+      'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE userId = ? AND usedAt IS NULL',
+      [userId]
+    );
+    return row.count;
+  }
+
+  static async deleteAllForUser(userId) {
+    await dbRun('DELETE FROM two_factor_recovery_codes WHERE userId = ?', [userId]);
+  }
+}
+
+module.exports = RecoveryCode;
@@ -0,0 +1,262 @@
+// models/RecurringSchedule.js - Recurring assignment definitions (RRULE series)
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { parseRule, formatRule, nextOccurrence, upcomingOccurrences } = require('../utils/recurrence');
+
+const DEFAULT_LEAD_DAYS = parseInt(process.env.RECURRING_TASKS_LEAD_DAYS, 10) || 7;
+
+const parseStart = (value) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw new Error('startsAt must be a valid date');
+  }
+  return date;
+};
+
+const parseLeadDays = (value) => {
+  const leadDays = Number(value);
+  if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 365) {
+    throw new Error('leadDays must be a whole number between 0 and 365');
+  }
+  return leadDays;
+};
+
+class RecurringSchedule {
+  constructor(data) {
+    this.id = data.id;
+    this.workerId = data.workerId;
+    this.teamId = data.teamId;
+    this.task = data.task;
+    this.description = data.description;
+    this.instructions = data.instructions;
+    this.rrule = data.rrule;
+    this.startsAt = data.startsAt;
+    this.leadDays = data.leadDays;
+    this.status = data.status;
+    this.nextOccurrenceAt = data.nextOccurrenceAt;
+    this.lastOccurrenceAt = data.lastOccurrenceAt;
+    this.generatedCount = data.generatedCount;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static async create(data) {
+    const { workerId, teamId, task, description = '', instructions, rrule, startsAt, createdBy } = data;
+
+    if ((!workerId && !teamId) || !task || !instructions || !rrule || !startsAt || !createdBy) {
+      throw new Error('All required fields must be provided');
+    }
+
+    if (workerId && teamId) {
+      throw new Error('A schedule assigns either a worker or a team queue, not both');
+    }
+
+    if (task.length > 200) {
+      throw new Error('Task cannot be longer than 200 characters');
+    }
+
+    const rule = parseRule(rrule);
+    const start = parseStart(startsAt);
+    const leadDays = data.leadDays === undefined ? DEFAULT_LEAD_DAYS : parseLeadDays(data.leadDays);
+    // Occurrences that are already in the past when the series is created are skipped
+    const next = nextOccurrence(rule, start, new Date());
+
+    const result = await dbRun(`
+      INSERT INTO recurring_schedules (
+        workerId, teamId, task, description, instructions, rrule, startsAt, leadDays,
+        status, nextOccurrenceAt, createdBy
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      workerId || null, teamId || null, task.trim(), (description || '').trim(), instructions.trim(),
+      formatRule(rule), start.toISOString(), leadDays,
+      next ? 'active' : 'completed', next ? next.toISOString() : null, createdBy
+    ]);
+
+    return await RecurringSchedule.findById(result.id);
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM recurring_schedules WHERE id = ?', [id]);
+    return row ? new RecurringSchedule(row) : null;
+  }
+
+  static async findAll(filters = {}) {
+    let sql = 'SELECT * FROM recurring_schedules WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.createdBy) {
+      sql += ' AND createdBy = ?';
+      params.push(filters.createdBy);
+    }
+
+    if (filters.workerId) {
+      sql += ' AND workerId = ?';
+      params.push(filters.workerId);
+    }
+
+    sql += ' ORDER BY createdAt DESC, id DESC';
+
+    const rows = await dbAll(sql, params);
+    return rows.map(row => new RecurringSchedule(row));
+  }
+
+  // Active series whose next occurrence falls inside its lead window
+  static async findDue(now = new Date()) {
+    const rows = await dbAll(`
+      SELECT * FROM recurring_schedules
+      WHERE status = 'active' AND nextOccurrenceAt IS NOT NULL
+        AND julianday(nextOccurrenceAt) - leadDays <= julianday(?)
+      ORDER BY nextOccurrenceAt ASC
+    `, [now.toISOString()]);
+    return rows.map(row => new RecurringSchedule(row));
+  }
+
+  getRule() {
+    return parseRule(this.rrule);
+  }
+
+  // Where the series continues from: never before now, and never at or before
+  // an occurrence that already produced a work item
+  resumePoint(now = new Date()) {
+    if (!this.lastOccurrenceAt) return now;
+    const afterLast = new Date(new Date(this.lastOccurrenceAt).getTime() + 1);
+    return afterLast > now ? afterLast : now;
+  }
+
+  getUpcoming(limit = 5) {
+    if (!['active', 'paused'].includes(this.status)) return [];
+    const from = this.nextOccurrenceAt ? new Date(this.nextOccurrenceAt) : this.resumePoint();
+    return upcomingOccurrences(this.getRule(), new Date(this.startsAt), from, limit)
+      .map(occurrence => occurrence.toISOString());
+  }
+
+  async save(fields) {
+    const columns = Object.keys(fields);
+    await dbRun(
+      `UPDATE recurring_schedules SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), this.id]
+    );
+    Object.assign(this, await RecurringSchedule.findById(this.id));
+    return this;
+  }
+
+  // Edits only shape occurrences that haven't been turned into work items yet
+  async update(updateData) {
+    const fields = {};
+
+    for (const key of ['task', 'description', 'instructions']) {
+      if (updateData[key] !== undefined) {
+        fields[key] = (updateData[key] || '').trim();
+      }
+    }
+
+    if ((fields.task !== undefined && !fields.task) || (fields.instructions !== undefined && !fields.instructions)) {
+      throw new Error('Task and instructions cannot be empty');
+    }
+
+    if (fields.task && fields.task.length > 200) {
+      throw new Error('Task cannot be longer than 200 characters');
+    }
+
+    if (updateData.workerId !== undefined || updateData.teamId !== undefined) {
+      const workerId = updateData.workerId || null;
+      const teamId = updateData.teamId || null;
+      if ((!workerId && !teamId) || (workerId && teamId)) {
+        throw new Error('A schedule assigns either a worker or a team queue, not both');
+      }
+      fields.workerId = workerId;
+      fields.teamId = teamId;
+    }
+
+    if (updateData.leadDays !== undefined) {
+      fields.leadDays = parseLeadDays(updateData.leadDays);
+    }
+
+    const ruleChanged = updateData.rrule !== undefined || updateData.startsAt !== undefined;
+    if (ruleChanged) {
+      const rule = parseRule(updateData.rrule !== undefined ? updateData.rrule : this.rrule);
+      const start = updateData.startsAt !== undefined ? parseStart(updateData.startsAt) : new Date(this.startsAt);
+      fields.rrule = formatRule(rule);
+      fields.startsAt = start.toISOString();
+
+      const next = nextOccurrence(rule, start, this.resumePoint());
+      fields.nextOccurrenceAt = next ? next.toISOString() : null;
+      if (this.status === 'completed' && next) fields.status = 'active';
+      if (this.status === 'active' && !next) fields.status = 'completed';
+    }
+
+    if (Object.keys(fields).length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    return await this.save(fields);
+  }
+
+  async pause() {
+    if (this.status !== 'active') {
+      throw new Error('Only active schedules can be paused');
+    }
+    return await this.save({ status: 'paused' });
+  }
+
+  // Occurrences that fell due while paused are skipped rather than back-filled
+  async resume() {
+    if (this.status !== 'paused') {
+      throw new Error('Only paused schedules can be resumed');
+    }
+    const next = nextOccurrence(this.getRule(), new Date(this.startsAt), this.resumePoint());
+    return await this.save({
+      status: next ? 'active' : 'completed',
+      nextOccurrenceAt: next ? next.toISOString() : null
+    });
+  }
+
+  async stop() {
+    if (['stopped', 'completed'].includes(this.status)) {
+      throw new Error('Schedule has already ended');
+    }
+    return await this.save({ status: 'stopped', nextOccurrenceAt: null });
+  }
+
+  // Record that `occurrence` now has a work item and move on to the one after it
+  async advancePast(occurrence, { generated = true } = {}) {
+    const next = nextOccurrence(this.getRule(), new Date(this.startsAt), new Date(new Date(occurrence).getTime() + 1));
+    const fields = {
+      lastOccurrenceAt: new Date(occurrence).toISOString(),
+      nextOccurrenceAt: next ? next.toISOString() : null
+    };
+    if (generated) fields.generatedCount = this.generatedCount + 1;
+    if (!next) fields.status = 'completed';
+    return await this.save(fields);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      workerId: this.workerId,
+      teamId: this.teamId,
+      task: this.task,
+      description: this.description,
+      instructions: this.instructions,
+      rrule: this.rrule,
+      startsAt: this.startsAt,
+      leadDays: this.leadDays,
+      status: this.status,
+      nextOccurrenceAt: this.nextOccurrenceAt,
+      lastOccurrenceAt: this.lastOccurrenceAt,
+      generatedCount: this.generatedCount,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      upcoming: this.getUpcoming()
+    };
+  }
+}
+
+module.exports = RecurringSchedule;
@@ -0,0 +1,116 @@
+// models/Role.js - Roles and the permissions granted to them
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+// Checked on every authenticated request, so cache permissions per role
+const permissionCache = new Map();
+
+class Role {
+  constructor(data) {
+    this.name = data.name;
+    this.description = data.description;
+    this.isBuiltIn = !!data.isBuiltIn;
+    this.createdAt = data.createdAt;
+    this.permissions = data.permissions || [];
+  }
+
+  static async getPermissions(roleName) {
+    if (!permissionCache.has(roleName)) {
+      const rows = await dbAll('SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission', [roleName]);
+      permissionCache.set(roleName, rows.map(row => row.permission));
+    }
+    return permissionCache.get(roleName);
+  }
+
+  static async findByName(name) {
+    const row = await dbGet('SELECT * FROM roles WHERE name = ?', [name]);
+    if (!row) return null;
+    return new Role({ ...row, permissions: await Role.getPermissions(row.name) });
+  }
+
+  static async findAll() {
+    const rows = await dbAll('SELECT * FROM roles ORDER BY isBuiltIn DESC, name ASC');
+    const roles = [];
+    for (const row of rows) {
+      roles.push(new Role({ ...row, permissions: await Role.getPermissions(row.name) }));
+    }
+    return roles;
+  }
+
+  static async findAllPermissions() {
+    return await dbAll('SELECT name, description FROM permissions ORDER BY name');
+  }
+
+  static async exists(name) {
+    const row = await dbGet('SELECT name FROM roles WHERE name = ?', [name]);
+    return !!row;
+  }
+
+  static async create({ name, description = '', permissions = [] }) {
+    if (!name || !/^[a-z][a-z0-9_-]{1,31}$/.test(name)) {
+      throw new Error('Role name must be 2-32 lowercase letters, numbers, dashes or underscores');
+    }
+
+    // Checked up front so a bad list never leaves a role behind without its permissions
+    await Role.validatePermissions(permissions);
+
+    try {
+      await dbRun('INSERT INTO roles (name, description) VALUES (?, ?)', [name, description]);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Role already exists');
+      }
+      throw error;
+    }
+
+    const role = await Role.findByName(name);
+    await role.setPermissions(permissions);
+    return role;
+  }
+
+  // Throws on names that are not in the permissions table
+  static async validatePermissions(permissions) {
+    const known = new Set((await Role.findAllPermissions()).map(permission => permission.name));
+    const unknown = permissions.filter(permission => !known.has(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  async setPermissions(permissions) {
+    await Role.validatePermissions(permissions);
+
+    await dbRun('DELETE FROM role_permissions WHERE role = ?', [this.name]);
+    for (const permission of [...new Set(permissions)]) {
+      await dbRun('INSERT INTO role_permissions (role, permission) VALUES (?, ?)', [this.name, permission]);
+    }
+
+    permissionCache.delete(this.name);
+    this.permissions = await Role.getPermissions(this.name);
+    return this;
+  }
+
+  async delete() {
+    if (this.isBuiltIn) {
+      throw new Error('Built-in roles cannot be deleted');
+    }
+
+    const inUse = await dbGet('SELECT COUNT(*) as count FROM users WHERE role = ?', [this.name]);
+    if (inUse.count > 0) {
+      throw new Error('Role is still assigned to users');
+    }
+
+    await dbRun('DELETE FROM roles WHERE name = ?', [this.name]);
+    permissionCache.delete(this.name);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      description: this.description,
+      isBuiltIn: this.isBuiltIn,
+      permissions: this.permissions
+    };
+  }
+}
+
+module.exports = Role;
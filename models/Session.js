@@ -0,0 +1,111 @@
+// models/Session.js - One row per logged-in device, holding its current refresh token
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { REFRESH_TOKEN_TTL_DAYS, createRefreshToken, hashToken } = require('../utils/tokens');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+class Session {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.userId;
+    this.refreshTokenHash = data.refreshTokenHash;
+    this.previousRefreshTokenHash = data.previousRefreshTokenHash;
+    this.userAgent = data.userAgent;
+    this.ipAddress = data.ipAddress;
+    this.createdAt = data.createdAt;
+    this.lastUsedAt = data.lastUsedAt;
+    this.expiresAt = data.expiresAt;
+    this.revokedAt = data.revokedAt;
+    this.revokedReason = data.revokedReason;
+  }
+
+  // Returns the session together with its plain refresh token
+  static async create({ userId, userAgent = null, ipAddress = null }) {
+    const refreshToken = createRefreshToken();
+
+    const result = await dbRun(`
+      INSERT INTO sessions (userId, refreshTokenHash, userAgent, ipAddress, expiresAt)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, hashToken(refreshToken), userAgent, ipAddress, refreshExpiry()]);
+
+    return { session: await Session.findById(result.id), refreshToken };
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM sessions WHERE id = ?', [id]);
+    return row ? new Session(row) : null;
+  }
+
+  static async findByRefreshToken(refreshToken) {
+    const row = await dbGet('SELECT * FROM sessions WHERE refreshTokenHash = ?', [hashToken(refreshToken)]);
+    return row ? new Session(row) : null;
+  }
+
+  // A token that was already rotated out is being replayed
+  static async findByPreviousRefreshToken(refreshToken) {
+    const row = await dbGet('SELECT * FROM sessions WHERE previousRefreshTokenHash = ?', [hashToken(refreshToken)]);
+    return row ? new Session(row) : null;
+  }
+
+  static async findActiveByUser(userId) {
+    const rows = await dbAll(`
+      SELECT * FROM sessions
+      WHERE userId = ? AND revokedAt IS NULL AND expiresAt > ?
+      ORDER BY lastUsedAt DESC
+    `, [userId, new Date().toISOString()]);
+    return rows.map(row => new Session(row));
+  }
+
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const result = await dbRun(`
+      UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ?
+      WHERE userId = ? AND revokedAt IS NULL AND id != ?
+    `, [reason, userId, exceptSessionId || 0]);
+    return result.changes;
+  }
+
+  isActive() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  // Swap in a new refresh token; the old one stops working immediately
+  async rotate({ userAgent, ipAddress } = {}) {
+    const refreshToken = createRefreshToken();
+
+    const result = await dbRun(`
+      UPDATE sessions
+      SET previousRefreshTokenHash = refreshTokenHash, refreshTokenHash = ?, lastUsedAt = CURRENT_TIMESTAMP,
+          expiresAt = ?, userAgent = COALESCE(?, userAgent), ipAddress = COALESCE(?, ipAddress)
+      WHERE id = ? AND refreshTokenHash = ? AND revokedAt IS NULL
+    `, [hashToken(refreshToken), refreshExpiry(), userAgent || null, ipAddress || null, this.id, this.refreshTokenHash]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    Object.assign(this, await Session.findById(this.id));
+    return refreshToken;
+  }
+
+  async revoke(reason) {
+    await dbRun(
+      'UPDATE sessions SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ? WHERE id = ? AND revokedAt IS NULL',
+      [reason, this.id]
+    );
+    this.revokedAt = new Date().toISOString();
+    this.revokedReason = reason;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      createdAt: this.createdAt,
+      lastUsedAt: this.lastUsedAt,
+      expiresAt: this.expiresAt
+    };
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,36 @@
+// models/Setting.js - Application-wide settings stored as JSON values
+const { dbAll, dbRun } = require('../config/database');
+
+// Settings are read on every authenticated request, so keep them in memory
+let cache = null;
+
+class Setting {
+  static async loadAll() {
+    if (!cache) {
+      const rows = await dbAll('SELECT key, value FROM settings');
+      cache = new Map(rows.map(row => [row.key, JSON.parse(row.value)]));
+    }
+    return cache;
+  }
+
+  static async get(key, defaultValue = null) {
+    const settings = await Setting.loadAll();
+    return settings.has(key) ? settings.get(key) : defaultValue;
+  }
+
+  static async set(key, value) {
+    await dbRun(`
+      INSERT INTO settings (key, value, updatedAt) VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updatedAt = CURRENT_TIMESTAMP
+    `, [key, JSON.stringify(value)]);
+
+    const settings = await Setting.loadAll();
+    settings.set(key, value);
+    return value;
+  }
+}
+
+Setting.REQUIRE_ADMIN_TWO_FACTOR = 'requireAdminTwoFactor';
+Setting.DEADLINE_REMINDERS = 'deadlineReminders';
+
+module.exports = Setting;
@@ -0,0 +1,188 @@
+// models/Tag.js - Tag vocabulary and the tags on each work item
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+const validateName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Tag name is required');
+  }
+  if (trimmed.length > 50) {
+    throw new Error('Tag name cannot be longer than 50 characters');
+  }
+  if (/,/.test(trimmed)) {
+    throw new Error('Tag name cannot contain commas');
+  }
+  return trimmed;
+};
+
+const validateColor = (color) => {
+  if (color === undefined || color === null || color === '') return null;
+  if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+    throw new Error('Tag color must be a hex color like #1a2b3c');
+  }
+  return color.toLowerCase();
+};
+
+class Tag {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.color = data.color;
+    this.description = data.description;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.usageCount = data.usageCount;
+  }
+
+  static validateName(name) {
+    return validateName(name);
+  }
+
+  static async create({ name, color, description = '', createdBy = null }) {
+    const tagName = validateName(name);
+
+    try {
+      const result = await dbRun(
+        'INSERT INTO tags (name, color, description, createdBy) VALUES (?, ?, ?, ?)',
+        [tagName, validateColor(color), (description || '').trim(), createdBy]
+      );
+      return await Tag.findById(result.id);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A tag with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet(`
+      SELECT t.*, (SELECT COUNT(*) FROM work_item_tags wit WHERE wit.tagId = t.id) as usageCount
+      FROM tags t WHERE t.id = ?
+    `, [id]);
+    return row ? new Tag(row) : null;
+  }
+
+  static async findByName(name) {
+    const row = await dbGet('SELECT * FROM tags WHERE name = ?', [name.trim()]);
+    return row ? new Tag(row) : null;
+  }
+
+  static async findAll() {
+    const rows = await dbAll(`
+      SELECT t.*, (SELECT COUNT(*) FROM work_item_tags wit WHERE wit.tagId = t.id) as usageCount
+      FROM tags t
+      ORDER BY t.name ASC
+    `);
+    return rows.map(row => new Tag(row));
+  }
+
+  // Tags are free-form: names that aren't in the vocabulary yet are added to it.
+  // Every name is checked before any is added.
+  static async findOrCreateByNames(names, createdBy = null) {
+    const tags = [];
+    const seen = new Set();
+
+    for (const tagName of names.map(validateName)) {
+      if (seen.has(tagName.toLowerCase())) continue;
+      seen.add(tagName.toLowerCase());
+
+      await dbRun('INSERT OR IGNORE INTO tags (name, createdBy) VALUES (?, ?)', [tagName, createdBy]);
+      tags.push(await Tag.findByName(tagName));
+    }
+
+    return tags;
+  }
+
+  // Tags for many work items in one query, as Map<workItemId, Tag[]>
+  static async findForWorkItems(workItemIds) {
+    const tagsByItem = new Map(workItemIds.map(id => [id, []]));
+    if (workItemIds.length === 0) return tagsByItem;
+
+    const rows = await dbAll(`
+      SELECT wit.workItemId, t.* FROM work_item_tags wit
+      JOIN tags t ON t.id = wit.tagId
+      WHERE wit.workItemId IN (${workItemIds.map(() => '?').join(', ')})
+      ORDER BY t.name ASC
+    `, workItemIds);
+
+    for (const row of rows) {
+      tagsByItem.get(row.workItemId).push(new Tag(row));
+    }
+    return tagsByItem;
+  }
+
+  static async setForWorkItem(workItemId, names, createdBy = null) {
+    const tags = await Tag.findOrCreateByNames(names, createdBy);
+
+    await dbRun('DELETE FROM work_item_tags WHERE workItemId = ?', [workItemId]);
+    for (const tag of tags) {
+      await dbRun('INSERT OR IGNORE INTO work_item_tags (workItemId, tagId) VALUES (?, ?)', [workItemId, tag.id]);
+    }
+    return tags;
+  }
+
+  async update({ name, color, description }) {
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(validateName(name));
+    }
+    if (color !== undefined) {
+      updates.push('color = ?');
+      params.push(validateColor(color));
+    }
+    if (description !== undefined) {
+      updates.push('description = ?');
+      params.push((description || '').trim());
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    params.push(this.id);
+
+    try {
+      await dbRun(`UPDATE tags SET ${updates.join(', ')} WHERE id = ?`, params);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A tag with this name already exists');
+      }
+      throw error;
+    }
+
+    Object.assign(this, await Tag.findById(this.id));
+    return this;
+  }
+
+  // Move every work item tagged with this tag over to `target`, then drop this tag
+  async mergeInto(target) {
+    if (target.id === this.id) {
+      throw new Error('Cannot merge a tag into itself');
+    }
+    await dbRun(`
+      INSERT OR IGNORE INTO work_item_tags (workItemId, tagId)
+      SELECT workItemId, ? FROM work_item_tags WHERE tagId = ?
+    `, [target.id, this.id]);
+    await this.delete();
+  }
+
+  async delete() {
+    await dbRun('DELETE FROM tags WHERE id = ?', [this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      color: this.color,
+      description: this.description,
+      ...(this.usageCount !== undefined ? { usageCount: this.usageCount } : {})
+    };
+  }
+}
+
+module.exports = Tag;
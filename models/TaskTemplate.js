@@ -0,0 +1,206 @@
+// models/TaskTemplate.js - Reusable task text with placeholders and a default relative deadline
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const WorkItem = require('./WorkItem');
+const Tag = require('./Tag');
+const ChecklistItem = require('./ChecklistItem');
+const { validatePlaceholders, render, parseRelativeDeadline, formatRelativeDeadline, resolveRelativeDeadline } = require('../utils/templates');
+
+const TEXT_FIELDS = ['task', 'description', 'instructions'];
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+// Tags as a list or a comma-separated string
+const normalizeTags = (tags) => [].concat(tags || [])
+  .flatMap(tag => String(tag).split(','))
+  .map(tag => tag.trim())
+  .filter(Boolean)
+  .map(Tag.validateName);
+
+class TaskTemplate {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.task = data.task;
+    this.description = data.description;
+    this.instructions = data.instructions;
+    this.defaultDeadline = data.defaultDeadline;
+    this.priority = data.priority;
+    this.tags = parseJson(data.tags);
+    this.checklist = parseJson(data.checklist);
+    this.requireChecklist = !!data.requireChecklist;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  // Validate and normalize whichever template fields are present
+  static prepare(data) {
+    const fields = {};
+
+    if (data.name !== undefined) {
+      fields.name = (data.name || '').trim();
+      if (!fields.name) throw new Error('Template name is required');
+      if (fields.name.length > 100) throw new Error('Template name cannot be longer than 100 characters');
+    }
+
+    for (const key of TEXT_FIELDS) {
+      if (data[key] !== undefined) {
+        fields[key] = (data[key] || '').trim();
+        validatePlaceholders(fields[key]);
+      }
+    }
+
+    if ((fields.task !== undefined && !fields.task) || (fields.instructions !== undefined && !fields.instructions)) {
+      throw new Error('Template task and instructions cannot be empty');
+    }
+    if (fields.task && fields.task.length > 200) {
+      throw new Error('Task cannot be longer than 200 characters');
+    }
+
+    if (data.defaultDeadline !== undefined) {
+      fields.defaultDeadline = data.defaultDeadline ? formatRelativeDeadline(parseRelativeDeadline(data.defaultDeadline)) : null;
+    }
+
+    if (data.priority !== undefined) {
+      if (!WorkItem.PRIORITIES.includes(data.priority)) {
+        throw new Error('Priority must be low, normal, high, or urgent');
+      }
+      fields.priority = data.priority;
+    }
+
+    if (data.tags !== undefined) {
+      fields.tags = JSON.stringify(normalizeTags(data.tags));
+    }
+
+    if (data.checklist !== undefined) {
+      const checklist = ChecklistItem.normalize(data.checklist);
+      checklist.forEach(item => validatePlaceholders(item.text));
+      fields.checklist = JSON.stringify(checklist);
+    }
+
+    if (data.requireChecklist !== undefined) {
+      fields.requireChecklist = data.requireChecklist ? 1 : 0;
+    }
+
+    return fields;
+  }
+
+  static async create(data) {
+    if (!data.name || !data.task || !data.instructions) {
+      throw new Error('Template name, task and instructions are required');
+    }
+
+    const fields = TaskTemplate.prepare(data);
+    fields.createdBy = data.createdBy || null;
+    const columns = Object.keys(fields);
+
+    try {
+      const result = await dbRun(
+        `INSERT INTO task_templates (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => fields[column])
+      );
+      return await TaskTemplate.findById(result.id);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A template with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM task_templates WHERE id = ?', [id]);
+    return row ? new TaskTemplate(row) : null;
+  }
+
+  static async findAll() {
+    const rows = await dbAll('SELECT * FROM task_templates ORDER BY name ASC');
+    return rows.map(row => new TaskTemplate(row));
+  }
+
+  async update(updateData) {
+    const fields = TaskTemplate.prepare(updateData);
+    const columns = Object.keys(fields);
+
+    if (columns.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    try {
+      await dbRun(
+        `UPDATE task_templates SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...columns.map(column => fields[column]), this.id]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A template with this name already exists');
+      }
+      throw error;
+    }
+
+    Object.assign(this, await TaskTemplate.findById(this.id));
+    return this;
+  }
+
+  async delete() {
+    await dbRun('DELETE FROM task_templates WHERE id = ?', [this.id]);
+  }
+
+  // Fill in placeholders for one assignment. An explicit deadline wins over the
+  // template's relative default; {{deadline}} renders whichever applies.
+  render({ worker = null, team = null, assigner = null, deadline, now = new Date() } = {}) {
+    let resolvedDeadline = deadline;
+    if (!resolvedDeadline) {
+      if (!this.defaultDeadline) {
+        throw new Error('Deadline is required because the template has no default deadline');
+      }
+      resolvedDeadline = resolveRelativeDeadline(this.defaultDeadline, now).toISOString();
+    } else if (isNaN(new Date(resolvedDeadline).getTime())) {
+      throw new Error('Deadline must be a valid date');
+    }
+
+    const context = { worker, team, assigner, deadline: resolvedDeadline, now };
+    const task = render(this.task, context);
+    if (task.length > 200) {
+      throw new Error('Task cannot be longer than 200 characters once the template is filled in');
+    }
+
+    return {
+      task,
+      description: render(this.description || '', context),
+      instructions: render(this.instructions, context),
+      deadline: resolvedDeadline,
+      priority: this.priority,
+      tags: this.tags,
+      checklist: this.checklist.map(item => ({ ...item, text: render(item.text, context) })),
+      requireChecklist: this.requireChecklist,
+      templateId: this.id
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      task: this.task,
+      description: this.description,
+      instructions: this.instructions,
+      defaultDeadline: this.defaultDeadline,
+      priority: this.priority,
+      tags: this.tags,
+      checklist: this.checklist,
+      requireChecklist: this.requireChecklist,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = TaskTemplate;
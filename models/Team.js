@@ -0,0 +1,202 @@
+// models/Team.js - Teams, their members and leads
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+class Team {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+    this.memberCount = data.memberCount;
+    this.members = data.members;
+  }
+
+  static validateName(name) {
+    if (!name || !name.trim()) {
+      throw new Error('Team name is required');
+    }
+    if (name.trim().length > 100) {
+      throw new Error('Team name cannot be longer than 100 characters');
+    }
+    return name.trim();
+  }
+
+  static async create({ name, description = '', createdBy }) {
+    const teamName = Team.validateName(name);
+
+    try {
+      const result = await dbRun(
+        'INSERT INTO teams (name, description, createdBy) VALUES (?, ?, ?)',
+        [teamName, (description || '').trim(), createdBy || null]
+      );
+      return await Team.findById(result.id);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A team with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet(`
+      SELECT t.*, (SELECT COUNT(*) FROM team_members tm WHERE tm.teamId = t.id) as memberCount
+      FROM teams t
+      WHERE t.id = ?
+    `, [id]);
+    return row ? new Team(row) : null;
+  }
+
+  // All teams, or only the teams a user belongs to
+  static async findAll(filters = {}) {
+    let sql = `
+      SELECT t.*, (SELECT COUNT(*) FROM team_members tm WHERE tm.teamId = t.id) as memberCount
+      FROM teams t
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.memberId) {
+      sql += ' AND t.id IN (SELECT teamId FROM team_members WHERE userId = ?)';
+      params.push(filters.memberId);
+    }
+
+    sql += ' ORDER BY t.name ASC';
+
+    const rows = await dbAll(sql, params);
+    return rows.map(row => new Team(row));
+  }
+
+  // IDs of the teams a user leads
+  static async findLedTeamIds(userId) {
+    const rows = await dbAll('SELECT teamId FROM team_members WHERE userId = ? AND isLead = 1', [userId]);
+    return rows.map(row => row.teamId);
+  }
+
+  static async isMember(teamId, userId) {
+    const row = await dbGet('SELECT 1 as found FROM team_members WHERE teamId = ? AND userId = ?', [teamId, userId]);
+    return !!row;
+  }
+
+  static async isLead(teamId, userId) {
+    const row = await dbGet('SELECT 1 as found FROM team_members WHERE teamId = ? AND userId = ? AND isLead = 1', [teamId, userId]);
+    return !!row;
+  }
+
+  // Whether leadId leads at least one team that userId is a member of
+  static async leadsUser(leadId, userId) {
+    const row = await dbGet(`
+      SELECT 1 as found
+      FROM team_members lead
+      JOIN team_members member ON member.teamId = lead.teamId
+      WHERE lead.userId = ? AND lead.isLead = 1 AND member.userId = ?
+    `, [leadId, userId]);
+    return !!row;
+  }
+
+  async getMembers() {
+    const rows = await dbAll(`
+      SELECT u.id, u.name, u.email, u.role, u.isActive, tm.isLead, tm.addedAt
+      FROM team_members tm
+      JOIN users u ON u.id = tm.userId
+      WHERE tm.teamId = ?
+      ORDER BY tm.isLead DESC, u.name ASC
+    `, [this.id]);
+
+    this.members = rows.map(row => ({ ...row, isActive: !!row.isActive, isLead: !!row.isLead }));
+    this.memberCount = this.members.length;
+    return this.members;
+  }
+
+  async update({ name, description }) {
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(Team.validateName(name));
+    }
+
+    if (description !== undefined) {
+      updates.push('description = ?');
+      params.push((description || '').trim());
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updatedAt = CURRENT_TIMESTAMP');
+    params.push(this.id);
+
+    try {
+      await dbRun(`UPDATE teams SET ${updates.join(', ')} WHERE id = ?`, params);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A team with this name already exists');
+      }
+      throw error;
+    }
+
+    Object.assign(this, await Team.findById(this.id));
+    return this;
+  }
+
+  async addMember(userId, { isLead = false } = {}) {
+    const user = await dbGet('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await dbRun(`
+      INSERT INTO team_members (teamId, userId, isLead) VALUES (?, ?, ?)
+      ON CONFLICT (teamId, userId) DO UPDATE SET isLead = excluded.isLead
+    `, [this.id, userId, isLead ? 1 : 0]);
+  }
+
+  async removeMember(userId) {
+    const result = await dbRun('DELETE FROM team_members WHERE teamId = ? AND userId = ?', [this.id, userId]);
+    if (result.changes === 0) {
+      throw new Error('User is not a member of this team');
+    }
+  }
+
+  async setLead(userId, isLead) {
+    const result = await dbRun(
+      'UPDATE team_members SET isLead = ? WHERE teamId = ? AND userId = ?',
+      [isLead ? 1 : 0, this.id, userId]
+    );
+    if (result.changes === 0) {
+      throw new Error('User is not a member of this team');
+    }
+  }
+
+  async delete() {
+    const queued = await dbGet(
+      'SELECT COUNT(*) as count FROM work_items WHERE teamId = ? AND workerId IS NULL',
+      [this.id]
+    );
+    if (queued.count > 0) {
+      throw new Error('Team still has unclaimed tasks in its queue');
+    }
+
+    await dbRun('DELETE FROM teams WHERE id = ?', [this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      memberCount: this.memberCount,
+      ...(this.members ? { members: this.members } : {})
+    };
+  }
+}
+
+module.exports = Team;
@@ -1,5 +1,16 @@
 const { dbGet, dbAll, dbRun } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { policy, validatePassword } = require('../utils/passwordPolicy');
+const { config: loginThrottle, windowStart } = require('../utils/loginThrottle');
+const totp = require('../utils/totp');
+const tokenEncryption = require('../utils/tokenEncryption');
+
+// Members of any team the given user leads
+const MANAGED_USERS_SQL = `id IN (
+  SELECT member.userId FROM team_members member
+  JOIN team_members lead ON lead.teamId = member.teamId
+  WHERE lead.userId = ? AND lead.isLead = 1
+)`;
 
 class User {
   constructor(data) {
@@ -10,6 +21,13 @@ class User {
     this.role = data.role;
     this.isActive = data.isActive;
     this.lastLogin = data.lastLogin;
+    this.mustChangePassword = data.mustChangePassword;
+    this.failedLoginAttempts = data.failedLoginAttempts;
+    this.lastFailedLoginAt = data.lastFailedLoginAt;
+    this.lockedUntil = data.lockedUntil;
+    this.twoFactorSecret = data.twoFactorSecret;
+    this.twoFactorEnabled = data.twoFactorEnabled;
+    this.twoFactorLastUsedStep = data.twoFactorLastUsedStep;
     this.createdAt = data.createdAt;
     this.updatedAt = data.updatedAt;
   }
@@ -35,8 +53,9 @@ class User {
     }
 
     // Validate role
-    if (!['admin', 'worker'].includes(role)) {
-      throw new Error('Role must be either admin or worker');
+    const roleRow = await dbGet('SELECT name FROM roles WHERE name = ?', [role]);
+    if (!roleRow) {
+      throw new Error(`Role "${role}" does not exist`);
     }
 
     try {
@@ -81,6 +100,11 @@ class User {
       params.push(filters.isActive ? 1 : 0);
     }
 
+    if (filters.managedBy) {
+      sql += ` AND ${MANAGED_USERS_SQL}`;
+      params.push(filters.managedBy);
+    }
+
     sql += ' ORDER BY createdAt DESC';
 
     const rows = await dbAll(sql, params);
@@ -102,13 +126,30 @@ class User {
       params.push(filters.role);
     }
 
+    if (filters.managedBy) {
+      sql += ` AND ${MANAGED_USERS_SQL}`;
+      params.push(filters.managedBy);
+    }
+
     const result = await dbGet(sql, params);
     return result.count;
   }
 
+  // Move the user to another role (must exist in the roles table)
+  async setRole(role) {
+    const roleRow = await dbGet('SELECT name FROM roles WHERE name = ?', [role]);
+    if (!roleRow) {
+      throw new Error(`Role "${role}" does not exist`);
+    }
+
+    await dbRun('UPDATE users SET role = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [role, this.id]);
+    this.role = role;
+    return this;
+  }
+
   // Update user
   async update(updateData) {
-    const allowedFields = ['name', 'email', 'isActive', 'lastLogin'];
+    const allowedFields = ['name', 'email', 'isActive', 'lastLogin', 'mustChangePassword'];
     const updates = [];
     const params = [];
 
@@ -146,12 +187,54 @@ class User {
     return this.role === 'admin';
   }
 
+  isManager() {
+    return this.role === 'manager';
+  }
+
   isWorker() {
     return this.role === 'worker';
   }
 
+  // Check a new password against the policy and the last N passwords
+  async validateNewPassword(password) {
+    const [policyError] = validatePassword(password);
+    if (policyError) {
+      throw new Error(policyError);
+    }
+
+    if (policy.historyCount > 0) {
+      const previous = await dbAll(
+        'SELECT passwordHash FROM password_history WHERE userId = ? ORDER BY id DESC LIMIT ?',
+        [this.id, policy.historyCount - 1]
+      );
+      const hashes = [this.password, ...previous.map(row => row.passwordHash)];
+
+      for (const hash of hashes) {
+        if (hash && await bcrypt.compare(password, hash)) {
+          throw new Error(`Password cannot be one of your last ${policy.historyCount} passwords`);
+        }
+      }
+    }
+  }
+
+  // Hash and store a new password, remembering the old one for the history check
+  async setPassword(password) {
+    await this.validateNewPassword(password);
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await dbRun('INSERT INTO password_history (userId, passwordHash) VALUES (?, ?)', [this.id, this.password]);
+    await dbRun(
+      'UPDATE users SET password = ?, mustChangePassword = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [hashedPassword, this.id]
+    );
+    this.password = hashedPassword;
+    this.mustChangePassword = 0;
+    return this;
+  }
+
   // Compare password
   async comparePassword(password) {
+    if (typeof password !== 'string') return false;
     return await bcrypt.compare(password, this.password);
   }
 
@@ -161,9 +244,147 @@ class User {
     this.lastLogin = new Date().toISOString();
   }
 
-  // Convert to JSON (exclude password)
+  isLocked() {
+    return !!this.lockedUntil && new Date(this.lockedUntil) > new Date();
+  }
+
+  // Count a failed login; returns true when this failure locked the account
+  async registerFailedLogin() {
+    // Failures older than the attempt window don't count towards a lockout
+    const stale = !this.lastFailedLoginAt || this.lastFailedLoginAt < windowStart();
+    const failures = (stale ? 0 : (this.failedLoginAttempts || 0)) + 1;
+    const now = new Date();
+    const locks = failures >= loginThrottle.maxAccountFailures;
+    const lockedUntil = locks
+      ? new Date(now.getTime() + loginThrottle.lockoutMinutes * 60 * 1000).toISOString()
+      : null;
+
+    await dbRun(
+      'UPDATE users SET failedLoginAttempts = ?, lastFailedLoginAt = ?, lockedUntil = ? WHERE id = ?',
+      [locks ? 0 : failures, now.toISOString(), lockedUntil, this.id]
+    );
+
+    this.failedLoginAttempts = locks ? 0 : failures;
+    this.lastFailedLoginAt = now.toISOString();
+    this.lockedUntil = lockedUntil;
+    return locks;
+  }
+
+  async resetFailedLogins() {
+    await dbRun(
+      'UPDATE users SET failedLoginAttempts = 0, lastFailedLoginAt = NULL, lockedUntil = NULL WHERE id = ?',
+      [this.id]
+    );
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = null;
+    this.lockedUntil = null;
+  }
+
+  // Store a fresh, not yet enabled TOTP secret
+  async startTwoFactorEnrollment() {
+    const secret = totp.generateSecret();
+    await dbRun(
+      'UPDATE users SET twoFactorSecret = ?, twoFactorEnabled = 0, twoFactorLastUsedStep = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [secret, this.id]
+    );
+    this.twoFactorSecret = secret;
+    this.twoFactorEnabled = 0;
+    this.twoFactorLastUsedStep = null;
+    return secret;
+  }
+
+  // Check a TOTP code; each code is accepted at most once
+  async verifyTwoFactorCode(code) {
+    if (!this.twoFactorSecret) return false;
+
+    const step = totp.verifyCode(this.twoFactorSecret, code, {
+      afterStep: this.twoFactorLastUsedStep === null || this.twoFactorLastUsedStep === undefined ? -1 : this.twoFactorLastUsedStep
+    });
+    if (step === null) return false;
+
+    await dbRun('UPDATE users SET twoFactorLastUsedStep = ? WHERE id = ?', [step, this.id]);
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  async setTwoFactorEnabled(enabled) {
+    if (enabled) {
+      await dbRun('UPDATE users SET twoFactorEnabled = 1, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [this.id]);
+      this.twoFactorEnabled = 1;
+    } else {
+      await dbRun(
+        'UPDATE users SET twoFactorEnabled = 0, twoFactorSecret = NULL, twoFactorLastUsedStep = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+        [this.id]
+      );
+      this.twoFactorEnabled = 0;
+      this.twoFactorSecret = null;
+      this.twoFactorLastUsedStep = null;
+    }
+  }
+
+  // Decrypted Google OAuth tokens, or null when Calendar is not connected
+  async getGoogleTokens() {
+    const row = await dbGet('SELECT googleAccessToken, googleRefreshToken FROM users WHERE id = ?', [this.id]);
+    if (!row || !row.googleAccessToken || !row.googleRefreshToken) return null;
+
+    return {
+      accessToken: tokenEncryption.decrypt(row.googleAccessToken),
+      refreshToken: tokenEncryption.decrypt(row.googleRefreshToken)
+    };
+  }
+
+  // Store tokens encrypted. Google only sends a refresh token with some grants,
+  // so leaving it out keeps the stored one.
+  async saveGoogleTokens({ accessToken, refreshToken }) {
+    const updates = ['googleAccessToken = ?', 'googleDisconnectedAt = NULL', 'googleDisconnectReason = NULL'];
+    const params = [tokenEncryption.encrypt(accessToken)];
+
+    if (refreshToken) {
+      updates.push('googleRefreshToken = ?');
+      params.push(tokenEncryption.encrypt(refreshToken));
+    }
+
+    await dbRun(`UPDATE users SET ${updates.join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`, [...params, this.id]);
+  }
+
+  // Forget the tokens. reason is shown by GET /api/auth/google/status; none means the user chose to disconnect.
+  async disconnectGoogle(reason = null) {
+    await dbRun(`
+      UPDATE users SET googleAccessToken = NULL, googleRefreshToken = NULL,
+        googleDisconnectedAt = CURRENT_TIMESTAMP, googleDisconnectReason = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [reason, this.id]);
+  }
+
+  async getGoogleStatus() {
+    const row = await dbGet(
+      'SELECT googleAccessToken, googleRefreshToken, googleDisconnectedAt, googleDisconnectReason FROM users WHERE id = ?',
+      [this.id]
+    );
+    const status = {
+      connected: !!(row && row.googleAccessToken && row.googleRefreshToken),
+      disconnectedAt: row ? row.googleDisconnectedAt : null,
+      disconnectReason: row ? row.googleDisconnectReason : null
+    };
+
+    // Tokens we can't read (e.g. their key was dropped) are as good as none. They
+    // are kept in case the key comes back; reconnecting replaces them.
+    if (status.connected) {
+      try {
+        tokenEncryption.decrypt(row.googleAccessToken);
+        tokenEncryption.decrypt(row.googleRefreshToken);
+      } catch (error) {
+        console.error(`Cannot decrypt Google tokens for user ${this.email}:`, error.message);
+        return { connected: false, disconnectedAt: null, disconnectReason: 'Stored Google tokens cannot be decrypted' };
+      }
+    }
+
+    return status;
+  }
+
+  // Convert to JSON (exclude password and 2FA secrets)
   toJSON() {
-    const { password, ...userWithoutPassword } = this;
+    const { password, twoFactorSecret, twoFactorLastUsedStep, ...userWithoutPassword } = this;
     return userWithoutPassword;
   }
 }
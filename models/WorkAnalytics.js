@@ -0,0 +1,215 @@
+// models/WorkAnalytics.js - Throughput and review metrics, overall / per worker / per time bucket
+//
+// Each metric is counted when its event happens:
+//   on-time rate       - tasks whose deadline passed in the range; on time if the first
+//                        submission came in at or before the deadline
+//   hours to submit    - first submissions in the range, from assignment (or claim) time
+//   review turnaround  - reviews in the range, from the submission they decided on
+//   rejection rate     - reviews in the range that were rejections
+//   revision cycles    - approvals in the range: rejections the task went through first
+const { dbAll } = require('../config/database');
+const WorkItem = require('./WorkItem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 400;
+
+// SQLite expression for the bucket an event timestamp falls in (weeks start on Monday)
+const bucketSql = (column, interval) => (interval === 'week'
+  ? `date(${column}, '-6 days', 'weekday 1')`
+  : `date(${column})`);
+
+const emptyTotals = () => ({
+  dueCount: 0,
+  onTimeCount: 0,
+  submissionCount: 0,
+  submitHoursTotal: 0,
+  reviewCount: 0,
+  timedReviewCount: 0,
+  reviewHoursTotal: 0,
+  rejectedCount: 0,
+  approvedCount: 0,
+  revisionCyclesTotal: 0
+});
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+const average = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : null);
+
+const summarize = (totals) => ({
+  onTimeRate: percent(totals.onTimeCount, totals.dueCount),
+  averageHoursToSubmit: average(totals.submitHoursTotal, totals.submissionCount),
+  averageReviewHours: average(totals.reviewHoursTotal, totals.timedReviewCount),
+  rejectionRate: percent(totals.rejectedCount, totals.reviewCount),
+  averageRevisionCycles: average(totals.revisionCyclesTotal, totals.approvedCount),
+  counts: {
+    due: totals.dueCount,
+    onTime: totals.onTimeCount,
+    submissions: totals.submissionCount,
+    reviews: totals.reviewCount,
+    approved: totals.approvedCount,
+    rejected: totals.rejectedCount
+  }
+});
+
+// First day of every bucket between from and to, so charts get explicit zeros
+const bucketStarts = (from, to, interval) => {
+  const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  const buckets = [];
+  for (let time = start.getTime(); time <= to.getTime(); time += step) {
+    buckets.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return buckets;
+};
+
+const validateRange = ({ from, to, interval }) => {
+  if (!['day', 'week'].includes(interval)) {
+    throw new Error('interval must be day or week');
+  }
+  if (from > to) {
+    throw new Error('from must be before to');
+  }
+  if (bucketStarts(from, to, interval).length > MAX_BUCKETS) {
+    throw new Error(`Date range is too long for ${interval === 'week' ? 'weekly' : 'daily'} buckets (max ${MAX_BUCKETS})`);
+  }
+};
+
+// Work item filters (scope, worker, team) as a WHERE fragment on alias wi
+const scopeSql = (filters, params) => WorkItem.applyFilters(filters, params);
+
+const loadDeadlines = async ({ from, to, interval, filters }) => {
+  const params = [from.toISOString(), to.toISOString(), new Date().toISOString()];
+  const sql = `
+    SELECT wi.workerId, ${bucketSql('wi.deadline', interval)} as bucket,
+           (SELECT MIN(julianday(s.submittedAt)) FROM work_item_submissions s WHERE s.workItemId = wi.id)
+             <= julianday(wi.deadline) as onTime
+    FROM work_items wi
+    WHERE julianday(wi.deadline) BETWEEN julianday(?) AND julianday(?)
+      AND julianday(wi.deadline) <= julianday(?)
+      ${scopeSql(filters, params)}
+  `;
+  return await dbAll(sql, params);
+};
+
+const loadFirstSubmissions = async ({ from, to, interval, filters }) => {
+  const params = [];
+  const scope = scopeSql(filters, params);
+  params.push(from.toISOString(), to.toISOString());
+  const sql = `
+    SELECT workerId, ${bucketSql('firstSubmittedAt', interval)} as bucket,
+           (julianday(firstSubmittedAt) - julianday(receivedAt)) * 24 as hours
+    FROM (
+      SELECT wi.workerId, COALESCE(wi.claimedAt, wi.assignedAt) as receivedAt,
+             (SELECT s.submittedAt FROM work_item_submissions s WHERE s.workItemId = wi.id
+              ORDER BY julianday(s.submittedAt) ASC LIMIT 1) as firstSubmittedAt
+      FROM work_items wi
+      WHERE 1=1 ${scope}
+    )
+    WHERE firstSubmittedAt IS NOT NULL
+      AND julianday(firstSubmittedAt) BETWEEN julianday(?) AND julianday(?)
+  `;
+  return await dbAll(sql, params);
+};
+
+const loadReviews = async ({ from, to, interval, filters }) => {
+  const params = [from.toISOString(), to.toISOString()];
+  const sql = `
+    SELECT wi.workerId, r.decision, ${bucketSql('r.reviewedAt', interval)} as bucket,
+           (julianday(r.reviewedAt) - julianday(s.submittedAt)) * 24 as hours,
+           (SELECT COUNT(*) FROM work_item_reviews earlier
+            WHERE earlier.workItemId = r.workItemId AND earlier.decision = 'rejected' AND earlier.id < r.id) as priorRejections
+    FROM work_item_reviews r
+    JOIN work_items wi ON wi.id = r.workItemId
+    LEFT JOIN work_item_submissions s ON s.id = r.submissionId
+    WHERE julianday(r.reviewedAt) BETWEEN julianday(?) AND julianday(?)
+      ${scopeSql(filters, params)}
+  `;
+  return await dbAll(sql, params);
+};
+
+const loadWorkers = async (workerIds) => {
+  if (workerIds.length === 0) return new Map();
+  const rows = await dbAll(
+    `SELECT id, name, email FROM users WHERE id IN (${workerIds.map(() => '?').join(', ')})`,
+    workerIds
+  );
+  return new Map(rows.map(row => [row.id, row]));
+};
+
+class WorkAnalytics {
+  // filters: work item filters (managedBy, workerId, teamId); interval: 'day' | 'week'
+  static async build({ from, to, interval = 'day', filters = {} }) {
+    validateRange({ from, to, interval });
+
+    const range = { from, to, interval, filters };
+    const [deadlines, submissions, reviews] = await Promise.all([
+      loadDeadlines(range),
+      loadFirstSubmissions(range),
+      loadReviews(range)
+    ]);
+
+    const overall = emptyTotals();
+    const byWorker = new Map();
+    const byBucket = new Map(bucketStarts(from, to, interval).map(bucket => [bucket, emptyTotals()]));
+
+    // Add one event to the overall, per-worker and per-bucket totals
+    const record = (row, apply) => {
+      apply(overall);
+      if (row.workerId) {
+        if (!byWorker.has(row.workerId)) byWorker.set(row.workerId, emptyTotals());
+        apply(byWorker.get(row.workerId));
+      }
+      if (byBucket.has(row.bucket)) apply(byBucket.get(row.bucket));
+    };
+
+    for (const row of deadlines) {
+      record(row, totals => {
+        totals.dueCount += 1;
+        if (row.onTime) totals.onTimeCount += 1;
+      });
+    }
+
+    for (const row of submissions) {
+      record(row, totals => {
+        totals.submissionCount += 1;
+        totals.submitHoursTotal += Math.max(0, row.hours);
+      });
+    }
+
+    for (const row of reviews) {
+      record(row, totals => {
+        totals.reviewCount += 1;
+        // Reviews recorded before submission history existed have no submission time
+        if (row.hours !== null) {
+          totals.timedReviewCount += 1;
+          totals.reviewHoursTotal += Math.max(0, row.hours);
+        }
+        if (row.decision === 'rejected') {
+          totals.rejectedCount += 1;
+        } else {
+          totals.approvedCount += 1;
+          totals.revisionCyclesTotal += row.priorRejections;
+        }
+      });
+    }
+
+    const workers = await loadWorkers([...byWorker.keys()]);
+
+    return {
+      range: { from: from.toISOString(), to: to.toISOString(), interval },
+      overall: summarize(overall),
+      workers: [...byWorker.entries()]
+        .map(([workerId, totals]) => ({
+          worker: workers.get(workerId) || { id: workerId, name: null, email: null },
+          ...summarize(totals)
+        }))
+        .sort((a, b) => String(a.worker.name).localeCompare(String(b.worker.name))),
+      series: [...byBucket.entries()].map(([bucket, totals]) => ({ bucket, ...summarize(totals) }))
+    };
+  }
+}
+
+module.exports = WorkAnalytics;
@@ -1,16 +1,232 @@
 // models/WorkItem.js - Complete file
 const { dbGet, dbAll, dbRun } = require('../config/database');
+const WorkItemSubmission = require('./WorkItemSubmission');
+const WorkItemReview = require('./WorkItemReview');
+const Attachment = require('./Attachment');
+const Tag = require('./Tag');
+const ChecklistItem = require('./ChecklistItem');
+const WorkItemDependency = require('./WorkItemDependency');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const PRIORITY_RANK_SQL = "CASE wi.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'normal' THEN 2 ELSE 1 END";
+
+const STATUS_RANK_SQL = "CASE wi.status WHEN 'pending' THEN 1 WHEN 'rejected' THEN 2 WHEN 'submitted' THEN 3 ELSE 4 END";
+
+// Sortable fields and the direction each one uses unless ?order= says otherwise
+const SORT_FIELDS = {
+  assignedAt: 'desc',
+  deadline: 'asc',
+  claimedAt: 'desc',
+  submittedAt: 'desc',
+  reviewedAt: 'desc',
+  status: 'asc',
+  priority: 'desc'
+};
+
+const orderBy = (sort = 'assignedAt', order = SORT_FIELDS[sort] || 'desc') => {
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  if (sort === 'priority') {
+    // Most urgent first, then whatever is due soonest
+    return `${PRIORITY_RANK_SQL} ${direction}, julianday(wi.deadline) ASC, wi.id DESC`;
+  }
+  if (sort === 'status') {
+    // Workflow order: still with the worker, waiting on review, done
+    return `${STATUS_RANK_SQL} ${direction}, julianday(wi.deadline) ASC, wi.id DESC`;
+  }
+
+  const column = SORT_FIELDS[sort] ? `wi.${sort}` : 'wi.assignedAt';
+  // Rows without the date (e.g. never submitted) go last either way
+  return `${column} IS NULL, julianday(${column}) ${direction}, wi.id ${direction}`;
+};
+
+// Free text as an FTS5 query: every word must match, as a prefix, and FTS
+// syntax characters in the input are treated as plain text
+const toSearchQuery = (text) => String(text)
+  .split(/\s+/)
+  .map(word => word.replace(/"/g, ''))
+  .filter(Boolean)
+  .map(word => `"${word}"*`)
+  .join(' ');
+
+// Fields shown in calendar events
+const CALENDAR_FIELDS = ['task', 'description', 'instructions', 'deadline'];
+
+const validatePriority = (priority) => {
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error('Priority must be low, normal, high, or urgent');
+  }
+  return priority;
+};
+
+// Work a team lead can see: tasks for members of the teams they lead, those
+// teams' queues, and anything they assigned themselves
+const MANAGED_SCOPE_SQL = `(
+  wi.assignedBy = ?
+  OR wi.workerId IN (
+    SELECT member.userId FROM team_members member
+    JOIN team_members lead ON lead.teamId = member.teamId
+    WHERE lead.userId = ? AND lead.isLead = 1
+  )
+  OR wi.teamId IN (SELECT teamId FROM team_members WHERE userId = ? AND isLead = 1)
+)`;
+
+const applyFilters = (filters, params) => {
+  let sql = '';
+
+  if (filters.workerId) {
+    sql += ' AND wi.workerId = ?';
+    params.push(filters.workerId);
+  }
+
+  if (filters.status) {
+    sql += ' AND wi.status = ?';
+    params.push(filters.status);
+  }
+
+  if (filters.priority) {
+    const priorities = [].concat(filters.priority);
+    sql += ` AND wi.priority IN (${priorities.map(() => '?').join(', ')})`;
+    params.push(...priorities);
+  }
+
+  // Work items carrying every one of the given tags
+  for (const tag of [].concat(filters.tags || [])) {
+    sql += ' AND EXISTS (SELECT 1 FROM work_item_tags wit JOIN tags t ON t.id = wit.tagId WHERE wit.workItemId = wi.id AND t.name = ?)';
+    params.push(tag);
+  }
+
+  if (filters.statuses) {
+    sql += ` AND wi.status IN (${filters.statuses.map(() => '?').join(', ')})`;
+    params.push(...filters.statuses);
+  }
+
+  if (filters.deadlineFrom) {
+    sql += ' AND julianday(wi.deadline) >= julianday(?)';
+    params.push(filters.deadlineFrom);
+  }
+
+  if (filters.deadlineTo) {
+    sql += ' AND julianday(wi.deadline) <= julianday(?)';
+    params.push(filters.deadlineTo);
+  }
+
+  if (filters.assignedFrom) {
+    sql += ' AND julianday(wi.assignedAt) >= julianday(?)';
+    params.push(filters.assignedFrom);
+  }
+
+  if (filters.assignedTo) {
+    sql += ' AND julianday(wi.assignedAt) <= julianday(?)';
+    params.push(filters.assignedTo);
+  }
+
+  // Full-text match on task, description, instructions and explanation
+  const searchQuery = filters.search ? toSearchQuery(filters.search) : '';
+  if (searchQuery) {
+    sql += ' AND wi.id IN (SELECT rowid FROM work_items_fts WHERE work_items_fts MATCH ?)';
+    params.push(searchQuery);
+  }
+
+  if (filters.assignedBy) {
+    sql += ' AND wi.assignedBy = ?';
+    params.push(filters.assignedBy);
+  }
+
+  if (filters.teamId) {
+    sql += ' AND wi.teamId = ?';
+    params.push(filters.teamId);
+  }
+
+  if (filters.assignmentId) {
+    sql += ' AND wi.assignmentId = ?';
+    params.push(filters.assignmentId);
+  }
+
+  if (filters.scheduleId) {
+    sql += ' AND wi.scheduleId = ?';
+    params.push(filters.scheduleId);
+  }
+
+  if (filters.inAssignment) {
+    sql += ' AND wi.assignmentId IS NOT NULL';
+  }
+
+  if (filters.unclaimed) {
+    sql += ' AND wi.workerId IS NULL';
+  }
+
+  // Queued tasks of every team the user belongs to
+  if (filters.queueFor) {
+    sql += ' AND wi.workerId IS NULL AND wi.teamId IN (SELECT teamId FROM team_members WHERE userId = ?)';
+    params.push(filters.queueFor);
+  }
+
+  if (filters.managedBy) {
+    sql += ` AND ${MANAGED_SCOPE_SQL}`;
+    params.push(filters.managedBy, filters.managedBy, filters.managedBy);
+  }
+
+  return sql;
+};
+
+const fromRow = (row) => {
+  const workItem = new WorkItem(row);
+  workItem.worker = row.workerId ? { id: row.workerId, name: row.workerName, email: row.workerEmail } : null;
+  workItem.team = row.teamId ? { id: row.teamId, name: row.teamName } : null;
+  workItem.assignedByUser = { id: row.assignedBy, name: row.assignedByName, email: row.assignedByEmail };
+  if (row.reviewedBy) {
+    workItem.reviewedByUser = { id: row.reviewedBy, name: row.reviewedByName, email: row.reviewedByEmail };
+  }
+  return workItem;
+};
+
+// Tags, checklist progress and open blockers, loaded for the whole list in one query each
+const attachDetails = async (workItems) => {
+  const ids = workItems.map(workItem => workItem.id);
+  const tagsByItem = await Tag.findForWorkItems(ids);
+  const progressByItem = await ChecklistItem.progressForWorkItems(ids);
+  const blockersByItem = await WorkItemDependency.openBlockerCounts(ids);
+  for (const workItem of workItems) {
+    workItem.tags = tagsByItem.get(workItem.id);
+    workItem.checklistProgress = progressByItem.get(workItem.id);
+    workItem.openBlockerCount = blockersByItem.get(workItem.id);
+  }
+  return workItems;
+};
+
+const SELECT_SQL = `
+  SELECT wi.*, 
+         u1.name as workerName, u1.email as workerEmail,
+         u2.name as assignedByName, u2.email as assignedByEmail,
+         u3.name as reviewedByName, u3.email as reviewedByEmail,
+         t.name as teamName
+  FROM work_items wi
+  LEFT JOIN users u1 ON wi.workerId = u1.id
+  LEFT JOIN users u2 ON wi.assignedBy = u2.id
+  LEFT JOIN users u3 ON wi.reviewedBy = u3.id
+  LEFT JOIN teams t ON wi.teamId = t.id
+`;
 
 class WorkItem {
   constructor(data) {
     this.id = data.id;
     this.workerId = data.workerId;
+    this.teamId = data.teamId;
+    this.assignmentId = data.assignmentId;
+    this.scheduleId = data.scheduleId;
+    this.templateId = data.templateId;
     this.task = data.task;
     this.description = data.description;
     this.instructions = data.instructions;
     this.deadline = data.deadline;
     this.status = data.status;
     this.assignedAt = data.assignedAt;
+    this.claimedAt = data.claimedAt;
+    this.overdueAt = data.overdueAt;
+    this.calendarSequence = data.calendarSequence || 0;
+    this.googleEventId = data.googleEventId || null;
     this.submittedAt = data.submittedAt;
     this.reviewedAt = data.reviewedAt;
     this.explanation = data.explanation;
@@ -18,31 +234,45 @@ class WorkItem {
     this.reviewNotes = data.reviewNotes;
     this.assignedBy = data.assignedBy;
     this.reviewedBy = data.reviewedBy;
+    this.priority = data.priority;
+    this.requireChecklist = !!data.requireChecklist;
+    this.tags = data.tags || [];
+    this.checklistProgress = data.checklistProgress || null;
+    this.openBlockerCount = data.openBlockerCount || 0;
   }
 
-  static async create(workItemData) {
-    const { 
-      workerId, 
-      task, 
-      description = '',
-      instructions, 
-      deadline, 
-      assignedBy, 
-      status = 'pending' 
+  // Throws the first problem with the data create() would be given; returns the
+  // normalized checklist. Lets bulk imports check every row before writing any.
+  static validate(workItemData) {
+    const {
+      workerId,
+      teamId,
+      task,
+      instructions,
+      deadline,
+      assignedBy,
+      status = 'pending',
+      priority = 'normal',
+      checklist = []
     } = workItemData;
 
-    if (task.length > 200) {
+    if (task && task.length > 200) {
       throw new Error('Task cannot be longer than 200 characters');
     }
 
-    if (!workerId || !task || !instructions || !deadline || !assignedBy) {
+    if ((!workerId && !teamId) || !task || !instructions || !deadline || !assignedBy) {
       throw new Error('All required fields must be provided');
     }
 
+    WorkItem.validateDeadline(deadline);
+
     if (!['pending', 'submitted', 'approved', 'rejected'].includes(status)) {
       throw new Error('Status must be pending, submitted, approved, or rejected');
     }
 
+    validatePriority(priority);
+    const checklistItems = ChecklistItem.normalize(checklist);
+
     if (workItemData.workLink) {
       const urlRegex = /^https?:\/\/[^\s$.?#].[^\s]*$/;
       if (!urlRegex.test(workItemData.workLink)) {
@@ -50,11 +280,47 @@ class WorkItem {
       }
     }
 
+    return checklistItems;
+  }
+
+  // Calendar feeds and events are built from the deadline, so it has to parse
+  static validateDeadline(deadline) {
+    if (!deadline || isNaN(new Date(deadline).getTime())) {
+      throw new Error('Deadline must be a valid date');
+    }
+    return deadline;
+  }
+
+  static async create(workItemData) {
+    const { 
+      workerId, 
+      teamId,
+      assignmentId,
+      scheduleId,
+      templateId,
+      task, 
+      description = '',
+      instructions, 
+      deadline, 
+      assignedBy, 
+      status = 'pending',
+      priority = 'normal',
+      tags = [],
+      requireChecklist = false
+    } = workItemData;
+
+    const checklistItems = WorkItem.validate(workItemData);
+
     try {
       const result = await dbRun(`
-        INSERT INTO work_items (workerId, task, description, instructions, deadline, status, assignedBy)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `, [workerId, task.trim(), description.trim(), instructions.trim(), deadline, status, assignedBy]);
+        INSERT INTO work_items (workerId, teamId, assignmentId, scheduleId, templateId, task, description, instructions, deadline, status, assignedBy, priority, requireChecklist)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [workerId || null, teamId || null, assignmentId || null, scheduleId || null, templateId || null, task.trim(), description.trim(), instructions.trim(), deadline, status, assignedBy, priority, requireChecklist ? 1 : 0]);
+
+      if (tags.length > 0) {
+        await Tag.setForWorkItem(result.id, tags, assignedBy);
+      }
+      await ChecklistItem.createMany(result.id, checklistItems);
 
       return await WorkItem.findById(result.id);
     } catch (error) {
@@ -65,27 +331,11 @@ class WorkItem {
 
   static async findById(id) {
     try {
-      const row = await dbGet(`
-        SELECT wi.*, 
-               u1.name as workerName, u1.email as workerEmail,
-               u2.name as assignedByName, u2.email as assignedByEmail,
-               u3.name as reviewedByName, u3.email as reviewedByEmail
-        FROM work_items wi
-        LEFT JOIN users u1 ON wi.workerId = u1.id
-        LEFT JOIN users u2 ON wi.assignedBy = u2.id
-        LEFT JOIN users u3 ON wi.reviewedBy = u3.id
-        WHERE wi.id = ?
-      `, [id]);
+      const row = await dbGet(`${SELECT_SQL} WHERE wi.id = ?`, [id]);
       
       if (!row) return null;
 
-      const workItem = new WorkItem(row);
-      workItem.worker = { id: row.workerId, name: row.workerName, email: row.workerEmail };
-      workItem.assignedByUser = { id: row.assignedBy, name: row.assignedByName, email: row.assignedByEmail };
-      if (row.reviewedBy) {
-        workItem.reviewedByUser = { id: row.reviewedBy, name: row.reviewedByName, email: row.reviewedByEmail };
-      }
-      
+      const [workItem] = await attachDetails([fromRow(row)]);
       return workItem;
     } catch (error) {
       console.error('Database error in WorkItem.findById:', error);
@@ -95,46 +345,18 @@ class WorkItem {
 
   static async findAll(filters = {}) {
     try {
-      let sql = `
-        SELECT wi.*, 
-               u1.name as workerName, u1.email as workerEmail,
-               u2.name as assignedByName, u2.email as assignedByEmail,
-               u3.name as reviewedByName, u3.email as reviewedByEmail
-        FROM work_items wi
-        LEFT JOIN users u1 ON wi.workerId = u1.id
-        LEFT JOIN users u2 ON wi.assignedBy = u2.id
-        LEFT JOIN users u3 ON wi.reviewedBy = u3.id
-        WHERE 1=1
-      `;
       const params = [];
+      let sql = `${SELECT_SQL} WHERE 1=1`;
+      sql += applyFilters(filters, params);
+      sql += ` ORDER BY ${orderBy(filters.sort, filters.order)}`;
 
-      if (filters.workerId) {
-        sql += ' AND wi.workerId = ?';
-        params.push(filters.workerId);
-      }
-
-      if (filters.status) {
-        sql += ' AND wi.status = ?';
-        params.push(filters.status);
+      if (filters.limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(filters.limit, filters.offset || 0);
       }
 
-      if (filters.assignedBy) {
-        sql += ' AND wi.assignedBy = ?';
-        params.push(filters.assignedBy);
-      }
-
-      sql += ' ORDER BY wi.assignedAt DESC';
-
       const rows = await dbAll(sql, params);
-      return rows.map(row => {
-        const workItem = new WorkItem(row);
-        workItem.worker = { id: row.workerId, name: row.workerName, email: row.workerEmail };
-        workItem.assignedByUser = { id: row.assignedBy, name: row.assignedByName, email: row.assignedByEmail };
-        if (row.reviewedBy) {
-          workItem.reviewedByUser = { id: row.reviewedBy, name: row.reviewedByName, email: row.reviewedByEmail };
-        }
-        return workItem;
-      });
+      return await attachDetails(rows.map(fromRow));
     } catch (error) {
       console.error('Database error in WorkItem.findAll:', error);
       throw new Error(`Failed to find work items: ${error.message}`);
@@ -143,18 +365,8 @@ class WorkItem {
 
   static async count(filters = {}) {
     try {
-      let sql = 'SELECT COUNT(*) as count FROM work_items WHERE 1=1';
       const params = [];
-
-      if (filters.status) {
-        sql += ' AND status = ?';
-        params.push(filters.status);
-      }
-
-      if (filters.workerId) {
-        sql += ' AND workerId = ?';
-        params.push(filters.workerId);
-      }
+      const sql = 'SELECT COUNT(*) as count FROM work_items wi WHERE 1=1' + applyFilters(filters, params);
 
       const result = await dbGet(sql, params);
       return result.count;
@@ -164,27 +376,66 @@ class WorkItem {
     }
   }
 
-  async update(updateData) {
+  // Status only changes when lifecycle is set: approve() and reject() do that,
+  // and their callers notify, sync calendars and unblock dependent work
+  async update(updateData, { lifecycle = false } = {}) {
     try {
-      const allowedFields = ['task', 'description', 'instructions', 'deadline', 'status', 'submittedAt', 'reviewedAt', 'explanation', 'workLink', 'reviewNotes', 'reviewedBy'];
+      const allowedFields = ['task', 'description', 'instructions', 'deadline', 'submittedAt', 'reviewedAt', 'explanation', 'workLink', 'reviewNotes', 'reviewedBy', 'priority', 'requireChecklist'];
+      if (lifecycle) {
+        allowedFields.push('status');
+      }
       const updates = [];
       const params = [];
 
       for (const [key, value] of Object.entries(updateData)) {
         if (allowedFields.includes(key) && value !== undefined) {
           updates.push(`${key} = ?`);
+          if (key === 'requireChecklist') {
+            params.push(value ? 1 : 0);
+            continue;
+          }
           params.push(key === 'task' || key === 'description' || key === 'instructions' || key === 'explanation' || key === 'reviewNotes' ? 
             (value ? value.trim() : value) : value);
         }
       }
 
-      if (updates.length === 0) {
+      if (updateData.priority !== undefined) {
+        validatePriority(updateData.priority);
+      }
+      if (updateData.deadline !== undefined) {
+        WorkItem.validateDeadline(updateData.deadline);
+      }
+      // Checked up front so a bad tag list can't leave the other fields half saved
+      if (updateData.tags !== undefined) {
+        if (!Array.isArray(updateData.tags)) {
+          throw new Error('Tags must be a list of tag names');
+        }
+        updateData.tags.forEach(Tag.validateName);
+      }
+
+      if (updates.length === 0 && updateData.tags === undefined) {
         throw new Error('No valid fields to update');
       }
 
+      // A new deadline re-arms the overdue flag (reminders are keyed by deadline)
+      if (updateData.deadline !== undefined && updateData.deadline !== this.deadline) {
+        updates.push('overdueAt = NULL');
+      }
+
+      // Calendar feeds use the sequence to tell a changed event from the old copy
+      if (CALENDAR_FIELDS.some(key => updateData[key] !== undefined && updateData[key] !== this[key])) {
+        updates.push('calendarSequence = calendarSequence + 1');
+      }
+
       params.push(this.id);
 
-      await dbRun(`UPDATE work_items SET ${updates.join(', ')} WHERE id = ?`, params);
+      if (updates.length > 0) {
+        await dbRun(`UPDATE work_items SET ${updates.join(', ')} WHERE id = ?`, params);
+      }
+
+      if (updateData.tags !== undefined) {
+        await Tag.setForWorkItem(this.id, updateData.tags);
+      }
       
       const updated = await WorkItem.findById(this.id);
       Object.assign(this, updated);
@@ -195,6 +446,27 @@ class WorkItem {
     }
   }
 
+  // Take an unclaimed task from a team queue. The WHERE clause makes the
+  // claim atomic, so two members racing for the same task cannot both win.
+  async claim(userId) {
+    const claimedAt = new Date().toISOString();
+    const result = await dbRun(
+      'UPDATE work_items SET workerId = ?, claimedAt = ? WHERE id = ? AND workerId IS NULL',
+      [userId, claimedAt, this.id]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('Task has already been claimed');
+    }
+
+    Object.assign(this, await WorkItem.findById(this.id));
+    return this;
+  }
+
+  isQueued() {
+    return !this.workerId && !!this.teamId;
+  }
+
   async delete() {
     try {
       await dbRun('DELETE FROM work_items WHERE id = ?', [this.id]);
@@ -248,6 +520,14 @@ class WorkItem {
         throw new Error('Work item not found or no changes made');
       }
 
+      await WorkItemSubmission.create({
+        workItemId: this.id,
+        submittedBy: completionData.submittedBy || this.workerId,
+        explanation: updateData.explanation,
+        workLink: updateData.workLink,
+        submittedAt: updateData.submittedAt
+      });
+
       const updated = await WorkItem.findById(this.id);
       if (updated) {
         Object.assign(this, updated);
@@ -271,7 +551,9 @@ class WorkItem {
         reviewedBy: reviewData.reviewedBy
       };
 
-      return await this.update(updateData);
+      await this.update(updateData, { lifecycle: true });
+      await this.recordReview('approved', updateData);
+      return this;
     } catch (error) {
       console.error('Error in WorkItem.approve:', error);
       throw new Error(`Failed to approve work item: ${error.message}`);
@@ -294,17 +576,96 @@ class WorkItem {
         workLink: null
       };
 
-      return await this.update(updateData);
+      await this.update(updateData, { lifecycle: true });
+      await this.recordReview('rejected', updateData);
+      return this;
     } catch (error) {
       console.error('Error in WorkItem.reject:', error);
       throw new Error(`Failed to reject work item: ${error.message}`);
     }
   }
 
+  async recordReview(decision, reviewData) {
+    const submission = await WorkItemSubmission.findLatestForWorkItem(this.id);
+    return await WorkItemReview.create({
+      workItemId: this.id,
+      submissionId: submission ? submission.id : null,
+      reviewedBy: reviewData.reviewedBy,
+      decision,
+      reviewNotes: reviewData.reviewNotes,
+      reviewedAt: reviewData.reviewedAt
+    });
+  }
+
+  // Full submit -> review timeline, oldest first
+  async getHistory() {
+    try {
+      const submissions = await WorkItemSubmission.findByWorkItem(this.id);
+      const reviews = await WorkItemReview.findByWorkItem(this.id);
+      const deliverables = await Attachment.findByWorkItem(this.id, { kind: 'deliverable' });
+
+      const events = [
+        ...submissions.map(submission => ({
+          type: 'submission',
+          timestamp: submission.submittedAt,
+          ...submission,
+          attachments: deliverables
+            .filter(attachment => attachment.submissionId === submission.id)
+            .map(attachment => attachment.toJSON())
+        })),
+        ...reviews.map(review => ({ type: 'review', timestamp: review.reviewedAt, ...review }))
+      ];
+
+      return events.sort((a, b) => {
+        const diff = new Date(a.timestamp) - new Date(b.timestamp);
+        if (diff !== 0) return diff;
+        // A review always follows the submission it belongs to
+        return a.type === b.type ? a.id - b.id : (a.type === 'submission' ? -1 : 1);
+      });
+    } catch (error) {
+      console.error('Error in WorkItem.getHistory:', error);
+      throw new Error(`Failed to load work item history: ${error.message}`);
+    }
+  }
+
+  // Hand the task to another worker. The old worker's calendar event is not this
+  // item's any more; the calendar sync removes it from their calendar.
+  async reassign(workerId) {
+    await dbRun(
+      'UPDATE work_items SET workerId = ?, googleEventId = NULL, calendarSequence = calendarSequence + 1 WHERE id = ?',
+      [workerId, this.id]
+    );
+    Object.assign(this, await WorkItem.findById(this.id));
+    return this;
+  }
+
+  async setGoogleEventId(eventId) {
+    await dbRun('UPDATE work_items SET googleEventId = ? WHERE id = ?', [eventId, this.id]);
+    this.googleEventId = eventId;
+    return this;
+  }
+
+  async markOverdue(at = new Date()) {
+    await dbRun('UPDATE work_items SET overdueAt = ? WHERE id = ? AND overdueAt IS NULL', [at.toISOString(), this.id]);
+    this.overdueAt = at.toISOString();
+    return this;
+  }
+
   isOverdue() {
     return new Date(this.deadline) < new Date() && ['pending', 'rejected'].includes(this.status);
   }
 
+  // Mandatory checklist items that still need ticking before submission is accepted
+  uncheckedMandatoryCount() {
+    const progress = this.checklistProgress;
+    return progress ? progress.mandatory - progress.mandatoryDone : 0;
+  }
+
+  // Waiting on a prerequisite task that is not approved yet
+  isBlocked() {
+    return this.openBlockerCount > 0;
+  }
+
   isSubmitted() {
     return this.status === 'submitted';
   }
@@ -321,12 +682,19 @@ class WorkItem {
     return {
       id: this.id,
       workerId: this.workerId,
+      teamId: this.teamId,
+      assignmentId: this.assignmentId,
+      scheduleId: this.scheduleId,
+      templateId: this.templateId,
       task: this.task,
       description: this.description,
       instructions: this.instructions,
       deadline: this.deadline,
       status: this.status,
       assignedAt: this.assignedAt,
+      claimedAt: this.claimedAt,
+      overdueAt: this.overdueAt,
+      isOverdue: this.isOverdue(),
       submittedAt: this.submittedAt,
       reviewedAt: this.reviewedAt,
       explanation: this.explanation,
@@ -334,11 +702,23 @@ class WorkItem {
       reviewNotes: this.reviewNotes,
       assignedBy: this.assignedBy,
       reviewedBy: this.reviewedBy,
+      priority: this.priority,
+      tags: this.tags.map(tag => tag.toJSON()),
+      requireChecklist: this.requireChecklist,
+      checklistProgress: this.checklistProgress,
+      isBlocked: this.isBlocked(),
+      openBlockerCount: this.openBlockerCount,
       worker: this.worker,
+      team: this.team,
       assignedByUser: this.assignedByUser,
       reviewedByUser: this.reviewedByUser
     };
   }
 }
 
+WorkItem.PRIORITIES = PRIORITIES;
+WorkItem.SORT_FIELDS = Object.keys(SORT_FIELDS);
+// The list filters as a SQL fragment on alias `wi`, for reports that query work_items directly
+WorkItem.applyFilters = applyFilters;
+
 module.exports = WorkItem;
\ No newline at end of file
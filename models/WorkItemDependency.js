@@ -0,0 +1,148 @@
+// models/WorkItemDependency.js - "Task A is blocked by task B" relations between work items
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+// Columns describing the other end of a dependency
+const RELATED_SQL = `
+  SELECT d.*, wi.id as relatedId, wi.task as relatedTask, wi.status as relatedStatus,
+         wi.deadline as relatedDeadline, wi.workerId as relatedWorkerId, u.name as relatedWorkerName
+  FROM work_item_dependencies d
+`;
+
+class WorkItemDependency {
+  constructor(data) {
+    this.workItemId = data.workItemId;
+    this.blockedById = data.blockedById;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt;
+    this.related = data.relatedId
+      ? {
+          id: data.relatedId,
+          task: data.relatedTask,
+          status: data.relatedStatus,
+          deadline: data.relatedDeadline,
+          worker: data.relatedWorkerId ? { id: data.relatedWorkerId, name: data.relatedWorkerName } : null
+        }
+      : null;
+  }
+
+  // Whether `workItemId` is reachable by following blockers from `blockedById`,
+  // i.e. adding "workItemId is blocked by blockedById" would close a loop
+  static async wouldCreateCycle(workItemId, blockedById) {
+    const row = await dbGet(`
+      WITH RECURSIVE chain(id) AS (
+        SELECT ?
+        UNION
+        SELECT d.blockedById FROM work_item_dependencies d JOIN chain c ON d.workItemId = c.id
+      )
+      SELECT 1 as found FROM chain WHERE id = ? LIMIT 1
+    `, [parseInt(blockedById), parseInt(workItemId)]);
+    return !!row;
+  }
+
+  static async create({ workItemId, blockedById, createdBy = null }) {
+    if (parseInt(workItemId) === parseInt(blockedById)) {
+      throw new Error('A task cannot be blocked by itself');
+    }
+
+    if (await WorkItemDependency.wouldCreateCycle(workItemId, blockedById)) {
+      throw new Error('This dependency would create a cycle');
+    }
+
+    try {
+      await dbRun(
+        'INSERT INTO work_item_dependencies (workItemId, blockedById, createdBy) VALUES (?, ?, ?)',
+        [workItemId, blockedById, createdBy]
+      );
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed') || error.message.includes('PRIMARY KEY')) {
+        throw new Error('This dependency already exists');
+      }
+      throw error;
+    }
+
+    return await WorkItemDependency.find(workItemId, blockedById);
+  }
+
+  static async find(workItemId, blockedById) {
+    const row = await dbGet(
+      'SELECT * FROM work_item_dependencies WHERE workItemId = ? AND blockedById = ?',
+      [workItemId, blockedById]
+    );
+    return row ? new WorkItemDependency(row) : null;
+  }
+
+  // Tasks this work item is waiting on
+  static async findBlockers(workItemId) {
+    const rows = await dbAll(`${RELATED_SQL}
+      JOIN work_items wi ON wi.id = d.blockedById
+      LEFT JOIN users u ON u.id = wi.workerId
+      WHERE d.workItemId = ?
+      ORDER BY wi.deadline ASC
+    `, [workItemId]);
+    return rows.map(row => new WorkItemDependency(row));
+  }
+
+  // Tasks waiting on this work item
+  static async findDependents(blockedById) {
+    const rows = await dbAll(`${RELATED_SQL}
+      JOIN work_items wi ON wi.id = d.workItemId
+      LEFT JOIN users u ON u.id = wi.workerId
+      WHERE d.blockedById = ?
+      ORDER BY wi.deadline ASC
+    `, [blockedById]);
+    return rows.map(row => new WorkItemDependency(row));
+  }
+
+  // Number of prerequisites that are not approved yet, as Map<workItemId, count>
+  static async openBlockerCounts(workItemIds) {
+    const counts = new Map(workItemIds.map(id => [id, 0]));
+    if (workItemIds.length === 0) return counts;
+
+    const rows = await dbAll(`
+      SELECT d.workItemId, COUNT(*) as openBlockers
+      FROM work_item_dependencies d
+      JOIN work_items wi ON wi.id = d.blockedById
+      WHERE wi.status != 'approved'
+        AND d.workItemId IN (${workItemIds.map(() => '?').join(', ')})
+      GROUP BY d.workItemId
+    `, workItemIds);
+
+    for (const row of rows) {
+      counts.set(row.workItemId, row.openBlockers);
+    }
+    return counts;
+  }
+
+  // Ids of tasks waiting on `blockedById` that have no unapproved prerequisites left
+  static async findUnblockedDependentIds(blockedById) {
+    const rows = await dbAll(`
+      SELECT d.workItemId FROM work_item_dependencies d
+      WHERE d.blockedById = ?
+        AND NOT EXISTS (
+          SELECT 1 FROM work_item_dependencies other
+          JOIN work_items wi ON wi.id = other.blockedById
+          WHERE other.workItemId = d.workItemId AND wi.status != 'approved'
+        )
+    `, [blockedById]);
+    return rows.map(row => row.workItemId);
+  }
+
+  async delete() {
+    await dbRun(
+      'DELETE FROM work_item_dependencies WHERE workItemId = ? AND blockedById = ?',
+      [this.workItemId, this.blockedById]
+    );
+  }
+
+  toJSON() {
+    return {
+      workItemId: this.workItemId,
+      blockedById: this.blockedById,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      ...(this.related ? { task: this.related } : {})
+    };
+  }
+}
+
+module.exports = WorkItemDependency;
@@ -0,0 +1,76 @@
+// models/WorkItemNotification.js - Record of deadline reminders, overdue notices and escalations
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+class WorkItemNotification {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.kind = data.kind;
+    this.offsetMinutes = data.offsetMinutes;
+    this.deadline = data.deadline;
+    this.recipientId = data.recipientId;
+    this.delivered = !!data.delivered;
+    this.error = data.error;
+    this.sentAt = data.sentAt;
+  }
+
+  // Reserve a notification before sending it. Returns null when it was already
+  // sent (or is being sent), so a restart or an overlapping run never repeats it.
+  static async claim({ workItemId, kind, offsetMinutes = 0, deadline, recipientId = null }) {
+    const result = await dbRun(`
+      INSERT OR IGNORE INTO work_item_notifications (workItemId, kind, offsetMinutes, deadline, recipientId)
+      VALUES (?, ?, ?, ?, ?)
+    `, [workItemId, kind, offsetMinutes, deadline, recipientId]);
+
+    if (result.changes === 0) return null;
+    return await WorkItemNotification.findById(result.id);
+  }
+
+  static async findById(id) {
+    const row = await dbGet('SELECT * FROM work_item_notifications WHERE id = ?', [id]);
+    return row ? new WorkItemNotification(row) : null;
+  }
+
+  static async findByWorkItem(workItemId) {
+    const rows = await dbAll(
+      'SELECT * FROM work_item_notifications WHERE workItemId = ? ORDER BY sentAt ASC, id ASC',
+      [workItemId]
+    );
+    return rows.map(row => new WorkItemNotification(row));
+  }
+
+  // Smallest reminder offset already sent for this deadline, or null
+  static async smallestReminderSent(workItemId, deadline) {
+    const row = await dbGet(`
+      SELECT MIN(offsetMinutes) as offsetMinutes FROM work_item_notifications
+      WHERE workItemId = ? AND kind = 'reminder' AND deadline = ?
+    `, [workItemId, deadline]);
+    return row && row.offsetMinutes !== null ? row.offsetMinutes : null;
+  }
+
+  async recordDelivery({ success, reason }) {
+    this.delivered = !!success;
+    this.error = success ? null : (reason || 'Unknown error');
+    await dbRun(
+      'UPDATE work_item_notifications SET delivered = ?, error = ? WHERE id = ?',
+      [this.delivered ? 1 : 0, this.error, this.id]
+    );
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      workItemId: this.workItemId,
+      kind: this.kind,
+      offsetMinutes: this.offsetMinutes,
+      deadline: this.deadline,
+      recipientId: this.recipientId,
+      delivered: this.delivered,
+      error: this.error,
+      sentAt: this.sentAt
+    };
+  }
+}
+
+module.exports = WorkItemNotification;
@@ -0,0 +1,66 @@
+// models/WorkItemReview.js - One row per approve/reject decision on a work item
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+class WorkItemReview {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.submissionId = data.submissionId;
+    this.reviewedBy = data.reviewedBy;
+    this.decision = data.decision;
+    this.reviewNotes = data.reviewNotes;
+    this.reviewedAt = data.reviewedAt;
+    if (data.reviewedByName !== undefined) {
+      this.reviewedByUser = data.reviewedBy
+        ? { id: data.reviewedBy, name: data.reviewedByName, email: data.reviewedByEmail }
+        : null;
+    }
+  }
+
+  static async create(reviewData) {
+    const { workItemId, submissionId = null, reviewedBy, decision, reviewNotes = null, reviewedAt } = reviewData;
+
+    if (!workItemId || !reviewedAt) {
+      throw new Error('Work item and review time are required');
+    }
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new Error('Decision must be approved or rejected');
+    }
+
+    try {
+      const result = await dbRun(`
+        INSERT INTO work_item_reviews (workItemId, submissionId, reviewedBy, decision, reviewNotes, reviewedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [workItemId, submissionId, reviewedBy || null, decision, reviewNotes, reviewedAt]);
+
+      return await WorkItemReview.findById(result.id);
+    } catch (error) {
+      console.error('Database error in WorkItemReview.create:', error);
+      throw new Error(`Failed to record review: ${error.message}`);
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet(`
+      SELECT r.*, u.name as reviewedByName, u.email as reviewedByEmail
+      FROM work_item_reviews r
+      LEFT JOIN users u ON r.reviewedBy = u.id
+      WHERE r.id = ?
+    `, [id]);
+    return row ? new WorkItemReview(row) : null;
+  }
+
+  static async findByWorkItem(workItemId) {
+    const rows = await dbAll(`
+      SELECT r.*, u.name as reviewedByName, u.email as reviewedByEmail
+      FROM work_item_reviews r
+      LEFT JOIN users u ON r.reviewedBy = u.id
+      WHERE r.workItemId = ?
+      ORDER BY r.reviewedAt ASC, r.id ASC
+    `, [workItemId]);
+    return rows.map(row => new WorkItemReview(row));
+  }
+}
+
+module.exports = WorkItemReview;
@@ -0,0 +1,73 @@
+// models/WorkItemSubmission.js - One row per submission of a work item
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+class WorkItemSubmission {
+  constructor(data) {
+    this.id = data.id;
+    this.workItemId = data.workItemId;
+    this.submittedBy = data.submittedBy;
+    this.explanation = data.explanation;
+    this.workLink = data.workLink;
+    this.submittedAt = data.submittedAt;
+    if (data.submittedByName !== undefined) {
+      this.submittedByUser = data.submittedBy
+        ? { id: data.submittedBy, name: data.submittedByName, email: data.submittedByEmail }
+        : null;
+    }
+  }
+
+  static async create(submissionData) {
+    const { workItemId, submittedBy, explanation, workLink = null, submittedAt } = submissionData;
+
+    if (!workItemId || !explanation || !submittedAt) {
+      throw new Error('Work item, explanation and submission time are required');
+    }
+
+    try {
+      const result = await dbRun(`
+        INSERT INTO work_item_submissions (workItemId, submittedBy, explanation, workLink, submittedAt)
+        VALUES (?, ?, ?, ?, ?)
+      `, [workItemId, submittedBy || null, explanation, workLink, submittedAt]);
+
+      return await WorkItemSubmission.findById(result.id);
+    } catch (error) {
+      console.error('Database error in WorkItemSubmission.create:', error);
+      throw new Error(`Failed to record submission: ${error.message}`);
+    }
+  }
+
+  static async findById(id) {
+    const row = await dbGet(`
+      SELECT s.*, u.name as submittedByName, u.email as submittedByEmail
+      FROM work_item_submissions s
+      LEFT JOIN users u ON s.submittedBy = u.id
+      WHERE s.id = ?
+    `, [id]);
+    return row ? new WorkItemSubmission(row) : null;
+  }
+
+  static async findLatestForWorkItem(workItemId) {
+    const row = await dbGet(`
+      SELECT s.*, u.name as submittedByName, u.email as submittedByEmail
+      FROM work_item_submissions s
+      LEFT JOIN users u ON s.submittedBy = u.id
+      WHERE s.workItemId = ?
+      ORDER BY s.id DESC
+      LIMIT 1
+    `, [workItemId]);
+    return row ? new WorkItemSubmission(row) : null;
+  }
+
+  static async findByWorkItem(workItemId) {
+    const rows = await dbAll(`
+      SELECT s.*, u.name as submittedByName, u.email as submittedByEmail
+      FROM work_item_submissions s
+      LEFT JOIN users u ON s.submittedBy = u.id
+      WHERE s.workItemId = ?
+      ORDER BY s.submittedAt ASC, s.id ASC
+    `, [workItemId]);
+    return rows.map(row => new WorkItemSubmission(row));
+  }
+}
+
+module.exports = WorkItemSubmission;
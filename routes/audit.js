@@ -0,0 +1,48 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const dateOnlyPattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Get audit log entries (audit:read)
+// Filters: actorId, actorEmail, action, entityType, entityId, from, to, limit, offset
+router.get('/', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actorId, actorEmail, action, entityType, entityId, from, to, limit, offset } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ message: `Invalid ${name} date` });
+      }
+    }
+
+    const filters = {
+      actorId: actorId ? parseInt(actorId) : undefined,
+      actorEmail,
+      action,
+      entityType,
+      entityId: entityId ? parseInt(entityId) : undefined,
+      from,
+      // A bare date means "through the end of that day"
+      to: to && dateOnlyPattern.test(to) ? `${to} 23:59:59` : to
+    };
+
+    const [entries, total] = await Promise.all([
+      AuditLog.findAll({ ...filters, limit, offset }),
+      AuditLog.count(filters)
+    ]);
+
+    res.json({
+      total,
+      count: entries.length,
+      entries: entries.map(entry => entry.toJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,21 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { dbGet, dbRun } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendTaskNotification } = require('../utils/email');
+const { getClientIp, getUserAgent } = require('../utils/request');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const RecoveryCode = require('../models/RecoveryCode');
+const Setting = require('../models/Setting');
+const { ACCESS_TOKEN_TTL, createAccessToken } = require('../utils/tokens');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { config: loginThrottle, secondsUntilNextAttempt, windowStart } = require('../utils/loginThrottle');
 const { google } = require('googleapis');
+const tokenEncryption = require('../utils/tokenEncryption');
 
 // Initialize OAuth2 client only if credentials are provided
 let oauth2Client = null;
@@ -17,85 +28,406 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.
   );
 }
 
+// Google tokens are only ever stored encrypted
+const googleReady = () => !!oauth2Client && tokenEncryption.isConfigured();
+if (oauth2Client && !tokenEncryption.isConfigured()) {
+  console.error('Google OAuth is configured but TOKEN_ENCRYPTION_KEYS is not set - Google Calendar connections are disabled');
+}
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Final step of every successful login: open a session and hand out tokens
+const completeLogin = async (req, res, user, ipAddress) => {
+  await user.resetFailedLogins();
+  await LoginAttempt.record({ email: user.email, userId: user.id, ipAddress, success: true });
+  await user.updateLastLogin();
+  await AuditLog.record(req, {
+    actor: user,
+    action: 'auth.login',
+    entityType: 'user',
+    entityId: user.id
+  });
+
+  // Each login is its own revocable session with a rotating refresh token
+  const { session, refreshToken } = await Session.create({
+    userId: user.id,
+    userAgent: getUserAgent(req),
+    ipAddress
+  });
+
+  // Create JWT token with all necessary user information
+  const token = createAccessToken(user, session.id);
+
+  console.log('Token created successfully');
+  console.log('Token starts with:', token.substring(0, 20) + '...');
+
+  // Verify the token was created correctly
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  console.log('Token verification check - decoded payload:', decoded);
+
+  const requireAdminTwoFactor = await Setting.get(Setting.REQUIRE_ADMIN_TWO_FACTOR, false);
+
+  // Users flagged by an admin (or still on the seeded password) can only
+  // change their password until they pick a new one; admins can be made to
+  // enroll in 2FA the same way
+  res.json({
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: user.toJSON(),
+    mustChangePassword: !!user.mustChangePassword,
+    twoFactorEnrollmentRequired: !!(requireAdminTwoFactor && user.role === 'admin' && !user.twoFactorEnabled)
+  });
+};
+
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
+  const ipAddress = getClientIp(req);
   
   console.log('=== LOGIN ATTEMPT ===');
-  console.log('Email:', email);
   console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
 
+  if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ message: 'Email and password are required' });
+  }
+
+  const tooManyAttempts = (retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message, retryAfter, code: 'TOO_MANY_ATTEMPTS' });
+  };
+
   try {
+    // Per-IP limits apply whether or not the account exists
+    const ipFailures = await LoginAttempt.recentFailuresByIp(ipAddress, windowStart());
+    if (ipFailures.count >= loginThrottle.maxIpFailures) {
+      console.log('Login blocked for IP with too many failures:', ipAddress);
+      return tooManyAttempts(loginThrottle.windowMinutes * 60, 'Too many failed login attempts. Please try again later.');
+    }
+
+    const ipWait = secondsUntilNextAttempt(ipFailures.count, ipFailures.lastFailedAt);
+    if (ipWait > 0) {
+      return tooManyAttempts(ipWait, `Please wait ${ipWait} second(s) before trying again`);
+    }
+
     const user = await User.findByEmail(email);
     if (!user) {
-      console.log('User not found:', email);
+      console.log('Login failed: unknown email');
+      await LoginAttempt.record({ email, ipAddress, success: false, reason: 'unknown_email' });
+      await AuditLog.record(req, {
+        actor: { email },
+        action: 'auth.login_failed',
+        entityType: 'user',
+        after: { reason: 'unknown_email' }
+      });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    console.log('User found:', { id: user.id, email: user.email, role: user.role });
+    console.log('User found:', { id: user.id, role: user.role });
+
+    if (user.isLocked()) {
+      console.log('Login rejected, account locked:', user.id);
+      await LoginAttempt.record({ email, userId: user.id, ipAddress, success: false, reason: 'account_locked' });
+      return res.status(423).json({
+        message: 'Account is temporarily locked after too many failed attempts. Try again later or contact an administrator.',
+        lockedUntil: user.lockedUntil,
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const accountWait = secondsUntilNextAttempt(user.failedLoginAttempts || 0, user.lastFailedLoginAt);
+    if (accountWait > 0) {
+      return tooManyAttempts(accountWait, `Please wait ${accountWait} second(s) before trying again`);
+    }
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      console.log('Password does not match for user:', email);
+      console.log('Password does not match for user:', user.id);
+      const locked = await user.registerFailedLogin();
+      await LoginAttempt.record({ email, userId: user.id, ipAddress, success: false, reason: 'wrong_password' });
+      await AuditLog.record(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        after: { reason: 'wrong_password' }
+      });
+
+      if (locked) {
+        console.log('Account locked after repeated failures:', user.id);
+        await AuditLog.record(req, {
+          actor: user,
+          action: 'auth.account_locked',
+          entityType: 'user',
+          entityId: user.id,
+          after: { lockedUntil: user.lockedUntil, maxFailures: loginThrottle.maxAccountFailures }
+        });
+      }
+
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     if (!user.isActive) {
-      console.log('User account is deactivated:', email);
+      console.log('User account is deactivated:', user.id);
+      await LoginAttempt.record({ email, userId: user.id, ipAddress, success: false, reason: 'account_deactivated' });
+      await AuditLog.record(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        after: { reason: 'account_deactivated' }
+      });
       return res.status(403).json({ message: 'Account is deactivated' });
     }
 
-    await user.updateLastLogin();
+    if (user.twoFactorEnabled) {
+      // Password is right, but no session until the second factor checks out
+      console.log('Two-factor challenge issued for user:', user.id);
+      const challengeToken = jwt.sign(
+        { userId: user.id, type: 'two_factor_challenge' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL
+      });
+    }
+
+    await completeLogin(req, res, user, ipAddress);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Second login step: trade the challenge token plus a TOTP or recovery code for a session
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const ipAddress = getClientIp(req);
 
-    // Create JWT token with all necessary user information
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      name: user.name
-    };
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Challenge token and a verification or recovery code are required' });
+  }
 
-    console.log('Creating token with payload:', tokenPayload);
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: 'Login challenge is invalid or has expired', code: 'CHALLENGE_EXPIRED' });
+  }
 
-    const token = jwt.sign(
-      tokenPayload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+  if (decoded.type !== 'two_factor_challenge') {
+    return res.status(401).json({ message: 'Login challenge is invalid or has expired', code: 'CHALLENGE_EXPIRED' });
+  }
+
+  try {
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired', code: 'CHALLENGE_EXPIRED' });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        message: 'Account is temporarily locked after too many failed attempts. Try again later or contact an administrator.',
+        lockedUntil: user.lockedUntil,
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const verified = code
+      ? await user.verifyTwoFactorCode(code)
+      : await RecoveryCode.consume(user.id, recoveryCode);
+
+    if (!verified) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const locked = await user.registerFailedLogin();
+      await LoginAttempt.record({ email: user.email, userId: user.id, ipAddress, success: false, reason: 'wrong_two_factor_code' });
+      await AuditLog.record(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        after: { reason: 'wrong_two_factor_code' }
+      });
+      if (locked) {
+        await AuditLog.record(req, {
+          actor: user,
+          action: 'auth.account_locked',
+          entityType: 'user',
+          entityId: user.id,
+          after: { lockedUntil: user.lockedUntil, maxFailures: loginThrottle.maxAccountFailures }
+        });
+      }
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    if (recoveryCode) {
+      await AuditLog.record(req, {
+        actor: user,
+        action: 'auth.recovery_code_used',
+        entityType: 'user',
+        entityId: user.id,
+        after: { remainingCodes: await RecoveryCode.countRemaining(user.id) }
+      });
+    }
+
+    await completeLogin(req, res, user, ipAddress);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Trade a refresh token for a new access token and a new refresh token
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
 
-    console.log('Token created successfully');
-    console.log('Token starts with:', token.substring(0, 20) + '...');
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
 
-    // Verify the token was created correctly
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Token verification check - decoded payload:', decoded);
+  try {
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      // An already-rotated token means it was copied; kill the whole session
+      const replayed = await Session.findByPreviousRefreshToken(refreshToken);
+      if (replayed && replayed.isActive()) {
+        console.log('Refresh token reuse detected for session:', replayed.id);
+        await replayed.revoke('refresh_token_reuse');
+        await AuditLog.record(req, {
+          actor: { id: replayed.userId },
+          action: 'auth.refresh_token_reuse',
+          entityType: 'session',
+          entityId: replayed.id
+        });
+      }
+      return res.status(401).json({ message: 'Invalid refresh token', code: 'SESSION_REVOKED' });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({ message: 'Session has expired or been revoked', code: 'SESSION_REVOKED' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('account_inactive');
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    const newRefreshToken = await session.rotate({
+      userAgent: getUserAgent(req),
+      ipAddress: getClientIp(req)
+    });
+
+    if (!newRefreshToken) {
+      return res.status(401).json({ message: 'Invalid refresh token', code: 'SESSION_REVOKED' });
+    }
 
     res.json({
-      token,
-      user: user.toJSON()
+      token: createAccessToken(user, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: user.toJSON(),
+      mustChangePassword: !!user.mustChangePassword
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.post('/register', authenticateToken, requireAdmin, async (req, res) => {
+// End the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sid);
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    await AuditLog.record(req, {
+      action: 'auth.logout',
+      entityType: 'session',
+      entityId: req.user.sid
+    });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the current user's active sessions (devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+    res.json(sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.user.sid
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findById(parseInt(req.params.id));
+    if (!session || session.userId !== req.user.id || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    await AuditLog.record(req, {
+      action: 'auth.session_revoke',
+      entityType: 'session',
+      entityId: session.id
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/register', authenticateToken, requirePermission('users:create'), async (req, res) => {
   console.log('=== REGISTER ATTEMPT ===');
   console.log('Request body:', req.body);
   console.log('Authenticated user:', req.user);
 
-  const { name, email, password, role } = req.body;
+  const { name, email, password, role, mustChangePassword } = req.body;
+
+  const [policyError] = validatePassword(password);
+  if (policyError) {
+    return res.status(400).json({ message: policyError });
+  }
 
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await User.create({
+    let user = await User.create({
       name,
       email,
       password: hashedPassword,
       role
     });
+
+    if (mustChangePassword) {
+      user = await user.update({ mustChangePassword: 1 });
+    }
     
     console.log('User created successfully:', user.toJSON());
+    await AuditLog.record(req, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: user.id,
+      after: user
+    });
     res.json({ user: user.toJSON() });
   } catch (error) {
     console.error('Registration error:', error);
@@ -103,6 +435,103 @@ router.post('/register', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Request a password reset link. Always answers the same way so the
+// response can't be used to find out which emails have accounts.
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+  const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent' };
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const user = await User.findByEmail(email);
+
+    if (user && user.isActive) {
+      const { token } = await PasswordResetToken.issue(user.id, getClientIp(req));
+      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+      await AuditLog.record(req, {
+        actor: user,
+        action: 'auth.password_reset_requested',
+        entityType: 'user',
+        entityId: user.id
+      });
+
+      // Not awaited, so response time doesn't depend on whether mail was sent
+      sendTaskNotification(
+        user.email,
+        'Password Reset - TaskPilot',
+        `Hello ${user.name},
+
+We received a request to reset your TaskPilot password.
+
+Reset your password here: ${resetUrl}
+
+This link expires in ${PasswordResetToken.TOKEN_TTL_MINUTES} minutes and can only be used once.
+If you didn't ask for this, you can ignore this email.
+
+Best regards,
+TaskPilot Team`
+      ).catch(error => console.error('Error sending password reset email:', error));
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ message: 'Token and new password are required' });
+  }
+
+  const [policyError] = validatePassword(password);
+  if (policyError) {
+    return res.status(400).json({ message: policyError });
+  }
+
+  try {
+    const resetToken = await PasswordResetToken.findValid(token);
+    const user = resetToken ? await User.findById(resetToken.userId) : null;
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Check the password history before burning the token
+    try {
+      await user.validateNewPassword(password);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!(await resetToken.consume())) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    await user.setPassword(password);
+    await PasswordResetToken.invalidateAllForUser(user.id);
+    await Session.revokeAllForUser(user.id, 'password_reset');
+
+    await AuditLog.record(req, {
+      actor: user,
+      action: 'auth.password_reset',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.get('/verify', authenticateToken, async (req, res) => {
   console.log('=== TOKEN VERIFICATION ===');
   console.log('User from token:', req.user);
@@ -123,31 +552,31 @@ router.get('/verify', authenticateToken, async (req, res) => {
 });
 
 // Google OAuth Routes
-router.get('/google', async (req, res) => {
-  if (!oauth2Client) {
+// The browser navigates here, so the access token may come as ?token= instead of a header
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+router.get('/google', tokenFromQuery, authenticateToken, async (req, res) => {
+  if (!googleReady()) {
     return res.status(500).json({ message: 'Google OAuth not configured' });
   }
 
   try {
-    // Get token from query parameter or Authorization header
-    const token = req.query.token || (req.headers.authorization && req.headers.authorization.replace('Bearer ', ''));
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
-
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Create temporary token for OAuth state
     const tempToken = jwt.sign(
-      { userId: decoded.id, type: 'oauth_temp' },
+      { userId: req.user.id, type: 'oauth_temp' },
       process.env.JWT_SECRET,
       { expiresIn: '10m' }
     );
 
     const url = oauth2Client.generateAuthUrl({
       access_type: 'offline',
+      // Without a fresh consent Google leaves out the refresh token on reconnects
+      prompt: 'consent',
       scope: ['https://www.googleapis.com/auth/calendar.events'],
       state: tempToken,
     });
@@ -155,11 +584,6 @@ router.get('/google', async (req, res) => {
     res.redirect(url);
   } catch (error) {
     console.error('Error generating Google OAuth URL:', error);
-    
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Invalid or expired token' });
-    }
-    
     res.status(500).json({ message: 'Failed to generate OAuth URL' });
   }
 });
@@ -167,7 +591,7 @@ router.get('/google', async (req, res) => {
 router.get('/google/callback', async (req, res) => {
   const { code, state } = req.query;
 
-  if (!oauth2Client) {
+  if (!googleReady()) {
     return res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}?googleAuth=error&reason=not_configured`);
   }
 
@@ -186,10 +610,14 @@ router.get('/google/callback', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    await dbRun(
-      'UPDATE users SET googleAccessToken = ?, googleRefreshToken = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
-      [tokens.access_token, tokens.refresh_token, userId]
-    );
+    await user.saveGoogleTokens({ accessToken: tokens.access_token, refreshToken: tokens.refresh_token });
+
+    await AuditLog.record(req, {
+      actor: user,
+      action: 'google.connect',
+      entityType: 'user',
+      entityId: user.id
+    });
 
     // FIXED: Use FRONTEND_URL instead of REACT_APP_FRONTEND_URL
     const redirectUrl = user.role === 'admin' 
@@ -210,16 +638,23 @@ router.get('/google/callback', async (req, res) => {
 // Check Google Calendar connection status
 router.get('/google/status', authenticateToken, async (req, res) => {
   try {
-    const user = await dbGet(
-      'SELECT googleAccessToken, googleRefreshToken FROM users WHERE id = ?',
-      [req.user.id]
-    );
+    const user = await User.findById(req.user.id);
+    const status = await user.getGoogleStatus();
 
-    const isConnected = !!(user && user.googleAccessToken && user.googleRefreshToken);
-    
-    res.json({ 
-      connected: isConnected,
-      message: isConnected ? 'Google Calendar connected' : 'Google Calendar not connected'
+    let message = 'Google Calendar not connected';
+    if (status.connected) {
+      message = 'Google Calendar connected';
+    } else if (status.disconnectReason) {
+      message = `${status.disconnectReason} - please reconnect Google Calendar`;
+    }
+
+    res.json({
+      connected: status.connected,
+      // Lost access rather than never connected or disconnected on purpose
+      reauthRequired: !status.connected && !!status.disconnectReason,
+      disconnectedAt: status.connected ? null : status.disconnectedAt,
+      reason: status.connected ? null : status.disconnectReason,
+      message
     });
   } catch (error) {
     console.error('Error checking Google Calendar status:', error);
@@ -230,10 +665,14 @@ router.get('/google/status', authenticateToken, async (req, res) => {
 // Disconnect Google Calendar
 router.post('/google/disconnect', authenticateToken, async (req, res) => {
   try {
-    await dbRun(
-      'UPDATE users SET googleAccessToken = NULL, googleRefreshToken = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
-      [req.user.id]
-    );
+    const user = await User.findById(req.user.id);
+    await user.disconnectGoogle();
+
+    await AuditLog.record(req, {
+      action: 'google.disconnect',
+      entityType: 'user',
+      entityId: req.user.id
+    });
 
     res.json({ message: 'Google Calendar disconnected successfully' });
   } catch (error) {
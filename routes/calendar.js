@@ -0,0 +1,166 @@
+const express = require('express');
+const CalendarFeed = require('../models/CalendarFeed');
+const WorkItem = require('../models/WorkItem');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { buildCalendar } = require('../utils/ical');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EVENT_LENGTH_MS = 60 * 60 * 1000;
+const ALARM_MINUTES = 30;
+
+// Deadlines still in play; approved work drops off the worker's feed
+const OPEN_STATUSES = ['pending', 'rejected', 'submitted'];
+
+const canUseReviewFeed = (user) => hasPermission(user, 'work:approve') || hasPermission(user, 'work:reject');
+
+// Calendar apps fetch without our auth headers, so the URL has to be absolute
+const feedUrl = (req, token) => {
+  const base = process.env.API_URL || `${req.headers['x-forwarded-proto'] || req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/feeds/${token}.ics`;
+};
+
+// Rows written before deadlines were validated may hold text no date parses from;
+// leave those out rather than fail the whole feed
+const hasValidDeadline = (workItem) => !isNaN(new Date(workItem.deadline).getTime());
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+const taskEvent = (workItem) => ({
+  uid: `work-item-${workItem.id}@taskpilot`,
+  start: workItem.deadline,
+  end: new Date(new Date(workItem.deadline).getTime() + EVENT_LENGTH_MS),
+  sequence: workItem.calendarSequence,
+  summary: `TaskPilot: ${workItem.task}${workItem.isSubmitted() ? ' (submitted)' : ''}`,
+  description: `Status: ${workItem.status}\n\nDescription: ${workItem.description || 'No description'}\n\nInstructions: ${workItem.instructions}`,
+  url: frontendUrl('/worker'),
+  alarmMinutes: workItem.isSubmitted() ? null : ALARM_MINUTES
+});
+
+const reviewEvent = (workItem) => ({
+  uid: `review-${workItem.id}@taskpilot`,
+  start: workItem.deadline,
+  end: new Date(new Date(workItem.deadline).getTime() + EVENT_LENGTH_MS),
+  sequence: workItem.calendarSequence,
+  summary: `Review: ${workItem.task}${workItem.worker ? ` (${workItem.worker.name})` : ''}`,
+  description: [
+    workItem.submittedAt && `Submitted: ${workItem.submittedAt}`,
+    `Explanation: ${workItem.explanation || 'None'}`,
+    workItem.workLink && `Work link: ${workItem.workLink}`
+  ].filter(Boolean).join('\n\n'),
+  url: frontendUrl('/admin')
+});
+
+// The subscription itself: no login, the secret token in the URL is the credential
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByToken(req.params.token);
+    const user = feed ? await User.findById(feed.userId) : null;
+    if (!feed || !user || !user.isActive) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    // Permissions come from the user's current role, not the one they had when subscribing
+    const account = { id: user.id, permissions: await Role.getPermissions(user.role) };
+    let calendar;
+
+    if (feed.kind === 'reviews') {
+      if (!canUseReviewFeed(account)) {
+        return res.status(404).json({ message: 'Calendar feed not found' });
+      }
+      const scope = hasPermission(account, 'teams:view_all') ? {} : { managedBy: user.id };
+      const workItems = await WorkItem.findAll({ status: 'submitted', ...scope, sort: 'deadline' });
+      calendar = buildCalendar({ name: 'TaskPilot review queue', events: workItems.filter(hasValidDeadline).map(reviewEvent) });
+    } else {
+      const workItems = await WorkItem.findAll({ workerId: user.id, statuses: OPEN_STATUSES, sort: 'deadline' });
+      calendar = buildCalendar({ name: 'TaskPilot tasks', events: workItems.filter(hasValidDeadline).map(taskEvent) });
+    }
+
+    await feed.touch();
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="taskpilot-${feed.kind}.ics"`);
+    res.set('Cache-Control', 'private, no-cache');
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// The caller's active feeds and which kinds they may create. Tokens are only shown once, at creation.
+router.get('/feeds', authenticateToken, async (req, res) => {
+  try {
+    const feeds = await CalendarFeed.findActiveForUser(req.user.id);
+    res.json({
+      available: CalendarFeed.KINDS.filter(kind => kind === 'tasks' || canUseReviewFeed(req.user)),
+      feeds: feeds.map(feed => feed.toJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feeds:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create the feed URL, or replace it if one exists (the old URL stops working)
+router.post('/feeds', authenticateToken, async (req, res) => {
+  try {
+    const kind = req.body.kind || 'tasks';
+    if (!CalendarFeed.KINDS.includes(kind)) {
+      return res.status(400).json({ message: 'Feed kind must be tasks or reviews' });
+    }
+    if (kind === 'reviews' && !canUseReviewFeed(req.user)) {
+      return res.status(403).json({ message: 'You do not have permission to subscribe to the review queue' });
+    }
+
+    const { token, feed } = await CalendarFeed.issue(req.user.id, kind);
+
+    await AuditLog.record(req, {
+      action: 'calendar_feed.create',
+      entityType: 'calendar_feed',
+      entityId: feed.id,
+      after: feed.toJSON()
+    });
+
+    const url = feedUrl(req, token);
+    res.status(201).json({
+      message: 'Calendar feed created. Keep this URL private; anyone with it can read the feed.',
+      feed: feed.toJSON(),
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/feeds/:kind', authenticateToken, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!CalendarFeed.KINDS.includes(kind)) {
+      return res.status(400).json({ message: 'Feed kind must be tasks or reviews' });
+    }
+
+    const revoked = await CalendarFeed.revoke(req.user.id, kind);
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    await AuditLog.record(req, {
+      action: 'calendar_feed.revoke',
+      entityType: 'calendar_feed',
+      before: { userId: req.user.id, kind }
+    });
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
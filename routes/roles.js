@@ -0,0 +1,127 @@
+const express = require('express');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List roles with their permissions (roles:manage or users:manage)
+router.get('/', authenticateToken, requirePermission('roles:manage', 'users:manage'), async (req, res) => {
+  try {
+    const roles = await Role.findAll();
+    res.json(roles.map(role => role.toJSON()));
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List every permission that can be granted (roles:manage)
+router.get('/permissions', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    res.json(await Role.findAllPermissions());
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a custom role (roles:manage)
+router.post('/', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ message: 'Permissions must be a list' });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    await AuditLog.record(req, {
+      action: 'role.create',
+      entityType: 'role',
+      after: role.toJSON()
+    });
+
+    res.status(201).json({ message: 'Role created successfully', role: role.toJSON() });
+  } catch (error) {
+    console.error('Error creating role:', error);
+
+    if (error.message.includes('Role') || error.message.includes('permission')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Replace a role's permissions (roles:manage)
+router.put('/:name/permissions', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ message: 'Permissions must be a list' });
+    }
+
+    const role = await Role.findByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    // Keeps at least one role able to manage roles
+    if (role.name === 'admin') {
+      return res.status(400).json({ message: 'The admin role always has every permission' });
+    }
+
+    const before = { permissions: role.permissions };
+    await role.setPermissions(permissions);
+
+    await AuditLog.record(req, {
+      action: 'role.update_permissions',
+      entityType: 'role',
+      before: { name: role.name, permissions: before.permissions.join(',') },
+      after: { name: role.name, permissions: role.permissions.join(',') }
+    });
+
+    res.json({ message: 'Role permissions updated', role: role.toJSON() });
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+
+    if (error.message.includes('Unknown permission')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a custom role that nobody has (roles:manage)
+router.delete('/:name', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    await role.delete();
+
+    await AuditLog.record(req, {
+      action: 'role.delete',
+      entityType: 'role',
+      before: role.toJSON()
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+
+    if (error.message.includes('cannot be deleted') || error.message.includes('still assigned')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
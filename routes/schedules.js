@@ -0,0 +1,208 @@
+const express = require('express');
+const RecurringSchedule = require('../models/RecurringSchedule');
+const WorkItem = require('../models/WorkItem');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const AuditLog = require('../models/AuditLog');
+const { materializeSchedule } = require('../jobs/recurringTasks');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Same scoping as POST /api/work/assign: without teams:view_all you can only
+// schedule work for members or queues of the teams you lead
+const checkAssignee = async (user, { workerId, teamId }) => {
+  const canAssignAnywhere = hasPermission(user, 'teams:view_all');
+
+  if (workerId) {
+    const worker = await User.findById(workerId);
+    if (!worker) return { status: 404, message: 'Worker not found' };
+    if (!canAssignAnywhere && !(await Team.leadsUser(user.id, worker.id))) {
+      return { status: 403, message: 'You can only assign tasks to members of teams you lead' };
+    }
+  }
+
+  if (teamId) {
+    const team = await Team.findById(teamId);
+    if (!team) return { status: 404, message: 'Team not found' };
+    if (!canAssignAnywhere && !(await Team.isLead(team.id, user.id))) {
+      return { status: 403, message: 'You can only assign tasks to the queues of teams you lead' };
+    }
+  }
+
+  return null;
+};
+
+const canManageSchedule = (user, schedule) => hasPermission(user, 'teams:view_all') || schedule.createdBy === user.id;
+
+// Load :id into req.schedule, 404 if missing, 403 if the caller can't manage it
+const loadSchedule = async (req, res, next) => {
+  try {
+    const schedule = await RecurringSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+    if (!canManageSchedule(req.user, schedule)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.schedule = schedule;
+    next();
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const isValidationError = (error) => [
+  'required', 'must', 'cannot', 'Unsupported', 'Unknown', 'Invalid', 'only supported', 'not both', 'No valid fields'
+].some(text => error.message.includes(text));
+
+// Create occurrences that are already inside the lead window right away
+// instead of waiting for the next scheduler run
+const materializeNow = async (schedule) => {
+  try {
+    await materializeSchedule(schedule);
+  } catch (error) {
+    console.error(`Error materializing recurring schedule ${schedule.id}:`, error.message);
+  }
+};
+
+// List schedules (work:assign) - all with teams:view_all, otherwise the ones you created
+router.get('/', authenticateToken, requirePermission('work:assign'), async (req, res) => {
+  try {
+    const filters = { status: req.query.status };
+    if (!hasPermission(req.user, 'teams:view_all')) {
+      filters.createdBy = req.user.id;
+    }
+
+    const schedules = await RecurringSchedule.findAll(filters);
+    res.json(schedules.map(schedule => schedule.toJSON()));
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/:id', authenticateToken, requirePermission('work:assign'), loadSchedule, async (req, res) => {
+  try {
+    const workItems = await WorkItem.findAll({ scheduleId: req.schedule.id });
+    res.json({
+      ...req.schedule.toJSON(),
+      workItems: workItems.map(workItem => workItem.toJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('work:assign'), async (req, res) => {
+  try {
+    const { workerId, teamId, task, description, instructions, rrule, startsAt, leadDays } = req.body;
+
+    const assigneeError = await checkAssignee(req.user, { workerId, teamId });
+    if (assigneeError) {
+      return res.status(assigneeError.status).json({ message: assigneeError.message });
+    }
+
+    const schedule = await RecurringSchedule.create({
+      workerId, teamId, task, description, instructions, rrule, startsAt, leadDays,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.record(req, {
+      action: 'schedule.create',
+      entityType: 'recurring_schedule',
+      entityId: schedule.id,
+      after: schedule.toJSON()
+    });
+
+    await materializeNow(schedule);
+
+    res.status(201).json({ message: 'Recurring schedule created successfully', schedule: schedule.toJSON() });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+
+    if (isValidationError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Edit a series; work items that already exist are left as they are
+router.put('/:id', authenticateToken, requirePermission('work:assign'), loadSchedule, async (req, res) => {
+  try {
+    if (req.schedule.status === 'stopped') {
+      return res.status(400).json({ message: 'Stopped schedules cannot be edited' });
+    }
+
+    // A finished series can only be extended by changing its rule
+    if (req.schedule.status === 'completed' && req.body.rrule === undefined && req.body.startsAt === undefined) {
+      return res.status(400).json({ message: 'Schedule has already ended' });
+    }
+
+    const { workerId, teamId } = req.body;
+    if (workerId !== undefined || teamId !== undefined) {
+      const assigneeError = await checkAssignee(req.user, { workerId, teamId });
+      if (assigneeError) {
+        return res.status(assigneeError.status).json({ message: assigneeError.message });
+      }
+    }
+
+    const before = req.schedule.toJSON();
+    await req.schedule.update(req.body);
+
+    await AuditLog.record(req, {
+      action: 'schedule.update',
+      entityType: 'recurring_schedule',
+      entityId: req.schedule.id,
+      ...AuditLog.diff(before, req.schedule.toJSON())
+    });
+
+    await materializeNow(req.schedule);
+
+    res.json({ message: 'Recurring schedule updated successfully', schedule: req.schedule.toJSON() });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+
+    if (isValidationError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+for (const action of ['pause', 'resume', 'stop']) {
+  router.post(`/:id/${action}`, authenticateToken, requirePermission('work:assign'), loadSchedule, async (req, res) => {
+    try {
+      const before = req.schedule.toJSON();
+      await req.schedule[action]();
+
+      await AuditLog.record(req, {
+        action: `schedule.${action}`,
+        entityType: 'recurring_schedule',
+        entityId: req.schedule.id,
+        ...AuditLog.diff(before, req.schedule.toJSON())
+      });
+
+      if (action === 'resume') {
+        await materializeNow(req.schedule);
+      }
+
+      res.json({ message: `Recurring schedule ${action === 'stop' ? 'stopped' : `${action}d`}`, schedule: req.schedule.toJSON() });
+    } catch (error) {
+      console.error(`Error during schedule ${action}:`, error);
+
+      if (error.message.includes('Only') || error.message.includes('already ended')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const Tag = require('../models/Tag');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load :id into req.tag, 404 if it does not exist
+const loadTag = async (req, res, next) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    req.tag = tag;
+    next();
+  } catch (error) {
+    console.error('Error loading tag:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const handleTagError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({ message: error.message });
+  }
+
+  if (error.message.includes('Tag') || error.message.includes('tag') || error.message.includes('No valid fields')) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+// The tag vocabulary with how many work items use each tag - any signed-in user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tags = await Tag.findAll();
+    res.json(tags.map(tag => tag.toJSON()));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a tag to the vocabulary (tags:manage)
+router.post('/', authenticateToken, requirePermission('tags:manage'), async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+    const tag = await Tag.create({ name, color, description, createdBy: req.user.id });
+
+    await AuditLog.record(req, {
+      action: 'tag.create',
+      entityType: 'tag',
+      entityId: tag.id,
+      after: tag.toJSON()
+    });
+
+    res.status(201).json({ message: 'Tag created successfully', tag: tag.toJSON() });
+  } catch (error) {
+    handleTagError(res, error, 'creating tag');
+  }
+});
+
+// Rename or recolor a tag (tags:manage)
+router.put('/:id', authenticateToken, requirePermission('tags:manage'), loadTag, async (req, res) => {
+  try {
+    const before = req.tag.toJSON();
+    const { name, color, description } = req.body;
+    await req.tag.update({ name, color, description });
+
+    await AuditLog.record(req, {
+      action: 'tag.update',
+      entityType: 'tag',
+      entityId: req.tag.id,
+      ...AuditLog.diff(before, req.tag.toJSON())
+    });
+
+    res.json({ message: 'Tag updated successfully', tag: req.tag.toJSON() });
+  } catch (error) {
+    handleTagError(res, error, 'updating tag');
+  }
+});
+
+// Fold this tag into another one - its work items get the target tag instead (tags:manage)
+router.post('/:id/merge', authenticateToken, requirePermission('tags:manage'), loadTag, async (req, res) => {
+  try {
+    const target = await Tag.findById(req.body.targetId);
+    if (!target) {
+      return res.status(404).json({ message: 'Target tag not found' });
+    }
+
+    await req.tag.mergeInto(target);
+
+    await AuditLog.record(req, {
+      action: 'tag.merge',
+      entityType: 'tag',
+      entityId: req.tag.id,
+      before: req.tag.toJSON(),
+      after: { mergedInto: target.id, name: target.name }
+    });
+
+    res.json({ message: 'Tag merged successfully', tag: (await Tag.findById(target.id)).toJSON() });
+  } catch (error) {
+    handleTagError(res, error, 'merging tag');
+  }
+});
+
+// Remove a tag from the vocabulary and from every work item (tags:manage)
+router.delete('/:id', authenticateToken, requirePermission('tags:manage'), loadTag, async (req, res) => {
+  try {
+    await req.tag.delete();
+
+    await AuditLog.record(req, {
+      action: 'tag.delete',
+      entityType: 'tag',
+      entityId: req.tag.id,
+      before: req.tag.toJSON()
+    });
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    handleTagError(res, error, 'deleting tag');
+  }
+});
+
+module.exports = router;
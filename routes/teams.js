@@ -0,0 +1,214 @@
+const express = require('express');
+const Team = require('../models/Team');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load :id into req.team, 404 if it does not exist
+const loadTeam = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    req.team = team;
+    next();
+  } catch (error) {
+    console.error('Error loading team:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const handleTeamError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+
+  if (error.message.includes('Team') || error.message.includes('team') || error.message.includes('No valid fields')) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+// List teams - every team with teams:manage or teams:view_all, otherwise the caller's own
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const seesAll = hasPermission(req.user, 'teams:manage') || hasPermission(req.user, 'teams:view_all');
+    const teams = await Team.findAll(seesAll ? {} : { memberId: req.user.id });
+    res.json(teams.map(team => team.toJSON()));
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a team (teams:manage)
+router.post('/', authenticateToken, requirePermission('teams:manage'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const team = await Team.create({ name, description, createdBy: req.user.id });
+
+    await AuditLog.record(req, {
+      action: 'team.create',
+      entityType: 'team',
+      entityId: team.id,
+      after: team.toJSON()
+    });
+
+    res.status(201).json({ message: 'Team created successfully', team: team.toJSON() });
+  } catch (error) {
+    handleTeamError(res, error, 'creating team');
+  }
+});
+
+// Team details with members - team members, teams:manage or teams:view_all
+router.get('/:id', authenticateToken, loadTeam, async (req, res) => {
+  try {
+    const canView = hasPermission(req.user, 'teams:manage') ||
+      hasPermission(req.user, 'teams:view_all') ||
+      await Team.isMember(req.team.id, req.user.id);
+
+    if (!canView) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await req.team.getMembers();
+    res.json(req.team.toJSON());
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename a team or change its description (teams:manage)
+router.put('/:id', authenticateToken, requirePermission('teams:manage'), loadTeam, async (req, res) => {
+  try {
+    const before = req.team.toJSON();
+    await req.team.update({ name: req.body.name, description: req.body.description });
+
+    await AuditLog.record(req, {
+      action: 'team.update',
+      entityType: 'team',
+      entityId: req.team.id,
+      ...AuditLog.diff(before, req.team.toJSON())
+    });
+
+    res.json({ message: 'Team updated successfully', team: req.team.toJSON() });
+  } catch (error) {
+    handleTeamError(res, error, 'updating team');
+  }
+});
+
+// Delete a team (teams:manage); its unclaimed queue must be empty
+router.delete('/:id', authenticateToken, requirePermission('teams:manage'), loadTeam, async (req, res) => {
+  try {
+    await req.team.delete();
+
+    await AuditLog.record(req, {
+      action: 'team.delete',
+      entityType: 'team',
+      entityId: req.team.id,
+      before: req.team.toJSON()
+    });
+
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    handleTeamError(res, error, 'deleting team');
+  }
+});
+
+// Add a member - teams:manage, or a lead of this team adding a regular member
+router.post('/:id/members', authenticateToken, loadTeam, async (req, res) => {
+  try {
+    const { userId, isLead = false } = req.body;
+    const canManage = hasPermission(req.user, 'teams:manage');
+
+    if (!canManage && !(await Team.isLead(req.team.id, req.user.id))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (isLead && !canManage) {
+      return res.status(403).json({ message: 'Only team administrators can assign team leads' });
+    }
+
+    if (!userId) {
+      return res.status(400).json({ message: 'userId is required' });
+    }
+
+    await req.team.addMember(userId, { isLead: !!isLead });
+
+    await AuditLog.record(req, {
+      action: 'team.member_add',
+      entityType: 'team',
+      entityId: req.team.id,
+      after: { userId, isLead: !!isLead }
+    });
+
+    await req.team.getMembers();
+    res.status(201).json({ message: 'Member added successfully', team: req.team.toJSON() });
+  } catch (error) {
+    handleTeamError(res, error, 'adding team member');
+  }
+});
+
+// Make a member a team lead or a regular member again (teams:manage)
+router.put('/:id/members/:userId', authenticateToken, requirePermission('teams:manage'), loadTeam, async (req, res) => {
+  try {
+    const { isLead } = req.body;
+
+    if (typeof isLead !== 'boolean') {
+      return res.status(400).json({ message: 'isLead must be true or false' });
+    }
+
+    const userId = parseInt(req.params.userId);
+    await req.team.setLead(userId, isLead);
+
+    await AuditLog.record(req, {
+      action: isLead ? 'team.lead_assign' : 'team.lead_remove',
+      entityType: 'team',
+      entityId: req.team.id,
+      after: { userId, isLead }
+    });
+
+    await req.team.getMembers();
+    res.json({ message: 'Member updated successfully', team: req.team.toJSON() });
+  } catch (error) {
+    handleTeamError(res, error, 'updating team member');
+  }
+});
+
+// Remove a member - teams:manage, or a lead of this team removing a regular member
+router.delete('/:id/members/:userId', authenticateToken, loadTeam, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const canManage = hasPermission(req.user, 'teams:manage');
+
+    if (!canManage) {
+      if (!(await Team.isLead(req.team.id, req.user.id))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (await Team.isLead(req.team.id, userId)) {
+        return res.status(403).json({ message: 'Only team administrators can remove team leads' });
+      }
+    }
+
+    await req.team.removeMember(userId);
+
+    await AuditLog.record(req, {
+      action: 'team.member_remove',
+      entityType: 'team',
+      entityId: req.team.id,
+      before: { userId }
+    });
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    handleTeamError(res, error, 'removing team member');
+  }
+});
+
+module.exports = router;
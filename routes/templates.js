@@ -0,0 +1,138 @@
+const express = require('express');
+const TaskTemplate = require('../models/TaskTemplate');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const AuditLog = require('../models/AuditLog');
+const { VARIABLES } = require('../utils/templates');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load :id into req.template, 404 if it does not exist
+const loadTemplate = async (req, res, next) => {
+  try {
+    const template = await TaskTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    req.template = template;
+    next();
+  } catch (error) {
+    console.error('Error loading template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Everyone who assigns work can use a template; only its author or an admin can change it
+const canManageTemplate = (user, template) => hasPermission(user, 'teams:view_all') || template.createdBy === user.id;
+
+const requireTemplateManager = (req, res, next) => {
+  if (!canManageTemplate(req.user, req.template)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+const handleTemplateError = (res, error, context) => {
+  console.error(`Error ${context}:`, error);
+
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({ message: error.message });
+  }
+
+  const badRequest = ['Template', 'template', 'placeholder', 'deadline', 'Deadline', 'Priority must', 'Tag', 'Checklist', 'Task cannot', 'No valid fields'];
+  if (badRequest.some(text => error.message.includes(text))) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+router.get('/', authenticateToken, requirePermission('work:assign'), async (req, res) => {
+  try {
+    const templates = await TaskTemplate.findAll();
+    res.json({ variables: VARIABLES, templates: templates.map(template => template.toJSON()) });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/:id', authenticateToken, requirePermission('work:assign'), loadTemplate, (req, res) => {
+  res.json(req.template.toJSON());
+});
+
+// Render the template for ?workerId= or ?teamId= without assigning anything
+router.get('/:id/preview', authenticateToken, requirePermission('work:assign'), loadTemplate, async (req, res) => {
+  try {
+    const worker = req.query.workerId ? await User.findById(req.query.workerId) : null;
+    const team = req.query.teamId ? await Team.findById(req.query.teamId) : null;
+    if (req.query.workerId && !worker) {
+      return res.status(404).json({ message: 'Worker not found' });
+    }
+    if (req.query.teamId && !team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const assigner = await User.findById(req.user.id);
+    res.json(req.template.render({ worker, team, assigner, deadline: req.query.deadline }));
+  } catch (error) {
+    handleTemplateError(res, error, 'previewing template');
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('work:assign'), async (req, res) => {
+  try {
+    const template = await TaskTemplate.create({ ...req.body, createdBy: req.user.id });
+
+    await AuditLog.record(req, {
+      action: 'template.create',
+      entityType: 'task_template',
+      entityId: template.id,
+      after: template.toJSON()
+    });
+
+    res.status(201).json({ message: 'Template created successfully', template: template.toJSON() });
+  } catch (error) {
+    handleTemplateError(res, error, 'creating template');
+  }
+});
+
+router.put('/:id', authenticateToken, requirePermission('work:assign'), loadTemplate, requireTemplateManager, async (req, res) => {
+  try {
+    const before = req.template.toJSON();
+    const { name, task, description, instructions, defaultDeadline, priority, tags, checklist, requireChecklist } = req.body;
+    await req.template.update({ name, task, description, instructions, defaultDeadline, priority, tags, checklist, requireChecklist });
+
+    await AuditLog.record(req, {
+      action: 'template.update',
+      entityType: 'task_template',
+      entityId: req.template.id,
+      ...AuditLog.diff(before, req.template.toJSON())
+    });
+
+    res.json({ message: 'Template updated successfully', template: req.template.toJSON() });
+  } catch (error) {
+    handleTemplateError(res, error, 'updating template');
+  }
+});
+
+// Work items already created from the template keep their text
+router.delete('/:id', authenticateToken, requirePermission('work:assign'), loadTemplate, requireTemplateManager, async (req, res) => {
+  try {
+    await req.template.delete();
+
+    await AuditLog.record(req, {
+      action: 'template.delete',
+      entityType: 'task_template',
+      entityId: req.template.id,
+      before: req.template.toJSON()
+    });
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    handleTemplateError(res, error, 'deleting template');
+  }
+});
+
+module.exports = router;
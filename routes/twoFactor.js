@@ -0,0 +1,211 @@
+const express = require('express');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const RecoveryCode = require('../models/RecoveryCode');
+const Setting = require('../models/Setting');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { buildOtpauthUri } = require('../utils/totp');
+
+const router = express.Router();
+
+const isTwoFactorRequired = async (user) => {
+  const requireAdminTwoFactor = await Setting.get(Setting.REQUIRE_ADMIN_TWO_FACTOR, false);
+  return !!requireAdminTwoFactor && user.role === 'admin';
+};
+
+// Current user's 2FA state
+router.get('/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      enabled: !!user.twoFactorEnabled,
+      enrollmentPending: !user.twoFactorEnabled && !!user.twoFactorSecret,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactorEnabled ? await RecoveryCode.countRemaining(user.id) : 0
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Start enrollment: returns the secret and otpauth:// URI for the authenticator app
+router.post('/setup', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = await user.startTwoFactorEnrollment();
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Finish enrollment with a code from the app; returns recovery codes once
+router.post('/verify', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await user.setTwoFactorEnabled(true);
+    const recoveryCodes = await RecoveryCode.regenerateForUser(user.id);
+
+    await AuditLog.record(req, {
+      action: 'user.two_factor_enable',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error verifying 2FA setup:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Turn 2FA off (needs password and a current code)
+router.post('/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!password || !(await user.comparePassword(password)) || !(await user.verifyTwoFactorCode(code))) {
+      return res.status(401).json({ message: 'Password or verification code is incorrect' });
+    }
+
+    await user.setTwoFactorEnabled(false);
+    await RecoveryCode.deleteAllForUser(user.id);
+
+    await AuditLog.record(req, {
+      action: 'user.two_factor_disable',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Replace the recovery codes (needs a current code)
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await RecoveryCode.regenerateForUser(user.id);
+
+    await AuditLog.record(req, {
+      action: 'user.two_factor_recovery_codes_regenerate',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Whether admins must use 2FA (settings:manage)
+router.get('/policy', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({ requireForAdmins: !!(await Setting.get(Setting.REQUIRE_ADMIN_TWO_FACTOR, false)) });
+  } catch (error) {
+    console.error('Error fetching 2FA policy:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/policy', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { requireForAdmins } = req.body;
+    if (typeof requireForAdmins !== 'boolean') {
+      return res.status(400).json({ message: 'requireForAdmins must be true or false' });
+    }
+
+    const before = { requireForAdmins: !!(await Setting.get(Setting.REQUIRE_ADMIN_TWO_FACTOR, false)) };
+    await Setting.set(Setting.REQUIRE_ADMIN_TWO_FACTOR, requireForAdmins);
+
+    await AuditLog.record(req, {
+      action: 'settings.two_factor_policy',
+      entityType: 'setting',
+      before,
+      after: { requireForAdmins }
+    });
+
+    res.json({ message: 'Two-factor policy updated', requireForAdmins });
+  } catch (error) {
+    console.error('Error updating 2FA policy:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
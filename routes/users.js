@@ -1,16 +1,23 @@
 const express = require('express');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const Attachment = require('../models/Attachment');
+const Session = require('../models/Session');
+const { createAccessToken } = require('../utils/tokens');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Get all users (Admin only) - Returns only workers
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+// Without teams:view_all, listings are limited to members of the teams the caller leads
+const teamScope = (user) => (hasPermission(user, 'teams:view_all') ? {} : { managedBy: user.id });
+
+// Get all users (users:read) - Returns only workers, scoped to the caller's teams
+router.get('/', authenticateToken, requirePermission('users:read'), async (req, res) => {
   console.log('=== GET USERS ===');
   console.log('Admin user:', req.user);
   
   try {
-    const users = await User.findAll({ role: 'worker' });
+    const users = await User.findAll({ role: 'worker', ...teamScope(req.user) });
     console.log(`Found ${users.length} worker users`);
     res.json(users.map(user => user.toJSON()));
   } catch (error) {
@@ -19,8 +26,8 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Get all users including admins (Super admin only)
-router.get('/all', authenticateToken, requireAdmin, async (req, res) => {
+// Get all users including admins (users:read_all)
+router.get('/all', authenticateToken, requirePermission('users:read_all'), async (req, res) => {
   try {
     const users = await User.findAll();
     res.json(users.map(user => user.toJSON()));
@@ -66,8 +73,16 @@ router.put('/profile', authenticateToken, async (req, res) => {
     if (name) updateData.name = name;
     if (email) updateData.email = email;
 
+    const before = user.toJSON();
     await user.update(updateData);
 
+    await AuditLog.record(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user.id,
+      ...AuditLog.diff(before, user)
+    });
+
     res.json({
       message: 'Profile updated successfully',
       user: user.toJSON()
@@ -83,8 +98,172 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete user (Admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Change own password
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword || typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({ message: 'Current password and new password are required' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    try {
+      await user.setPassword(newPassword);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Sign out every other device
+    await Session.revokeAllForUser(user.id, 'password_change', req.user.sid);
+
+    await AuditLog.record(req, {
+      action: 'user.password_change',
+      entityType: 'user',
+      entityId: user.id
+    });
+
+    res.json({
+      message: 'Password changed successfully',
+      token: createAccessToken(user, req.user.sid),
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a user's role (users:manage)
+router.put('/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot change your own role' });
+    }
+
+    if (!role) {
+      return res.status(400).json({ message: 'Role is required' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = user.toJSON();
+    await user.setRole(role);
+
+    // Existing tokens pick up the new role on their next request
+    await AuditLog.record(req, {
+      action: 'user.role_change',
+      entityType: 'user',
+      entityId: user.id,
+      ...AuditLog.diff(before, user)
+    });
+
+    res.json({ message: 'Role updated successfully', user: user.toJSON() });
+  } catch (error) {
+    console.error('Error changing user role:', error);
+
+    if (error.message.includes('does not exist')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Force a user to change their password at next login (users:manage)
+router.put('/:id/require-password-change', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const required = req.body.required !== false;
+    const before = user.toJSON();
+    await user.update({ mustChangePassword: required ? 1 : 0 });
+
+    await AuditLog.record(req, {
+      action: 'user.require_password_change',
+      entityType: 'user',
+      entityId: user.id,
+      ...AuditLog.diff(before, user)
+    });
+
+    res.json({
+      message: required ? 'User must change password at next login' : 'Password change requirement cleared',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Error updating password change requirement:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke every session for a user (users:manage)
+router.delete('/:id/sessions', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await Session.revokeAllForUser(user.id, 'revoked_by_admin');
+
+    await AuditLog.record(req, {
+      action: 'user.sessions_revoke',
+      entityType: 'user',
+      entityId: user.id,
+      after: { revokedSessions: revoked }
+    });
+
+    res.json({ message: `Revoked ${revoked} session(s)`, revoked });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Clear a login lockout (users:manage)
+router.post('/:id/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = user.toJSON();
+    await user.resetFailedLogins();
+
+    await AuditLog.record(req, {
+      action: 'user.unlock',
+      entityType: 'user',
+      entityId: user.id,
+      ...AuditLog.diff(before, user)
+    });
+
+    res.json({ message: 'Account unlocked successfully', user: user.toJSON() });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete user (users:delete)
+router.delete('/:id', authenticateToken, requirePermission('users:delete'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     
@@ -98,7 +277,17 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Their work items and attachment rows cascade; the files on disk don't
+    const attachments = await Attachment.findForUserWorkItems(user.id);
     await user.delete();
+    attachments.forEach(attachment => attachment.removeFile());
+
+    await AuditLog.record(req, {
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: userId,
+      before: user
+    });
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -106,16 +295,19 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Get user statistics (Admin only)
-router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
+// Get user statistics (users:stats), scoped to the caller's teams
+router.get('/stats', authenticateToken, requirePermission('users:stats'), async (req, res) => {
   try {
-    const totalUsers = await User.count();
-    const totalWorkers = await User.count({ role: 'worker' });
-    const totalAdmins = await User.count({ role: 'admin' });
+    const scope = teamScope(req.user);
+    const totalUsers = await User.count(scope);
+    const totalWorkers = await User.count({ role: 'worker', ...scope });
+    const totalAdmins = await User.count({ role: 'admin', ...scope });
+    const totalManagers = await User.count({ role: 'manager', ...scope });
 
     res.json({
       totalUsers,
       totalWorkers,
+      totalManagers,
       totalAdmins
     });
   } catch (error) {
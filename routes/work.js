@@ -3,247 +3,1481 @@ const express = require('express');
 const router = express.Router();
 const WorkItem = require('../models/WorkItem');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { google } = require('googleapis');
-const { dbGet } = require('../config/database');
+const AuditLog = require('../models/AuditLog');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const WorkItemSubmission = require('../models/WorkItemSubmission');
+const Team = require('../models/Team');
+const Assignment = require('../models/Assignment');
+const WorkItemNotification = require('../models/WorkItemNotification');
+const Setting = require('../models/Setting');
+const Tag = require('../models/Tag');
+const ChecklistItem = require('../models/ChecklistItem');
+const WorkItemDependency = require('../models/WorkItemDependency');
+const TaskTemplate = require('../models/TaskTemplate');
+const WorkAnalytics = require('../models/WorkAnalytics');
+const deadlineReminders = require('../jobs/deadlineReminders');
+const calendarSync = require('../jobs/calendarSync');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { uploadAttachments, removeUploadedFiles } = require('../middleware/upload');
+const { sendTaskNotification, sendAssignmentNotification, sendTeamQueueNotification, sendUnblockedNotification } = require('../utils/email');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+// Without teams:view_all, listings are limited to the teams the caller leads
+const workScope = (user) => (hasPermission(user, 'teams:view_all') ? {} : { managedBy: user.id });
+
+// Whether the caller oversees this task: it belongs to a team they lead or they assigned it
+const canManageWorkItem = async (user, workItem) => {
+  if (hasPermission(user, 'teams:view_all') || workItem.assignedBy === user.id) return true;
+  if (workItem.workerId && await Team.leadsUser(user.id, workItem.workerId)) return true;
+  return !!workItem.teamId && await Team.isLead(workItem.teamId, user.id);
+};
+
+// Same rule as GET /:id - assignees see their own tasks, team members see their
+// team's queue and work:read_all sees everything it manages
+const canAccessWorkItem = async (user, workItem) => {
+  if (user.id === workItem.workerId) return true;
+  if (workItem.isQueued() && await Team.isMember(workItem.teamId, user.id)) return true;
+  return hasPermission(user, 'work:read_all') && await canManageWorkItem(user, workItem);
+};
+
+// Comma-separated or repeated query/form values as a clean list
+const parseList = (value) => [].concat(value === undefined || value === null ? [] : value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const dateOnlyPattern = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const STATUSES = ['pending', 'submitted', 'approved', 'rejected'];
+
+// Query-string filters shared by the list endpoints:
+// ?status=pending,rejected&priority=high,urgent&tags=billing,q3&search=invoice
+// &deadlineFrom=...&deadlineTo=...&assignedFrom=...&assignedTo=...
+// &sort=deadline&order=asc&limit=50&offset=100
+const listQuery = (req, res, next) => {
+  const filters = {};
+  const { search, sort, order, limit, offset } = req.query;
+
+  if (req.query.priority) {
+    filters.priority = parseList(req.query.priority);
+    const invalid = filters.priority.filter(priority => !WorkItem.PRIORITIES.includes(priority));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Unknown priority: ${invalid.join(', ')}` });
+    }
+  }
+
+  if (req.query.tags) {
+    filters.tags = parseList(req.query.tags);
+  }
+
+  if (req.query.status) {
+    filters.statuses = parseList(req.query.status);
+    const invalid = filters.statuses.filter(status => !STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Unknown status: ${invalid.join(', ')}` });
+    }
+  }
+
+  for (const name of ['deadlineFrom', 'deadlineTo', 'assignedFrom', 'assignedTo']) {
+    const value = req.query[name];
+    if (!value) continue;
+    if (isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ message: `Invalid ${name} date` });
+    }
+    // A bare date as the upper bound means "through the end of that day"
+    filters[name] = name.endsWith('To') && dateOnlyPattern.test(value) ? `${value} 23:59:59` : value;
+  }
+
+  if (search) {
+    if (typeof search !== 'string' || search.length > 200) {
+      return res.status(400).json({ message: 'search must be text of at most 200 characters' });
+    }
+    filters.search = search;
+  }
+
+  if (sort) {
+    if (!WorkItem.SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${WorkItem.SORT_FIELDS.join(', ')}` });
+    }
+    filters.sort = sort;
+  }
+
+  if (order) {
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ message: 'order must be asc or desc' });
+    }
+    filters.order = order;
+  }
+
+  // Paging is opt-in so existing clients keep getting a plain array
+  if (limit !== undefined || offset !== undefined) {
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit, 10);
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+    if (!(pageSize >= 1) || !(skip >= 0)) {
+      return res.status(400).json({ message: 'limit must be a positive number and offset zero or more' });
+    }
+    req.pagination = { limit: Math.min(pageSize, MAX_PAGE_SIZE), offset: skip };
+  }
+
+  req.listFilters = filters;
+  next();
+};
+
+// Respond with the matching work items: a plain array, or a page plus the total
+// count when the request asked for ?limit / ?offset
+const sendWorkItems = async (req, res, filters) => {
+  if (!req.pagination) {
+    const workItems = await WorkItem.findAll(filters);
+    return res.status(200).json(workItems);
+  }
+
+  const [workItems, total] = await Promise.all([
+    WorkItem.findAll({ ...filters, ...req.pagination }),
+    WorkItem.count(filters)
+  ]);
+
+  res.status(200).json({
+    total,
+    count: workItems.length,
+    limit: req.pagination.limit,
+    offset: req.pagination.offset,
+    workItems
+  });
+};
+
+// Priority, tags and checklist from an assignment request body (JSON or multipart form)
+const assignmentOptions = (body) => ({
+  priority: body.priority || 'normal',
+  tags: parseList(body.tags),
+  checklist: body.checklist,
+  requireChecklist: body.requireChecklist === true || body.requireChecklist === 'true'
+});
+
+const MAX_BATCH_ASSIGNEES = 200;
+
+// workerIds arrives as a JSON array, or as a comma-separated string / repeated
+// field when the form is sent as multipart with attachments
+// Invalid entries are kept as given so they can be reported back per recipient
+const parseWorkerIds = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  let list = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    try {
+      list = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(',');
+    } catch (error) {
+      throw new Error('workerIds must be a list of worker IDs');
+    }
+  }
+  const ids = (Array.isArray(list) ? list : [list]).map(id => {
+    const parsed = Number(String(id).trim());
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : id;
+  });
+  return [...new Set(ids)];
+};
+
+// One work item per recipient under a shared assignment. Failures are
+// reported per recipient instead of aborting the whole batch.
+const assignToMany = async (req, res) => {
+  const { workerIds, teamId, task, description, instructions, deadline } = req.body;
+  const canAssignAnywhere = hasPermission(req.user, 'teams:view_all');
+  let team = null;
+  let recipientIds;
+
+  if (teamId) {
+    team = await Team.findById(teamId);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    if (!canAssignAnywhere && !(await Team.isLead(team.id, req.user.id))) {
+      return res.status(403).json({ message: 'You can only assign tasks to teams you lead' });
+    }
+    recipientIds = (await team.getMembers())
+      .filter(member => member.isActive && member.id !== req.user.id)
+      .map(member => member.id);
+  } else {
+    try {
+      recipientIds = parseWorkerIds(workerIds);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+  }
+
+  if (recipientIds.length === 0) {
+    return res.status(400).json({ message: team ? 'Team has no members to assign to' : 'At least one worker is required' });
+  }
+
+  if (recipientIds.length > MAX_BATCH_ASSIGNEES) {
+    return res.status(400).json({ message: `Cannot assign to more than ${MAX_BATCH_ASSIGNEES} workers at once` });
+  }
+
+  const assignment = await Assignment.create({ task, teamId: team ? team.id : null, assignedBy: req.user.id });
+  const results = [];
+  const workItems = [];
+  // The first recipient gets the uploaded files themselves, everyone else a copy
+  let uploadsClaimed = false;
+
+  for (const recipientId of recipientIds) {
+    const result = { workerId: recipientId, success: false };
+    results.push(result);
+
+    try {
+      if (!Number.isInteger(recipientId)) {
+        throw new Error('Invalid worker ID');
+      }
+
+      const worker = await User.findById(recipientId);
+      if (!worker) {
+        throw new Error('Worker not found');
+      }
+      if (!worker.isActive) {
+        throw new Error('Worker account is deactivated');
+      }
+      if (!team && !canAssignAnywhere && !(await Team.leadsUser(req.user.id, worker.id))) {
+        throw new Error('You can only assign tasks to members of teams you lead');
+      }
+
+      const workItem = await WorkItem.create({
+        workerId: worker.id,
+        assignmentId: assignment.id,
+        task,
+        description: description || '',
+        instructions,
+        deadline,
+        assignedBy: req.user.id,
+        status: 'pending',
+        ...assignmentOptions(req.body)
+      });
+
+      let copies = [];
+      try {
+        if (uploadsClaimed) {
+          copies = await Attachment.copyUploads(req.files);
+        }
+        await Attachment.createFromUploads(uploadsClaimed ? copies : req.files, {
+          workItemId: workItem.id,
+          uploadedBy: req.user.id,
+          kind: 'reference'
+        });
+      } catch (error) {
+        await workItem.delete();
+        removeUploadedFiles(copies);
+        throw error;
+      }
+      uploadsClaimed = true;
+      workItems.push(workItem);
+
+      await AuditLog.record(req, {
+        action: 'work.assign',
+        entityType: 'work_item',
+        entityId: workItem.id,
+        after: workItem
+      });
+
+      result.success = true;
+      result.workItemId = workItem.id;
+      result.worker = { id: worker.id, name: worker.name, email: worker.email };
+      result.email = await sendAssignmentNotification(worker, workItem);
+      result.calendar = await calendarSync.syncWorkItem(workItem.id, worker.id);
+    } catch (error) {
+      console.error(`Error assigning task to worker ${recipientId}:`, error.message);
+      result.error = error.message;
+    }
+  }
+
+  const assigned = workItems.length;
+  const summary = { requested: recipientIds.length, assigned, failed: recipientIds.length - assigned };
+
+  if (assigned === 0) {
+    await assignment.delete();
+    return res.status(400).json({ message: 'Task could not be assigned to any worker', summary, results });
+  }
+
+  assignment.progress = Assignment.summarizeProgress(workItems);
+
+  console.log(`Batch assignment ${assignment.id}: ${assigned}/${recipientIds.length} assigned`);
+  res.status(summary.failed > 0 ? 207 : 201).json({
+    message: summary.failed > 0 ? 'Task assigned to some workers' : 'Task assigned successfully',
+    assignment: assignment.toJSON(),
+    summary,
+    results
+  });
+};
+
+// Tell the other side of the conversation about a new comment
+const notifyCommentParticipants = async (author, workItem, comment) => {
+  const recipients = [workItem.worker, workItem.assignedByUser]
+    .filter(participant => participant && participant.email && participant.id !== author.id);
+
+  const uniqueRecipients = [...new Map(recipients.map(participant => [participant.id, participant])).values()];
+
+  for (const recipient of uniqueRecipients) {
+    await sendTaskNotification(
+      recipient.email,
+      `New comment on "${workItem.task}" - TaskPilot`,
+      `Hello ${recipient.name},
+
+${author.name || author.email} commented on the task "${workItem.task}":
+
+${comment.body}
+
+Please log into TaskPilot to view the conversation and reply.
+
+Best regards,
+TaskPilot Team`
+    );
+  }
+};
+
+router.get('/test', authenticateToken, (req, res) => {
+  console.log('=== WORK ROUTE TEST ===');
+  console.log('User from middleware:', req.user);
+  
+  res.status(200).json({ 
+    message: 'Backend is working',
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/', authenticateToken, listQuery, async (req, res) => {
+  console.log('=== GET WORK ITEMS ===');
+  console.log('User:', req.user);
+  
+  try {
+    if (hasPermission(req.user, 'work:read_all')) {
+      console.log('Fetching all work items for', req.user.role);
+      await sendWorkItems(req, res, { ...req.listFilters, ...workScope(req.user) });
+    } else {
+      console.log('Fetching work items for worker ID:', req.user.id);
+      await sendWorkItems(req, res, { ...req.listFilters, workerId: req.user.id });
+    }
+  } catch (error) {
+    console.error('Error fetching work items:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/submitted', authenticateToken, requirePermission('work:approve', 'work:reject'), listQuery, async (req, res) => {
+  console.log('=== GET SUBMITTED WORK ===');
+  console.log('Admin user:', req.user);
+  
+  try {
+    await sendWorkItems(req, res, { ...req.listFilters, status: 'submitted', ...workScope(req.user) });
+  } catch (error) {
+    console.error('Error fetching submitted work items:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unclaimed tasks waiting in the queues of the caller's teams
+router.get('/queue', authenticateToken, listQuery, async (req, res) => {
+  try {
+    const filters = { ...req.listFilters, queueFor: req.user.id };
+    if (req.query.teamId) {
+      filters.teamId = parseInt(req.query.teamId);
+    }
+
+    await sendWorkItems(req, res, filters);
+  } catch (error) {
+    console.error('Error fetching team queue:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Columns of GET /export, one row per work item
+const EXPORT_COLUMNS = [
+  { header: 'id', value: item => item.id },
+  { header: 'task', value: item => item.task },
+  { header: 'description', value: item => item.description },
+  { header: 'instructions', value: item => item.instructions },
+  { header: 'status', value: item => item.status },
+  { header: 'priority', value: item => item.priority },
+  { header: 'tags', value: item => item.tags.map(tag => tag.name).join(', ') },
+  { header: 'deadline', value: item => item.deadline },
+  { header: 'worker_name', value: item => item.worker && item.worker.name },
+  { header: 'worker_email', value: item => item.worker && item.worker.email },
+  { header: 'team', value: item => item.team && item.team.name },
+  { header: 'assigned_by', value: item => item.assignedByUser.name },
+  { header: 'assigned_at', value: item => item.assignedAt },
+  { header: 'submitted_at', value: item => item.submittedAt },
+  { header: 'reviewed_by', value: item => item.reviewedByUser && item.reviewedByUser.name },
+  { header: 'reviewed_at', value: item => item.reviewedAt },
+  { header: 'review_notes', value: item => item.reviewNotes },
+  { header: 'work_link', value: item => item.workLink }
+];
+
+// The work items GET / would return, as a CSV download. Takes the same filters;
+// without ?limit the whole matching list is exported.
+router.get('/export', authenticateToken, listQuery, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv') {
+      return res.status(400).json({ message: 'format must be csv' });
+    }
+
+    const filters = hasPermission(req.user, 'work:read_all')
+      ? { ...req.listFilters, ...workScope(req.user) }
+      : { ...req.listFilters, workerId: req.user.id };
+    const workItems = await WorkItem.findAll({ ...filters, ...req.pagination });
+
+    await AuditLog.record(req, {
+      action: 'work.export',
+      entityType: 'work_item',
+      after: { format, count: workItems.length, filters: req.query }
+    });
+
+    const filename = `work-items-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(toCsv(EXPORT_COLUMNS, workItems));
+  } catch (error) {
+    console.error('Error exporting work items:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/reminder-settings', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.status(200).json(await deadlineReminders.getSettings());
+  } catch (error) {
+    console.error('Error fetching reminder settings:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/reminder-settings', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const before = await deadlineReminders.getSettings();
+    const settings = deadlineReminders.validateSettings({ ...before, ...req.body });
+    await Setting.set(Setting.DEADLINE_REMINDERS, settings);
+
+    await AuditLog.record(req, {
+      action: 'settings.deadline_reminders',
+      entityType: 'setting',
+      before,
+      after: settings
+    });
+
+    res.status(200).json({ message: 'Reminder settings updated', ...settings });
+  } catch (error) {
+    console.error('Error updating reminder settings:', error);
+
+    if (error.message.includes('must be')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Batch assignments with their completion progress
+router.get('/assignments', authenticateToken, requirePermission('work:read_all'), async (req, res) => {
+  try {
+    const workItems = await WorkItem.findAll({ inAssignment: true, ...workScope(req.user) });
+
+    const byAssignment = new Map();
+    for (const workItem of workItems) {
+      if (!byAssignment.has(workItem.assignmentId)) byAssignment.set(workItem.assignmentId, []);
+      byAssignment.get(workItem.assignmentId).push(workItem);
+    }
+
+    const assignments = await Assignment.findByIds([...byAssignment.keys()]);
+    res.status(200).json(assignments.map(assignment => {
+      assignment.progress = Assignment.summarizeProgress(byAssignment.get(assignment.id));
+      return assignment.toJSON();
+    }));
+  } catch (error) {
+    console.error('Error fetching assignments:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/assignments/:assignmentId', authenticateToken, requirePermission('work:read_all'), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const workItems = await WorkItem.findAll({ assignmentId: assignment.id, ...workScope(req.user) });
+    if (workItems.length === 0 && assignment.assignedBy !== req.user.id && !hasPermission(req.user, 'teams:view_all')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    assignment.progress = Assignment.summarizeProgress(workItems);
+    res.status(200).json({
+      ...assignment.toJSON(),
+      workItems: workItems.map(workItem => workItem.toJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching assignment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/worker/:workerId', authenticateToken, listQuery, async (req, res) => {
+  try {
+    const workerId = parseInt(req.params.workerId);
+    
+    if (req.user.id !== workerId) {
+      const canView = hasPermission(req.user, 'work:read_all') &&
+        (hasPermission(req.user, 'teams:view_all') || await Team.leadsUser(req.user.id, workerId));
+      if (!canView) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    await sendWorkItems(req, res, { ...req.listFilters, workerId });
+  } catch (error) {
+    console.error('Error fetching worker tasks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/stats', authenticateToken, requirePermission('work:stats'), async (req, res) => {
+  try {
+    const scope = workScope(req.user);
+    const totalTasks = await WorkItem.count(scope);
+    const pendingTasks = await WorkItem.count({ status: 'pending', ...scope });
+    const submittedTasks = await WorkItem.count({ status: 'submitted', ...scope });
+    const approvedTasks = await WorkItem.count({ status: 'approved', ...scope });
+    const rejectedTasks = await WorkItem.count({ status: 'rejected', ...scope });
+    const queuedTasks = await WorkItem.count({ unclaimed: true, ...scope });
+
+    res.status(200).json({
+      totalTasks,
+      pendingTasks,
+      submittedTasks,
+      approvedTasks,
+      rejectedTasks,
+      queuedTasks
+    });
+  } catch (error) {
+    console.error('Error fetching work stats:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Throughput and review metrics, overall, per worker and per day/week bucket
+// ?from=2025-01-01&to=2025-03-31&interval=week&workerId=&teamId= (defaults to the last 30 days)
+router.get('/analytics', authenticateToken, requirePermission('work:stats'), async (req, res) => {
+  try {
+    const { from, to, interval = 'day', workerId, teamId } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ message: `Invalid ${name} date` });
+      }
+    }
+
+    const rangeEnd = to ? new Date(dateOnlyPattern.test(to) ? `${to}T23:59:59.999Z` : to) : new Date();
+    const rangeStart = from ? new Date(from) : new Date(rangeEnd.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const analytics = await WorkAnalytics.build({
+      from: rangeStart,
+      to: rangeEnd,
+      interval,
+      filters: {
+        ...workScope(req.user),
+        workerId: workerId ? parseInt(workerId) : undefined,
+        teamId: teamId ? parseInt(teamId) : undefined
+      }
+    });
+
+    res.status(200).json(analytics);
+  } catch (error) {
+    console.error('Error building work analytics:', error);
+    if (['interval must', 'from must', 'too long'].some(text => error.message.includes(text))) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.status(200).json(workItem);
+  } catch (error) {
+    console.error('Error fetching work item:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const history = await workItem.getHistory();
+    res.status(200).json({
+      workItemId: workItem.id,
+      status: workItem.status,
+      submissionCount: history.filter(event => event.type === 'submission').length,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching work item history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reminders, overdue notices and escalations sent for this task
+router.get('/:id/notifications', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const notifications = await WorkItemNotification.findByWorkItem(workItem.id);
+    res.status(200).json(notifications.map(notification => notification.toJSON()));
+  } catch (error) {
+    console.error('Error fetching work item notifications:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const comments = await Comment.findThreadsByWorkItem(workItem.id);
+    res.status(200).json(comments);
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const comment = await Comment.create({
+      workItemId: workItem.id,
+      authorId: req.user.id,
+      parentId: parentId || null,
+      body
+    });
+
+    await notifyCommentParticipants(req.user, workItem, comment);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: comment.toJSON()
+    });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+
+    if (error.message.includes('required') || error.message.includes('longer than') || error.message.includes('Parent comment')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.workItemId !== parseInt(req.params.id)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Authors who lost access to the work item can no longer touch what they wrote there
+    const workItem = await WorkItem.findById(comment.workItemId);
+    if (!workItem || !(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    if (comment.isDeleted()) {
+      return res.status(400).json({ message: 'Cannot edit a deleted comment' });
+    }
+
+    await comment.update(req.body.body);
+
+    res.status(200).json({
+      message: 'Comment updated successfully',
+      comment: comment.toJSON()
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+
+    if (error.message.includes('required') || error.message.includes('longer than')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.workItemId !== parseInt(req.params.id) || comment.isDeleted()) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Authors who lost access to the work item can no longer touch what they wrote there
+    const workItem = await WorkItem.findById(comment.workItemId);
+    if (!workItem || !(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({ message: 'You can only delete your own comments' });
+    }
+
+    await comment.delete();
+
+    res.status(200).json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const isChecklistError = (error) => ['Checklist', 'No valid fields'].some(text => error.message.includes(text));
+
+// Load :itemId of work item :id, 404 if either is missing
+const findChecklistItem = async (req) => {
+  const workItem = await WorkItem.findById(req.params.id);
+  if (!workItem) return {};
+  const item = await ChecklistItem.findById(req.params.itemId);
+  return { workItem, item: item && item.workItemId === workItem.id ? item : null };
+};
+
+router.get('/:id/checklist', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const items = await ChecklistItem.findByWorkItem(workItem.id);
+    res.status(200).json({
+      requireChecklist: workItem.requireChecklist,
+      progress: workItem.checklistProgress,
+      items: items.map(item => item.toJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching checklist:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a step to the end of the checklist
+router.post('/:id/checklist', authenticateToken, requirePermission('work:update'), async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const item = await ChecklistItem.create({
+      workItemId: workItem.id,
+      text: req.body.text,
+      mandatory: !!req.body.mandatory
+    });
+
+    res.status(201).json({
+      message: 'Checklist item added successfully',
+      item: item.toJSON()
+    });
+  } catch (error) {
+    console.error('Error adding checklist item:', error);
+    if (isChecklistError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reorder the checklist: { itemIds: [...] } lists every item in its new order
+router.put('/:id/checklist/order', authenticateToken, requirePermission('work:update'), async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const items = await ChecklistItem.reorder(workItem.id, req.body.itemIds);
+    res.status(200).json({
+      message: 'Checklist reordered successfully',
+      items: items.map(item => item.toJSON())
+    });
+  } catch (error) {
+    console.error('Error reordering checklist:', error);
+    if (isChecklistError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// The assignee ticks items off; text and mandatory can only be edited by whoever manages the task
+router.put('/:id/checklist/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const { text, mandatory, done } = req.body;
+    const { workItem, item } = await findChecklistItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    const canManage = hasPermission(req.user, 'work:update') && await canManageWorkItem(req.user, workItem);
+    const editsItem = text !== undefined || mandatory !== undefined;
+
+    if ((editsItem && !canManage) || (!canManage && req.user.id !== workItem.workerId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!editsItem && done === undefined) {
+      return res.status(400).json({ message: 'No valid fields to update' });
+    }
+
+    if (done !== undefined && (workItem.isSubmitted() || workItem.isApproved())) {
+      return res.status(400).json({ message: 'Checklist cannot be ticked off while the task is submitted or approved' });
+    }
+
+    if (editsItem) {
+      await item.update({ text, mandatory });
+    }
+    if (done !== undefined) {
+      await item.setDone(!!done, req.user.id);
+    }
+
+    res.status(200).json({
+      message: 'Checklist item updated successfully',
+      item: item.toJSON()
+    });
+  } catch (error) {
+    console.error('Error updating checklist item:', error);
+    if (isChecklistError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/:id/checklist/:itemId', authenticateToken, requirePermission('work:update'), async (req, res) => {
+  try {
+    const { workItem, item } = await findChecklistItem(req);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await item.delete();
+    res.status(200).json({ message: 'Checklist item deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting checklist item:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Tell the workers of tasks that were only waiting on `blocker` that they can start
+const notifyUnblockedDependents = async (blocker) => {
+  try {
+    for (const workItemId of await WorkItemDependency.findUnblockedDependentIds(blocker.id)) {
+      const dependent = await WorkItem.findById(workItemId);
+      if (!dependent || !dependent.worker || !['pending', 'rejected'].includes(dependent.status)) continue;
+
+      const worker = await User.findById(dependent.workerId);
+      if (worker) {
+        await sendUnblockedNotification(worker, dependent, blocker);
+      }
+    }
+  } catch (error) {
+    console.error(`Error notifying tasks unblocked by work item ${blocker.id}:`, error);
+  }
+};
+
+router.get('/:id/dependencies', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const blockedBy = await WorkItemDependency.findBlockers(workItem.id);
+    const blocking = await WorkItemDependency.findDependents(workItem.id);
+    res.status(200).json({
+      isBlocked: workItem.isBlocked(),
+      blockedBy: blockedBy.map(dependency => dependency.toJSON()),
+      blocking: blocking.map(dependency => dependency.toJSON())
+    });
+  } catch (error) {
+    console.error('Error fetching dependencies:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark this task as blocked by { blockedById } until that task is approved
+router.post('/:id/dependencies', authenticateToken, requirePermission('work:update'), async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const blocker = req.body.blockedById ? await WorkItem.findById(req.body.blockedById) : null;
+    if (!blocker) {
+      return res.status(404).json({ message: 'Prerequisite work item not found' });
+    }
+
+    if (!(await canAccessWorkItem(req.user, blocker))) {
+      return res.status(403).json({ message: 'Access denied to the prerequisite work item' });
+    }
+
+    if (workItem.isApproved()) {
+      return res.status(400).json({ message: 'Cannot add prerequisites to an approved task' });
+    }
+
+    const dependency = await WorkItemDependency.create({
+      workItemId: workItem.id,
+      blockedById: blocker.id,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.record(req, {
+      action: 'work.dependency_add',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      after: { blockedById: blocker.id }
+    });
+
+    res.status(201).json({
+      message: 'Dependency added successfully',
+      dependency: dependency.toJSON()
+    });
+  } catch (error) {
+    console.error('Error adding dependency:', error);
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.message.includes('cycle') || error.message.includes('blocked by itself')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/:id/dependencies/:blockedById', authenticateToken, requirePermission('work:update'), async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
+
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-const sendTaskNotification = async (to, subject, text) => {
-  if (!global.transporter) {
-    console.log('Email not configured - skipping notification to:', to);
-    return { success: false, reason: 'Email not configured' };
-  }
+    const dependency = await WorkItemDependency.find(workItem.id, req.params.blockedById);
+    if (!dependency) {
+      return res.status(404).json({ message: 'Dependency not found' });
+    }
 
-  if (!global.emailWorking) {
-    console.log('Email not working - skipping notification to:', to);
-    return { success: false, reason: 'Email service not working' };
-  }
+    await dependency.delete();
 
-  try {
-    await global.transporter.sendMail({
-      from: process.env.EMAIL_USER || 'noreply@taskpilot.com',
-      to,
-      subject,
-      text,
+    await AuditLog.record(req, {
+      action: 'work.dependency_remove',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      before: { blockedById: dependency.blockedById }
     });
-    console.log('Email sent successfully to:', to);
-    return { success: true };
+
+    res.status(200).json({ message: 'Dependency removed successfully' });
   } catch (error) {
-    console.error('Failed to send email to', to, ':', error);
-    return { success: false, reason: error.message };
+    console.error('Error removing dependency:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-};
+});
 
-const createCalendarEvent = async (user, workItem) => {
-  const userTokens = await dbGet(
-    'SELECT googleAccessToken, googleRefreshToken FROM users WHERE id = ?',
-    [user.id]
-  );
+router.get('/:id/attachments', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
 
-  if (!userTokens || !userTokens.googleAccessToken || !userTokens.googleRefreshToken) {
-    console.log(`No Google Calendar access for user ${user.email}`);
-    return;
-  }
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
-    console.log('Google OAuth not configured - skipping calendar event');
-    return;
+    const attachments = await Attachment.findByWorkItem(workItem.id, { kind: req.query.kind });
+    res.status(200).json(attachments.map(attachment => attachment.toJSON()));
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
+});
 
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
+router.get('/:id/attachments/:attachmentId/download', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
+    }
 
-  oauth2Client.setCredentials({
-    access_token: userTokens.googleAccessToken,
-    refresh_token: userTokens.googleRefreshToken,
-  });
+    if (!(await canAccessWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-  const event = {
-    summary: `TaskPilot: ${workItem.task}`,
-    description: `Task: ${workItem.task}\n\nDescription: ${workItem.description || 'No description'}\n\nInstructions: ${workItem.instructions}\n\nAssigned via TaskPilot`,
-    start: {
-      dateTime: new Date(workItem.deadline).toISOString(),
-      timeZone: 'UTC',
-    },
-    end: {
-      dateTime: new Date(new Date(workItem.deadline).getTime() + 60 * 60 * 1000).toISOString(),
-      timeZone: 'UTC',
-    },
-    reminders: {
-      useDefault: false,
-      overrides: [
-        { method: 'email', minutes: 30 },
-        { method: 'popup', minutes: 10 },
-      ],
-    },
-  };
+    const attachment = await Attachment.findById(req.params.attachmentId);
+    if (!attachment || attachment.workItemId !== workItem.id) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
 
-  try {
-    const response = await calendar.events.insert({
-      calendarId: 'primary',
-      resource: event,
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.download(attachment.getFilePath(), attachment.originalName, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error sending attachment:', err);
+        res.status(404).json({ message: 'Attachment file is missing' });
+      }
     });
-    console.log(`Calendar event created for task ${workItem.id} for user ${user.email}`);
   } catch (error) {
-    console.error('Error creating calendar event:', error.message);
-    if (error.code === 401) {
-      console.log('Google token expired for user', user.email);
-    }
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-};
-
-router.get('/test', authenticateToken, (req, res) => {
-  console.log('=== WORK ROUTE TEST ===');
-  console.log('User from middleware:', req.user);
-  
-  res.status(200).json({ 
-    message: 'Backend is working',
-    user: req.user,
-    timestamp: new Date().toISOString()
-  });
 });
 
-router.get('/', authenticateToken, async (req, res) => {
-  console.log('=== GET WORK ITEMS ===');
-  console.log('User:', req.user);
-  
+// Create one work item for a worker or a team queue, attach the uploaded
+// reference files and send the assignment email / calendar event
+const assignToOne = async (req, res, { workerId, teamId, ...fields }) => {
   try {
-    let workItems;
-    if (req.user.role === 'admin') {
-      console.log('Fetching all work items for admin');
-      workItems = await WorkItem.findAll();
+    const canAssignAnywhere = hasPermission(req.user, 'teams:view_all');
+    let worker = null;
+    let team = null;
+
+    if (workerId) {
+      worker = await User.findById(workerId);
+      if (!worker) {
+        return res.status(404).json({ message: 'Worker not found' });
+      }
+      if (!worker.isActive) {
+        return res.status(400).json({ message: 'Worker account is deactivated' });
+      }
+      if (!canAssignAnywhere && !(await Team.leadsUser(req.user.id, worker.id))) {
+        return res.status(403).json({ message: 'You can only assign tasks to members of teams you lead' });
+      }
     } else {
-      console.log('Fetching work items for worker ID:', req.user.id);
-      workItems = await WorkItem.findAll({ workerId: req.user.id });
+      team = await Team.findById(teamId);
+      if (!team) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+      if (!canAssignAnywhere && !(await Team.isLead(team.id, req.user.id))) {
+        return res.status(403).json({ message: 'You can only assign tasks to the queues of teams you lead' });
+      }
     }
-    
-    console.log(`Found ${workItems.length} work items`);
-    res.status(200).json(workItems);
+
+    console.log('Creating work item...');
+    const workItem = await WorkItem.create({
+      ...fields,
+      workerId: worker ? worker.id : null,
+      teamId: team ? team.id : null,
+      description: fields.description || '',
+      assignedBy: req.user.id,
+      status: 'pending'
+    });
+
+    console.log('Work item created successfully:', workItem.id);
+
+    const attachments = await Attachment.createFromUploads(req.files, {
+      workItemId: workItem.id,
+      uploadedBy: req.user.id,
+      kind: 'reference'
+    });
+
+    await AuditLog.record(req, {
+      action: 'work.assign',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      after: workItem
+    });
+
+    if (worker) {
+      await sendAssignmentNotification(worker, workItem);
+      await calendarSync.syncWorkItem(workItem.id, worker.id);
+    } else {
+      const members = (await team.getMembers()).filter(member => member.isActive && member.id !== req.user.id);
+      for (const member of members) {
+        await sendTeamQueueNotification(member, team, workItem);
+      }
+    }
+
+    console.log('Task assignment completed successfully');
+    res.status(201).json({
+      message: 'Task assigned successfully',
+      workItem: workItem.toJSON(),
+      attachments: attachments.map(attachment => attachment.toJSON())
+    });
   } catch (error) {
-    console.error('Error fetching work items:', error);
+    console.error('Error assigning task:', error);
+    console.error('Error stack:', error.stack);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
-});
+};
 
-router.get('/submitted', authenticateToken, requireAdmin, async (req, res) => {
-  console.log('=== GET SUBMITTED WORK ===');
+router.post('/assign', authenticateToken, requirePermission('work:assign'), uploadAttachments, async (req, res) => {
+  console.log('=== TASK ASSIGNMENT ===');
+  console.log('Request body:', req.body);
   console.log('Admin user:', req.user);
   
   try {
-    const submittedWorkItems = await WorkItem.findAll({ status: 'submitted' });
-    console.log(`Found ${submittedWorkItems.length} submitted work items`);
-    res.status(200).json(submittedWorkItems);
+    const { workerId, workerIds, teamId, teamMode, task, description, instructions, deadline } = req.body;
+
+    if (req.body.priority !== undefined && !WorkItem.PRIORITIES.includes(req.body.priority)) {
+      return res.status(400).json({ message: 'Priority must be low, normal, high, or urgent' });
+    }
+    try {
+      if (deadline) WorkItem.validateDeadline(deadline);
+      parseList(req.body.tags).forEach(Tag.validateName);
+      ChecklistItem.normalize(req.body.checklist);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (workerIds !== undefined || teamMode === 'members') {
+      if (!task || !instructions || !deadline) {
+        return res.status(400).json({ message: 'Task, instructions, and deadline are required' });
+      }
+      if (workerId || (workerIds !== undefined && teamId)) {
+        return res.status(400).json({ message: 'Assign to either a list of workers or a team, not both' });
+      }
+      return await assignToMany(req, res);
+    }
+
+    if ((!workerId && !teamId) || !task || !instructions || !deadline) {
+      console.log('Missing required fields:', { workerId, teamId, task: !!task, instructions: !!instructions, deadline: !!deadline });
+      return res.status(400).json({ message: 'WorkerId or teamId, task, instructions, and deadline are required' });
+    }
+
+    if (workerId && teamId) {
+      return res.status(400).json({ message: 'Assign to either a worker or a team queue, not both' });
+    }
+
+    return await assignToOne(req, res, {
+      workerId,
+      teamId,
+      task,
+      description,
+      instructions,
+      deadline,
+      ...assignmentOptions(req.body)
+    });
   } catch (error) {
-    console.error('Error fetching submitted work items:', error);
+    console.error('Error assigning task:', error);
+    console.error('Error stack:', error.stack);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-router.get('/worker/:workerId', authenticateToken, async (req, res) => {
+// Render a task template for one worker or team queue and assign it like POST /assign.
+// Body: { templateId, workerId | teamId, deadline? } - deadline defaults to the template's
+router.post('/assign-from-template', authenticateToken, requirePermission('work:assign'), uploadAttachments, async (req, res) => {
   try {
-    const workerId = parseInt(req.params.workerId);
-    
-    if (req.user.role !== 'admin' && req.user.id !== workerId) {
-      return res.status(403).json({ message: 'Access denied' });
+    const { templateId, workerId, teamId, deadline } = req.body;
+
+    if ((!workerId && !teamId) || (workerId && teamId)) {
+      return res.status(400).json({ message: 'Assign to either a worker or a team queue' });
+    }
+
+    const template = templateId ? await TaskTemplate.findById(templateId) : null;
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const worker = workerId ? await User.findById(workerId) : null;
+    const team = teamId ? await Team.findById(teamId) : null;
+    if (workerId && !worker) {
+      return res.status(404).json({ message: 'Worker not found' });
+    }
+    if (teamId && !team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    let rendered;
+    try {
+      const assigner = await User.findById(req.user.id);
+      rendered = template.render({ worker, team, assigner, deadline });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
     }
 
-    const workItems = await WorkItem.findAll({ workerId });
-    res.status(200).json(workItems);
+    return await assignToOne(req, res, { workerId, teamId, ...rendered });
   } catch (error) {
-    console.error('Error fetching worker tasks:', error);
+    console.error('Error assigning from template:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const workItem = await WorkItem.findById(req.params.id);
-    if (!workItem) {
-      return res.status(404).json({ message: 'Work item not found' });
-    }
+const MAX_IMPORT_ROWS = 500;
+
+// CSV header -> work item field. Headers are matched ignoring case, spaces and underscores.
+const IMPORT_COLUMNS = {
+  workeremail: 'workerEmail',
+  email: 'workerEmail',
+  task: 'task',
+  instructions: 'instructions',
+  deadline: 'deadline',
+  description: 'description',
+  priority: 'priority',
+  tags: 'tags'
+};
+const REQUIRED_IMPORT_COLUMNS = ['workerEmail', 'task', 'instructions', 'deadline'];
 
-    if (req.user.role !== 'admin' && req.user.id !== workItem.workerId) {
-      return res.status(403).json({ message: 'Access denied' });
+// Turn the CSV into { rowNumber, fields } entries, rowNumber counting the header as row 1
+const readImportRows = (csv) => {
+  const [header, ...lines] = parseCsv(csv);
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+
+  const fieldNames = header.map(name => IMPORT_COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')]);
+  const missing = REQUIRED_IMPORT_COLUMNS.filter(field => !fieldNames.includes(field));
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+  }
+  if (lines.length === 0) {
+    throw new Error('CSV has no rows to import');
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw new Error(`CSV cannot have more than ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return lines.map((line, index) => {
+    const fields = {};
+    fieldNames.forEach((field, column) => {
+      if (field) fields[field] = (line[column] || '').trim();
+    });
+    return { rowNumber: index + 2, fields };
+  });
+};
+
+// Everything WorkItem.create would reject for this row, plus the worker lookup.
+// Returns the data to create the work item with, or the list of errors.
+const validateImportRow = async (req, { workerEmail, task, instructions, deadline, description, priority, tags }) => {
+  const errors = [];
+  let worker = null;
+
+  if (!workerEmail) {
+    errors.push('Worker email is required');
+  } else {
+    worker = await User.findByEmail(workerEmail);
+    if (!worker) {
+      errors.push(`No user with email ${workerEmail}`);
+    } else if (!worker.isActive) {
+      errors.push('Worker account is deactivated');
+    } else if (!hasPermission(req.user, 'teams:view_all') && !(await Team.leadsUser(req.user.id, worker.id))) {
+      errors.push('You can only assign tasks to members of teams you lead');
     }
+  }
 
-    res.status(200).json(workItem);
+  const data = {
+    workerId: worker ? worker.id : null,
+    task,
+    description: description || '',
+    instructions,
+    deadline,
+    assignedBy: req.user.id,
+    status: 'pending',
+    priority: priority || 'normal',
+    tags: parseList(tags)
+  };
+
+  try {
+    // An unknown worker is already reported above, not as a missing field
+    WorkItem.validate({ ...data, workerId: data.workerId || workerEmail });
+    data.tags.forEach(Tag.validateName);
   } catch (error) {
-    console.error('Error fetching work item:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    errors.push(error.message);
   }
-});
 
-router.post('/assign', authenticateToken, requireAdmin, async (req, res) => {
-  console.log('=== TASK ASSIGNMENT ===');
-  console.log('Request body:', req.body);
-  console.log('Admin user:', req.user);
-  
+  return { worker, data, errors };
+};
+
+// Bulk assignment from a CSV with columns worker email, task, instructions, deadline
+// (optional description, priority, tags). Send it as a text/csv body or as JSON { csv }.
+// ?dryRun=true only validates. Every row is validated before any is written, and
+// one invalid row rejects the whole file so a corrected re-upload cannot duplicate work.
+router.post('/import', authenticateToken, requirePermission('work:assign'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
   try {
-    const { workerId, task, description, instructions, deadline } = req.body;
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(value => value === true || value === 'true');
 
-    if (!workerId || !task || !instructions || !deadline) {
-      console.log('Missing required fields:', { workerId, task: !!task, instructions: !!instructions, deadline: !!deadline });
-      return res.status(400).json({ message: 'WorkerId, task, instructions, and deadline are required' });
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ message: 'CSV content is required' });
     }
 
-    console.log('Creating work item...');
-    const workItem = await WorkItem.create({
-      workerId,
-      task,
-      description: description || '',
-      instructions,
-      deadline,
-      assignedBy: req.user.id,
-      status: 'pending'
-    });
+    let rows;
+    try {
+      rows = readImportRows(csv);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-    console.log('Work item created successfully:', workItem.id);
+    const results = [];
+    for (const row of rows) {
+      const { worker, data, errors } = await validateImportRow(req, row.fields);
+      results.push({ row: row.rowNumber, workerEmail: row.fields.workerEmail, task: row.fields.task, valid: errors.length === 0, errors, worker, data });
+    }
 
-    const worker = await User.findById(workerId);
-    if (worker) {
-      console.log('Sending notification to worker:', worker.email);
-      const deadlineDate = new Date(deadline);
-      
-      await sendTaskNotification(
-        worker.email,
-        'New Task Assigned - TaskPilot',
-        `Hello ${worker.name},
+    const invalid = results.filter(result => !result.valid).length;
+    const summary = { rows: results.length, valid: results.length - invalid, invalid, created: 0 };
+    const report = () => results.map(({ row, workerEmail, task, valid, errors, workItemId }) => ({ row, workerEmail, task, valid, errors, workItemId }));
+
+    if (dryRun || invalid > 0) {
+      return res.status(dryRun && invalid === 0 ? 200 : 400).json({
+        message: invalid > 0 ? 'Some rows are invalid; nothing was imported' : 'All rows are valid',
+        dryRun,
+        summary,
+        results: report()
+      });
+    }
 
-You have been assigned a new task:
+    for (const result of results) {
+      const workItem = await WorkItem.create(result.data);
+      result.workItemId = workItem.id;
+      summary.created += 1;
 
-Task: ${task}
-${description ? `Description: ${description}` : ''}
-Instructions: ${instructions}
-Deadline: ${deadlineDate.toLocaleDateString()} at ${deadlineDate.toLocaleTimeString()}
+      await AuditLog.record(req, {
+        action: 'work.assign',
+        entityType: 'work_item',
+        entityId: workItem.id,
+        after: workItem
+      });
 
-This task has been added to your Google Calendar (if connected).
+      await sendAssignmentNotification(result.worker, workItem);
+      await calendarSync.syncWorkItem(workItem.id, result.worker.id);
+    }
 
-Please log into TaskPilot to view and complete this task.
+    await AuditLog.record(req, {
+      action: 'work.import',
+      entityType: 'work_item',
+      after: { rows: summary.rows, workItemIds: results.map(result => result.workItemId) }
+    });
 
-Best regards,
-TaskPilot Team`
-      );
+    console.log(`CSV import by user ${req.user.id}: ${summary.created} work items created`);
+    res.status(201).json({ message: 'Work items imported successfully', dryRun, summary, results: report() });
+  } catch (error) {
+    console.error('Error importing work items:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-      await createCalendarEvent(worker, workItem);
+router.post('/:id/claim', authenticateToken, async (req, res) => {
+  try {
+    const workItem = await WorkItem.findById(req.params.id);
+    if (!workItem) {
+      return res.status(404).json({ message: 'Work item not found' });
     }
 
-    console.log('Task assignment completed successfully');
-    res.status(201).json({
-      message: 'Task assigned successfully',
+    if (!workItem.isQueued()) {
+      return res.status(400).json({ message: 'Task is not waiting in a team queue' });
+    }
+
+    if (!(await Team.isMember(workItem.teamId, req.user.id))) {
+      return res.status(403).json({ message: 'Only members of this team can claim the task' });
+    }
+
+    const before = workItem.toJSON();
+    await workItem.claim(req.user.id);
+
+    await AuditLog.record(req, {
+      action: 'work.claim',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      ...AuditLog.diff(before, workItem)
+    });
+
+    await calendarSync.syncWorkItem(workItem.id, req.user.id);
+
+    res.status(200).json({
+      message: 'Task claimed successfully',
       workItem: workItem.toJSON()
     });
   } catch (error) {
-    console.error('Error assigning task:', error);
-    console.error('Error stack:', error.stack);
+    console.error('Error claiming task:', error);
+
+    if (error.message.includes('already been claimed')) {
+      return res.status(409).json({ message: error.message });
+    }
+
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-router.put('/complete/:id', authenticateToken, async (req, res) => {
+router.put('/complete/:id', authenticateToken, uploadAttachments, async (req, res) => {
   console.log('=== TASK COMPLETION REQUEST ===');
   console.log('Task ID:', req.params.id);
   console.log('User:', req.user);
@@ -268,13 +1502,21 @@ router.put('/complete/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    if (req.user.role !== 'admin' && req.user.id !== workItem.workerId) {
+    const canSubmitForWorker = hasPermission(req.user, 'work:update') && await canManageWorkItem(req.user, workItem);
+    if (req.user.id !== workItem.workerId && !canSubmitForWorker) {
       return res.status(403).json({ 
         message: 'Access denied',
         error: 'You can only complete tasks assigned to you'
       });
     }
 
+    if (workItem.isQueued()) {
+      return res.status(400).json({ 
+        message: 'Task must be claimed before it can be submitted',
+        error: 'Task is still waiting in a team queue'
+      });
+    }
+
     if (workItem.status === 'submitted') {
       return res.status(400).json({ 
         message: 'Task is already submitted for review',
@@ -289,11 +1531,45 @@ router.put('/complete/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    if (workItem.isBlocked()) {
+      const blockers = (await WorkItemDependency.findBlockers(workItem.id))
+        .filter(dependency => dependency.related.status !== 'approved');
+      return res.status(400).json({ 
+        message: 'Task is blocked by prerequisites that are not approved yet',
+        error: `Waiting on: ${blockers.map(dependency => `"${dependency.related.task}" (#${dependency.blockedById})`).join(', ')}`
+      });
+    }
+
+    const unchecked = workItem.uncheckedMandatoryCount();
+    if (workItem.requireChecklist && unchecked > 0) {
+      return res.status(400).json({ 
+        message: 'All mandatory checklist items must be checked before submitting',
+        error: `${unchecked} mandatory checklist item(s) still unchecked`
+      });
+    }
+
     console.log('All validations passed, attempting to mark completed...');
 
+    const before = workItem.toJSON();
     const updatedWorkItem = await workItem.markCompleted({ 
       explanation: explanation.trim(), 
-      workLink: workLink?.trim() || null 
+      workLink: workLink?.trim() || null,
+      submittedBy: req.user.id
+    });
+
+    const submission = await WorkItemSubmission.findLatestForWorkItem(updatedWorkItem.id);
+    const attachments = await Attachment.createFromUploads(req.files, {
+      workItemId: updatedWorkItem.id,
+      submissionId: submission ? submission.id : null,
+      uploadedBy: req.user.id,
+      kind: 'deliverable'
+    });
+
+    await AuditLog.record(req, {
+      action: 'work.submit',
+      entityType: 'work_item',
+      entityId: updatedWorkItem.id,
+      ...AuditLog.diff(before, updatedWorkItem)
     });
 
     console.log('Task marked as completed successfully');
@@ -301,6 +1577,7 @@ router.put('/complete/:id', authenticateToken, async (req, res) => {
     res.status(200).json({
       message: 'Task submitted for review successfully',
       workItem: updatedWorkItem.toJSON(),
+      attachments: attachments.map(attachment => attachment.toJSON()),
       success: true
     });
     
@@ -352,7 +1629,7 @@ router.put('/complete/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/approve/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/approve/:id', authenticateToken, requirePermission('work:approve'), async (req, res) => {
   try {
     const { reviewNotes } = req.body;
     const workItem = await WorkItem.findById(req.params.id);
@@ -361,15 +1638,33 @@ router.put('/approve/:id', authenticateToken, requireAdmin, async (req, res) =>
       return res.status(404).json({ message: 'Work item not found' });
     }
 
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
     if (workItem.status !== 'submitted') {
       return res.status(400).json({ message: 'Work item must be submitted for review first' });
     }
 
+    const before = workItem.toJSON();
     await workItem.approve({
       reviewNotes: reviewNotes || '',
       reviewedBy: req.user.id
     });
 
+    await AuditLog.record(req, {
+      action: 'work.approve',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      ...AuditLog.diff(before, workItem)
+    });
+
+    await notifyUnblockedDependents(workItem);
+
+    if (workItem.workerId) {
+      await calendarSync.syncWorkItem(workItem.id, workItem.workerId);
+    }
+
     const worker = await User.findById(workItem.workerId);
     if (worker) {
       await sendTaskNotification(
@@ -398,7 +1693,7 @@ TaskPilot Team`
   }
 });
 
-router.put('/reject/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/reject/:id', authenticateToken, requirePermission('work:reject'), async (req, res) => {
   try {
     const { reviewNotes } = req.body;
     
@@ -412,15 +1707,27 @@ router.put('/reject/:id', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Work item not found' });
     }
 
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
     if (workItem.status !== 'submitted') {
       return res.status(400).json({ message: 'Work item must be submitted for review first' });
     }
 
+    const before = workItem.toJSON();
     await workItem.reject({
       reviewNotes: reviewNotes.trim(),
       reviewedBy: req.user.id
     });
 
+    await AuditLog.record(req, {
+      action: 'work.reject',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      ...AuditLog.diff(before, workItem)
+    });
+
     const worker = await User.findById(workItem.workerId);
     if (worker) {
       await sendTaskNotification(
@@ -451,14 +1758,67 @@ TaskPilot Team`
   }
 });
 
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('work:update'), async (req, res) => {
   try {
     const workItem = await WorkItem.findById(req.params.id);
     if (!workItem) {
       return res.status(404).json({ message: 'Work item not found' });
     }
 
-    await workItem.update(req.body);
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (req.body.status !== undefined) {
+      return res.status(400).json({ message: 'Status can only change by submitting, approving or rejecting the work' });
+    }
+
+    // workerId hands the task to someone else
+    const { workerId, ...fields } = req.body;
+    let newWorker = null;
+    if (workerId !== undefined && parseInt(workerId) !== workItem.workerId) {
+      if (!workItem.workerId) {
+        return res.status(400).json({ message: 'Queued tasks are assigned by being claimed' });
+      }
+      if (!['pending', 'rejected'].includes(workItem.status)) {
+        return res.status(400).json({ message: 'Only pending or rejected tasks can be reassigned' });
+      }
+
+      newWorker = await User.findById(workerId);
+      if (!newWorker) {
+        return res.status(404).json({ message: 'Worker not found' });
+      }
+      if (!newWorker.isActive) {
+        return res.status(400).json({ message: 'Worker account is deactivated' });
+      }
+      if (!hasPermission(req.user, 'teams:view_all') && !(await Team.leadsUser(req.user.id, newWorker.id))) {
+        return res.status(403).json({ message: 'You can only assign tasks to members of teams you lead' });
+      }
+    }
+
+    const before = workItem.toJSON();
+    const previous = { workerId: workItem.workerId, googleEventId: workItem.googleEventId, calendarSequence: workItem.calendarSequence };
+
+    if (!newWorker || Object.keys(fields).length > 0) {
+      await workItem.update(fields);
+    }
+    if (newWorker) {
+      await workItem.reassign(newWorker.id);
+    }
+
+    await AuditLog.record(req, {
+      action: newWorker ? 'work.reassign' : 'work.update',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      ...AuditLog.diff(before, workItem)
+    });
+
+    if (newWorker) {
+      await sendAssignmentNotification(newWorker, workItem);
+      await calendarSync.syncReassignment(workItem, previous.workerId, previous.googleEventId);
+    } else if (workItem.workerId && workItem.calendarSequence !== previous.calendarSequence) {
+      await calendarSync.syncWorkItem(workItem.id, workItem.workerId);
+    }
 
     res.status(200).json({
       message: 'Work item updated successfully',
@@ -466,45 +1826,44 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating work item:', error);
+    if (['No valid fields', 'Priority must', 'Deadline must', 'Tags must', 'Tag name', 'Tag color'].some(text => error.message.includes(text))) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('work:delete'), async (req, res) => {
   try {
     const workItem = await WorkItem.findById(req.params.id);
     if (!workItem) {
       return res.status(404).json({ message: 'Work item not found' });
     }
 
-    await workItem.delete();
+    if (!(await canManageWorkItem(req.user, workItem))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    res.status(200).json({ message: 'Work item deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting work item:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+    const attachments = await Attachment.findByWorkItem(workItem.id);
+    await workItem.delete();
+    attachments.forEach(attachment => attachment.removeFile());
 
-router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const totalTasks = await WorkItem.count();
-    const pendingTasks = await WorkItem.count({ status: 'pending' });
-    const submittedTasks = await WorkItem.count({ status: 'submitted' });
-    const approvedTasks = await WorkItem.count({ status: 'approved' });
-    const rejectedTasks = await WorkItem.count({ status: 'rejected' });
+    if (workItem.workerId && workItem.googleEventId) {
+      await calendarSync.syncWorkItem(workItem.id, workItem.workerId, workItem.googleEventId);
+    }
 
-    res.status(200).json({
-      totalTasks,
-      pendingTasks,
-      submittedTasks,
-      approvedTasks,
-      rejectedTasks
+    await AuditLog.record(req, {
+      action: 'work.delete',
+      entityType: 'work_item',
+      entityId: workItem.id,
+      before: workItem
     });
+
+    res.status(200).json({ message: 'Work item deleted successfully' });
   } catch (error) {
-    console.error('Error fetching work stats:', error);
+    console.error('Error deleting work item:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
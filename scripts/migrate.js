@@ -0,0 +1,37 @@
+// scripts/migrate.js - Apply pending migrations or print the schema version
+// Usage: node scripts/migrate.js [up|status]
+require('dotenv').config();
+const { db, dbGet, dbAll, dbRun } = require('../config/database');
+const { runMigrations, getMigrationStatus } = require('../config/migrations');
+
+const command = process.argv[2] || 'status';
+const helpers = { dbGet, dbAll, dbRun };
+
+const printStatus = async () => {
+  const status = await getMigrationStatus(helpers);
+  console.log(`Current schema version: ${status.currentVersion}`);
+  console.log(`Latest available version: ${status.latestVersion}`);
+  status.migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name} - ${state}`);
+  });
+};
+
+const main = async () => {
+  if (command === 'up') {
+    const applied = await runMigrations(helpers);
+    console.log(`Applied ${applied.length} migration(s)`);
+    await printStatus();
+  } else if (command === 'status') {
+    await printStatus();
+  } else {
+    throw new Error(`Unknown command "${command}" - expected "up" or "status"`);
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('Migration command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,53 @@
+// scripts/rotate-token-key.js - Re-encrypt stored Google tokens with the current key
+// Usage: node scripts/rotate-token-key.js
+// Safe to run more than once. Users whose tokens can't be decrypted (e.g. their key
+// was already dropped) are disconnected and listed, and the rest still rotate.
+require('dotenv').config();
+const { db, dbAll, dbRun } = require('../config/database');
+const User = require('../models/User');
+const { encrypt, decrypt, isConfigured, needsRotation } = require('../utils/tokenEncryption');
+
+const UNREADABLE_REASON = 'Stored Google tokens cannot be decrypted';
+
+const main = async () => {
+  if (!isConfigured()) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+
+  const rows = await dbAll(`
+    SELECT id, email, googleAccessToken, googleRefreshToken FROM users
+    WHERE googleAccessToken IS NOT NULL OR googleRefreshToken IS NOT NULL
+  `);
+
+  let rotated = 0;
+  const disconnected = [];
+  for (const row of rows) {
+    if (!needsRotation(row.googleAccessToken) && !needsRotation(row.googleRefreshToken)) continue;
+
+    let tokens;
+    try {
+      tokens = [encrypt(decrypt(row.googleAccessToken)), encrypt(decrypt(row.googleRefreshToken))];
+    } catch (error) {
+      console.error(`Cannot decrypt Google tokens for user ${row.email}:`, error.message);
+      const user = await User.findById(row.id);
+      await user.disconnectGoogle(UNREADABLE_REASON);
+      disconnected.push(row.email);
+      continue;
+    }
+
+    await dbRun('UPDATE users SET googleAccessToken = ?, googleRefreshToken = ? WHERE id = ?', [...tokens, row.id]);
+    rotated += 1;
+  }
+
+  console.log(`Re-encrypted Google tokens for ${rotated} of ${rows.length} user(s)`);
+  if (disconnected.length > 0) {
+    console.log(`Disconnected ${disconnected.length} user(s) whose tokens could not be decrypted; they need to reconnect Google Calendar: ${disconnected.join(', ')}`);
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('Token key rotation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
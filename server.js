@@ -2,13 +2,28 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const nodemailer = require('nodemailer');
-const { initializeDatabase, db } = require('./config/database');
+const { initializeDatabase, getDatabaseVersion, db } = require('./config/database');
 const authRoutes = require('./routes/auth');
 const usersRoutes = require('./routes/users');
 const workRoutes = require('./routes/work');
+const auditRoutes = require('./routes/audit');
+const twoFactorRoutes = require('./routes/twoFactor');
+const rolesRoutes = require('./routes/roles');
+const teamsRoutes = require('./routes/teams');
+const schedulesRoutes = require('./routes/schedules');
+const tagsRoutes = require('./routes/tags');
+const templatesRoutes = require('./routes/templates');
+const calendarRoutes = require('./routes/calendar');
+const recurringTasks = require('./jobs/recurringTasks');
+const deadlineReminders = require('./jobs/deadlineReminders');
+const calendarSync = require('./jobs/calendarSync');
 
 const app = express();
 
+// How many proxies sit in front of us (one on Render). req.ip is the address the
+// outermost of them saw; forwarded addresses beyond that are ignored.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
+
 // Check if JWT_SECRET is set
 if (!process.env.JWT_SECRET) {
   console.error('CRITICAL ERROR: JWT_SECRET is not set in environment variables');
@@ -74,9 +89,6 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Initialize database
-initializeDatabase();
-
 // Email configuration
 let transporter = null;
 if (process.env.EMAIL_SERVICE && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
@@ -112,18 +124,34 @@ if (process.env.EMAIL_SERVICE && process.env.EMAIL_USER && process.env.EMAIL_PAS
 }
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/work', workRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/teams', teamsRoutes);
+app.use('/api/schedules', schedulesRoutes);
+app.use('/api/tags', tagsRoutes);
+app.use('/api/templates', templatesRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  let schemaVersion = null;
+  try {
+    schemaVersion = await getDatabaseVersion();
+  } catch (error) {
+    console.error('Error reading schema version:', error);
+  }
+
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     jwt_configured: !!process.env.JWT_SECRET,
     email_configured: !!global.transporter,
-    email_working: !!global.emailWorking
+    email_working: !!global.emailWorking,
+    schema_version: schemaVersion
   });
 });
 
@@ -163,17 +191,37 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 5000;
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Database: SQLite`);
-  console.log(`JWT Secret: ${process.env.JWT_SECRET ? 'Set (' + process.env.JWT_SECRET.length + ' chars)' : 'MISSING'}`);
-  console.log(`Email: ${global.transporter ? 'Configured' : 'Disabled'}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Allowed CORS Origins:`, allowedOrigins);
-});
+let server = null;
+
+// Only start accepting requests once the schema migrations have been applied
+initializeDatabase()
+  .then(() => {
+    server = app.listen(PORT, '0.0.0.0', () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`Database: SQLite`);
+      console.log(`JWT Secret: ${process.env.JWT_SECRET ? 'Set (' + process.env.JWT_SECRET.length + ' chars)' : 'MISSING'}`);
+      console.log(`Email: ${global.transporter ? 'Configured' : 'Disabled'}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Allowed CORS Origins:`, allowedOrigins);
+    });
+
+    recurringTasks.start();
+    deadlineReminders.start();
+    calendarSync.start();
+  })
+  .catch((error) => {
+    console.error('CRITICAL ERROR: Database initialization failed:', error);
+    process.exit(1);
+  });
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  recurringTasks.stop();
+  deadlineReminders.stop();
+  calendarSync.stop();
+  if (!server) {
+    process.exit(0);
+  }
   server.close(() => {
     console.log('Process terminated');
     if (db) {
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let admin;
+let worker;
+let adminToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+
+  admin = await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+
+  const reworked = await WorkItem.create({
+    workerId: worker.id, task: 'Reworked', instructions: 'x', deadline: '2030-01-15T12:00:00.000Z', assignedBy: admin.id
+  });
+  await reworked.markCompleted({ explanation: 'v1', submittedBy: worker.id });
+  await reworked.reject({ reviewedBy: admin.id, reviewNotes: 'Again' });
+  await reworked.markCompleted({ explanation: 'v2', submittedBy: worker.id });
+  await reworked.approve({ reviewedBy: admin.id });
+
+  const straight = await WorkItem.create({
+    workerId: worker.id, task: 'Straight through', instructions: 'x', deadline: '2030-01-15T12:00:00.000Z', assignedBy: admin.id
+  });
+  await straight.markCompleted({ explanation: 'done', submittedBy: worker.id });
+  await straight.approve({ reviewedBy: admin.id });
+
+  await WorkItem.create({
+    workerId: worker.id, task: 'Untouched', instructions: 'x', deadline: '2030-01-15T12:00:00.000Z', assignedBy: admin.id
+  });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+test('stats count work items by status', async () => {
+  const response = await app.request('GET', '/api/work/stats', { token: adminToken });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.totalTasks, 3);
+  assert.strictEqual(response.body.approvedTasks, 2);
+  assert.strictEqual(response.body.pendingTasks, 1);
+});
+
+test('analytics report review outcomes overall, per worker and per day', async () => {
+  const response = await app.request('GET', '/api/work/analytics', { token: adminToken });
+  assert.strictEqual(response.status, 200);
+
+  const { overall, workers, series } = response.body;
+  assert.deepStrictEqual(overall.counts, { due: 0, onTime: 0, submissions: 2, reviews: 3, approved: 2, rejected: 1 });
+  assert.strictEqual(overall.rejectionRate, 33.3);
+  assert.strictEqual(overall.averageRevisionCycles, 0.5);
+  assert.strictEqual(overall.onTimeRate, null);
+
+  assert.deepStrictEqual(workers.map(row => [row.worker.email, row.counts.reviews]), [['worker@example.com', 3]]);
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.strictEqual(series.length, 31);
+  assert.strictEqual(series.find(bucket => bucket.bucket === today).counts.reviews, 3);
+});
+
+test('analytics need work:stats and a sensible range', async () => {
+  const workerToken = await app.login('worker@example.com');
+  assert.strictEqual((await app.request('GET', '/api/work/analytics', { token: workerToken })).status, 403);
+
+  assert.strictEqual((await app.request('GET', '/api/work/analytics?interval=month', { token: adminToken })).status, 400);
+  assert.strictEqual((await app.request('GET', '/api/work/analytics?from=2030-02-01&to=2030-01-01', { token: adminToken })).status, 400);
+  assert.strictEqual((await app.request('GET', '/api/work/analytics?from=2000-01-01&to=2030-01-01', { token: adminToken })).status, 400);
+});
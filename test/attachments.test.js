@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const User = require('../models/User');
+const { uploadDir } = require('../middleware/upload');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+let app;
+let token;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users'),
+    '/api/work': require('../routes/work')
+  });
+
+  await createUser({ name: 'Manager', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  token = await app.login('boss@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const assign = async (workerId, file) => {
+  const form = new FormData();
+  form.append('workerId', String(workerId));
+  form.append('task', 'Review mockups');
+  form.append('instructions', 'See attached');
+  form.append('deadline', '2030-01-15T12:00:00.000Z');
+  form.append('attachments', new Blob([file.content], { type: file.type }), file.name);
+
+  const response = await fetch(`${app.baseUrl}/api/work/assign`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('the assignee can download reference material attached to the task', async () => {
+  const assigned = await assign(worker.id, { name: 'brief.txt', type: 'text/plain', content: 'Use the blue palette' });
+  assert.strictEqual(assigned.status, 201);
+  const [attachment] = assigned.body.attachments;
+  assert.strictEqual(attachment.kind, 'reference');
+  assert.strictEqual(attachment.originalName, 'brief.txt');
+
+  const workerToken = await app.login('worker@example.com');
+  const response = await fetch(`${app.baseUrl}/api/work/${assigned.body.workItem.id}/attachments/${attachment.id}/download`, {
+    headers: { Authorization: `Bearer ${workerToken}` }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await response.text(), 'Use the blue palette');
+});
+
+test('other workers cannot download the attachments', async () => {
+  const assigned = await assign(worker.id, { name: 'brief.txt', type: 'text/plain', content: 'Private notes' });
+  await createUser({ name: 'Outsider', email: 'outsider@example.com' });
+  const outsiderToken = await app.login('outsider@example.com');
+
+  const response = await fetch(`${app.baseUrl}/api/work/${assigned.body.workItem.id}/attachments/${assigned.body.attachments[0].id}/download`, {
+    headers: { Authorization: `Bearer ${outsiderToken}` }
+  });
+
+  assert.strictEqual(response.status, 403);
+});
+
+test('the worker can attach deliverables to a submission', async () => {
+  const assigned = await assign(worker.id, { name: 'brief.txt', type: 'text/plain', content: 'Brief' });
+  const workerToken = await app.login('worker@example.com');
+
+  const form = new FormData();
+  form.append('explanation', 'Report attached');
+  form.append('attachments', new Blob(['date,total\n2030-01-01,5\n'], { type: 'text/csv' }), 'report.csv');
+  const response = await fetch(`${app.baseUrl}/api/work/complete/${assigned.body.workItem.id}`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${workerToken}` },
+    body: form
+  });
+  assert.strictEqual(response.status, 200);
+
+  const listed = await fetch(`${app.baseUrl}/api/work/${assigned.body.workItem.id}/attachments?kind=deliverable`, {
+    headers: { Authorization: `Bearer ${workerToken}` }
+  });
+  const attachments = await listed.json();
+  assert.deepStrictEqual(attachments.map(attachment => attachment.originalName), ['report.csv']);
+  assert.ok(attachments[0].submissionId);
+});
+
+test('a file type that is not allowed is rejected and not kept', async () => {
+  const before = fs.readdirSync(uploadDir);
+
+  const response = await assign(worker.id, { name: 'setup.exe', type: 'application/x-msdownload', content: 'MZ' });
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(fs.readdirSync(uploadDir), before);
+});
+
+test('a file whose content does not match its type is rejected and not kept', async () => {
+  const before = fs.readdirSync(uploadDir);
+
+  const response = await assign(worker.id, { name: 'mockup.png', type: 'image/png', content: '<script>alert(1)</script>' });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'INVALID_FILE_CONTENT');
+  // Removal happens in the background
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(fs.readdirSync(uploadDir), before);
+});
+
+test('a file with a type the extension does not allow is rejected', async () => {
+  const response = await assign(worker.id, { name: 'mockup.html', type: 'image/png', content: PNG });
+  assert.strictEqual(response.status, 400);
+});
+
+test('a real image is accepted', async () => {
+  const response = await assign(worker.id, { name: 'mockup.png', type: 'image/png', content: PNG });
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.body.attachments.length, 1);
+});
+
+test('deleting a user removes the files attached to their work', async () => {
+  const leaving = await createUser({ name: 'Leaving', email: 'leaving@example.com' });
+  const others = fs.readdirSync(uploadDir);
+  const assigned = await assign(leaving.id, { name: 'mockup.png', type: 'image/png', content: PNG });
+  assert.strictEqual(assigned.status, 201);
+  assert.strictEqual(fs.readdirSync(uploadDir).length, others.length + 1);
+
+  const response = await fetch(`${app.baseUrl}/api/users/${leaving.id}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await User.findById(leaving.id), null);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepStrictEqual(fs.readdirSync(uploadDir), others);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let admin;
+let worker;
+let adminToken;
+
+before(async () => {
+  await setupDatabase();
+  admin = await createUser({ name: 'Auditor', email: 'auditor@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work'),
+    '/api/audit': require('../routes/audit')
+  });
+  adminToken = await app.login('auditor@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+test('records who changed a deadline with the before and after values', async () => {
+  const workItem = await WorkItem.create({
+    workerId: worker.id,
+    task: 'Write report',
+    instructions: 'Two pages',
+    deadline: '2030-01-15T12:00:00.000Z',
+    assignedBy: admin.id
+  });
+
+  const update = await app.request('PUT', `/api/work/${workItem.id}`, {
+    token: adminToken,
+    body: { deadline: '2030-02-01T09:00:00.000Z' }
+  });
+  assert.strictEqual(update.status, 200);
+
+  const response = await app.request('GET', `/api/audit?entityType=work_item&entityId=${workItem.id}&action=work.update`, { token: adminToken });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.total, 1);
+  const [entry] = response.body.entries;
+  assert.strictEqual(entry.actorId, admin.id);
+  assert.strictEqual(entry.actorEmail, 'auditor@example.com');
+  assert.deepStrictEqual(entry.before, { deadline: '2030-01-15T12:00:00.000Z' });
+  assert.deepStrictEqual(entry.after, { deadline: '2030-02-01T09:00:00.000Z' });
+  assert.ok(entry.ipAddress);
+});
+
+test('records failed logins against the attempted email', async () => {
+  const failed = await app.request('POST', '/api/auth/login', { body: { email: 'worker@example.com', password: 'wrong-password' } });
+  assert.strictEqual(failed.status, 401);
+
+  const response = await app.request('GET', '/api/audit?action=auth.login_failed&actorEmail=worker@example.com', { token: adminToken });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.total, 1);
+  assert.strictEqual(response.body.entries[0].entityId, worker.id);
+  assert.deepStrictEqual(response.body.entries[0].after, { reason: 'wrong_password' });
+});
+
+test('rejects an invalid date filter', async () => {
+  const response = await app.request('GET', '/api/audit?from=yesterday-ish', { token: adminToken });
+
+  assert.strictEqual(response.status, 400);
+});
+
+test('is not available to workers', async () => {
+  const token = await app.login('worker@example.com');
+  const response = await app.request('GET', '/api/audit', { token });
+
+  assert.strictEqual(response.status, 403);
+});
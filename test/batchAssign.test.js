@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { dbRun } = require('../config/database');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let admin;
+let token;
+const workers = [];
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+
+  admin = await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  for (const name of ['Ann', 'Ben', 'Cat']) {
+    workers.push(await createUser({ name, email: `${name.toLowerCase()}@example.com` }));
+  }
+  await dbRun('UPDATE users SET isActive = 0 WHERE id = ?', [workers[2].id]);
+  token = await app.login('boss@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const assign = (body) => app.request('POST', '/api/work/assign', {
+  token,
+  body: { task: 'Monthly report', instructions: 'Fill in the template', deadline: '2030-01-15T12:00:00.000Z', ...body }
+});
+
+test('creates one work item per worker and reports each recipient', async () => {
+  const response = await assign({ workerIds: [workers[0].id, workers[1].id, workers[2].id, 9999] });
+
+  assert.strictEqual(response.status, 207);
+  assert.deepStrictEqual(response.body.summary, { requested: 4, assigned: 2, failed: 2 });
+  assert.deepStrictEqual(response.body.results.map(result => result.error || 'ok'), [
+    'ok', 'ok', 'Worker account is deactivated', 'Worker not found'
+  ]);
+
+  const workItems = await WorkItem.findAll({ assignmentId: response.body.assignment.id });
+  assert.deepStrictEqual(workItems.map(workItem => workItem.workerId).sort(), [workers[0].id, workers[1].id].sort());
+});
+
+test('shows the progress of the whole batch', async () => {
+  const assigned = await assign({ workerIds: [workers[0].id, workers[1].id] });
+  assert.strictEqual(assigned.status, 201);
+  const assignmentId = assigned.body.assignment.id;
+
+  const [first] = await WorkItem.findAll({ assignmentId, workerId: workers[0].id });
+  await first.markCompleted({ explanation: 'Done', submittedBy: workers[0].id });
+  await first.approve({ reviewedBy: admin.id });
+
+  const response = await app.request('GET', `/api/work/assignments/${assignmentId}`, { token });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.workItems.length, 2);
+  assert.deepStrictEqual(
+    { total: response.body.progress.total, approved: response.body.progress.approved, percentComplete: response.body.progress.percentComplete },
+    { total: 2, approved: 1, percentComplete: 50 }
+  );
+});
+
+test('fails when no worker could be assigned', async () => {
+  const response = await assign({ workerIds: [workers[2].id] });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.summary.assigned, 0);
+});
+
+test('a single assignment to a deactivated worker is refused', async () => {
+  const response = await assign({ workerId: workers[2].id });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.message, 'Worker account is deactivated');
+  assert.strictEqual(await WorkItem.count({ workerId: workers[2].id }), 0);
+});
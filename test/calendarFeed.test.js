@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { dbRun } = require('../config/database');
+const WorkItem = require('../models/WorkItem');
+const CalendarFeed = require('../models/CalendarFeed');
+
+let app;
+let admin;
+let worker;
+let adminToken;
+let workerToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/calendar': require('../routes/calendar')
+  });
+
+  admin = await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Feed Worker', email: 'feeds@example.com' });
+  adminToken = await app.login('boss@example.com');
+  workerToken = await app.login('feeds@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const assign = (task) => WorkItem.create({
+  workerId: worker.id,
+  task,
+  instructions: 'See the brief',
+  deadline: '2030-01-15T12:00:00.000Z',
+  assignedBy: admin.id
+});
+
+const fetchFeed = async (url) => {
+  const response = await fetch(url.replace(/^webcal:/, 'http:'));
+  return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+};
+
+test('the task feed lists open deadlines and drops approved work', async () => {
+  const open = await assign('Open task');
+  const done = await assign('Finished task');
+  await done.markCompleted({ explanation: 'Done', submittedBy: worker.id });
+  await done.approve({ reviewedBy: admin.id });
+
+  const created = await app.request('POST', '/api/calendar/feeds', { token: workerToken, body: { kind: 'tasks' } });
+  assert.strictEqual(created.status, 201);
+  assert.match(created.body.webcalUrl, /^webcal:\/\/.+\.ics$/);
+
+  const feed = await fetchFeed(created.body.url);
+  assert.strictEqual(feed.status, 200);
+  assert.match(feed.type, /text\/calendar/);
+  assert.match(feed.body, /^BEGIN:VCALENDAR/);
+  assert.match(feed.body, new RegExp(`UID:work-item-${open.id}@taskpilot`));
+  assert.match(feed.body, /DTSTART:20300115T120000Z/);
+  assert.match(feed.body, /BEGIN:VALARM/);
+  assert.doesNotMatch(feed.body, new RegExp(`UID:work-item-${done.id}@taskpilot`));
+});
+
+test('replacing or revoking a feed retires the old URL', async () => {
+  const first = await app.request('POST', '/api/calendar/feeds', { token: workerToken, body: {} });
+  const second = await app.request('POST', '/api/calendar/feeds', { token: workerToken, body: {} });
+
+  assert.strictEqual((await fetchFeed(first.body.url)).status, 404);
+  assert.strictEqual((await fetchFeed(second.body.url)).status, 200);
+
+  const listed = await app.request('GET', '/api/calendar/feeds', { token: workerToken });
+  assert.deepStrictEqual(listed.body.available, ['tasks']);
+  assert.strictEqual(listed.body.feeds.length, 1);
+  assert.strictEqual(listed.body.feeds[0].token, undefined);
+
+  assert.strictEqual((await app.request('DELETE', '/api/calendar/feeds/tasks', { token: workerToken })).status, 200);
+  assert.strictEqual((await fetchFeed(second.body.url)).status, 404);
+});
+
+test('only reviewers can subscribe to the review queue', async () => {
+  const refused = await app.request('POST', '/api/calendar/feeds', { token: workerToken, body: { kind: 'reviews' } });
+  assert.strictEqual(refused.status, 403);
+
+  const submitted = await assign('Needs review');
+  await submitted.markCompleted({ explanation: 'Ready', submittedBy: worker.id });
+
+  const created = await app.request('POST', '/api/calendar/feeds', { token: adminToken, body: { kind: 'reviews' } });
+  assert.strictEqual(created.status, 201);
+
+  const feed = await fetchFeed(created.body.url);
+  assert.match(feed.body, new RegExp(`UID:review-${submitted.id}@taskpilot`));
+  assert.match(feed.body, /SUMMARY:Review: Needs review \(Feed Worker\)/);
+});
+
+test('the task feed skips work items whose deadline does not parse', async () => {
+  const good = await assign('Write report');
+  const bad = await assign('Legacy task');
+  await dbRun('UPDATE work_items SET deadline = ? WHERE id = ?', ['next friday', bad.id]);
+
+  const { token } = await CalendarFeed.issue(worker.id, 'tasks');
+  const feed = await fetchFeed(`${app.baseUrl}/api/calendar/feeds/${token}.ics`);
+
+  assert.strictEqual(feed.status, 200);
+  assert.match(feed.body, new RegExp(`UID:work-item-${good.id}@taskpilot`));
+  assert.doesNotMatch(feed.body, new RegExp(`UID:work-item-${bad.id}@taskpilot`));
+});
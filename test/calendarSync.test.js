@@ -0,0 +1,192 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase } = require('./helpers');
+const { dbRun } = require('../config/database');
+const User = require('../models/User');
+const WorkItem = require('../models/WorkItem');
+const CalendarSyncRetry = require('../models/CalendarSyncRetry');
+const { setCalendarClientFactory } = require('../utils/calendar');
+const calendarSync = require('../jobs/calendarSync');
+
+const MINUTE = 60 * 1000;
+
+// Records every call; set failWith to make the next calls throw a googleapis-style error
+const fakeCalendar = {
+  calls: [],
+  failWith: null,
+  nextId: 1,
+
+  reset() {
+    this.calls = [];
+    this.failWith = null;
+  },
+
+  record(method, params) {
+    this.calls.push({ method, ...params });
+    if (this.failWith) {
+      throw Object.assign(new Error(`Google said ${this.failWith}`), { code: this.failWith });
+    }
+  },
+
+  client() {
+    return {
+      events: {
+        insert: async (params) => {
+          this.record('insert', params);
+          return { data: { id: `event-${this.nextId++}` } };
+        },
+        patch: async (params) => {
+          this.record('patch', params);
+          return { data: { id: params.eventId } };
+        },
+        delete: async (params) => {
+          this.record('delete', params);
+          return { data: {} };
+        }
+      }
+    };
+  }
+};
+
+let admin;
+let worker;
+
+const createWorkItem = (overrides = {}) => WorkItem.create({
+  workerId: worker.id,
+  task: 'Write report',
+  instructions: 'Two pages',
+  deadline: '2030-01-15T12:00:00.000Z',
+  assignedBy: admin.id,
+  ...overrides
+});
+
+before(async () => {
+  await setupDatabase();
+  admin = await User.findByEmail('admin@taskpilot.com');
+  worker = await User.create({ name: 'Worker', email: 'worker@example.com', password: 'hashed-password' });
+  await worker.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+  setCalendarClientFactory(() => fakeCalendar.client());
+});
+
+after(async () => {
+  setCalendarClientFactory(null);
+  await closeDatabase();
+});
+
+beforeEach(() => fakeCalendar.reset());
+
+test('creates an event for new work and remembers its id', async () => {
+  const workItem = await createWorkItem();
+
+  const result = await calendarSync.syncWorkItem(workItem.id, worker.id);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(fakeCalendar.calls.map(call => call.method), ['insert']);
+  assert.strictEqual(fakeCalendar.calls[0].resource.start.dateTime, '2030-01-15T12:00:00.000Z');
+  assert.strictEqual((await WorkItem.findById(workItem.id)).googleEventId, result.eventId);
+});
+
+test('updates the existing event when the work item changes', async () => {
+  const workItem = await createWorkItem();
+  const { eventId } = await calendarSync.syncWorkItem(workItem.id, worker.id);
+  fakeCalendar.reset();
+
+  await workItem.update({ deadline: '2030-02-01T09:00:00.000Z' });
+  const result = await calendarSync.syncWorkItem(workItem.id, worker.id);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(fakeCalendar.calls.map(call => call.method), ['patch']);
+  assert.strictEqual(fakeCalendar.calls[0].eventId, eventId);
+  assert.strictEqual(fakeCalendar.calls[0].resource.start.dateTime, '2030-02-01T09:00:00.000Z');
+});
+
+test('marks the event done once the work is approved', async () => {
+  const workItem = await createWorkItem();
+  await calendarSync.syncWorkItem(workItem.id, worker.id);
+  fakeCalendar.reset();
+
+  await workItem.approve({ reviewedBy: admin.id });
+  await calendarSync.syncWorkItem(workItem.id, worker.id);
+
+  assert.deepStrictEqual(fakeCalendar.calls.map(call => call.method), ['patch']);
+  const { resource } = fakeCalendar.calls[0];
+  assert.match(resource.summary, /^✓ Done - /);
+  assert.strictEqual(resource.colorId, '8');
+  assert.deepStrictEqual(resource.reminders.overrides, []);
+});
+
+test('deletes the event of a deleted work item', async () => {
+  const workItem = await createWorkItem();
+  await calendarSync.syncWorkItem(workItem.id, worker.id);
+  const { googleEventId } = await WorkItem.findById(workItem.id);
+  fakeCalendar.reset();
+
+  await workItem.delete();
+  const result = await calendarSync.syncWorkItem(workItem.id, worker.id, googleEventId);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(fakeCalendar.calls.map(call => ({ method: call.method, eventId: call.eventId })), [
+    { method: 'delete', eventId: googleEventId }
+  ]);
+});
+
+test('queues a retryable failure with backoff and syncs it on a later run', async () => {
+  const workItem = await createWorkItem();
+  fakeCalendar.failWith = 503;
+
+  let started = Date.now();
+  const first = await calendarSync.syncWorkItem(workItem.id, worker.id);
+  assert.strictEqual(first.success, false);
+  assert.strictEqual(first.retryable, true);
+
+  let retry = await CalendarSyncRetry.find(workItem.id, worker.id);
+  assert.strictEqual(retry.attempts, 1);
+  assert.ok(new Date(retry.nextAttemptAt).getTime() - started >= CalendarSyncRetry.BACKOFF_MINUTES[0] * MINUTE);
+
+  // Nothing is due yet
+  assert.strictEqual(await calendarSync.runOnce(new Date()), 0);
+
+  // Still failing: the wait grows
+  started = Date.now();
+  assert.strictEqual(await calendarSync.runOnce(new Date(retry.nextAttemptAt)), 0);
+  retry = await CalendarSyncRetry.find(workItem.id, worker.id);
+  assert.strictEqual(retry.attempts, 2);
+  assert.ok(new Date(retry.nextAttemptAt).getTime() - started >= CalendarSyncRetry.BACKOFF_MINUTES[1] * MINUTE);
+
+  fakeCalendar.failWith = null;
+  assert.strictEqual(await calendarSync.runOnce(new Date(retry.nextAttemptAt)), 1);
+
+  assert.strictEqual(await CalendarSyncRetry.find(workItem.id, worker.id), null);
+  assert.ok((await WorkItem.findById(workItem.id)).googleEventId);
+});
+
+test('drops a permanent failure instead of retrying it', async () => {
+  const workItem = await createWorkItem();
+  fakeCalendar.failWith = 503;
+  await calendarSync.syncWorkItem(workItem.id, worker.id);
+  assert.ok(await CalendarSyncRetry.find(workItem.id, worker.id));
+
+  fakeCalendar.failWith = 400;
+  const result = await calendarSync.syncWorkItem(workItem.id, worker.id);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.retryable, false);
+  assert.strictEqual(await CalendarSyncRetry.find(workItem.id, worker.id), null);
+  assert.strictEqual((await WorkItem.findById(workItem.id)).googleEventId, null);
+});
+
+test('drops a work item whose deadline cannot make an event on the first attempt', async () => {
+  const workItem = await createWorkItem();
+  fakeCalendar.failWith = 503;
+  await calendarSync.syncWorkItem(workItem.id, worker.id);
+  fakeCalendar.reset();
+
+  await dbRun('UPDATE work_items SET deadline = ? WHERE id = ?', ['next friday', workItem.id]);
+  const result = await calendarSync.syncWorkItem(workItem.id, worker.id);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.retryable, false);
+  assert.match(result.reason, /invalid deadline/);
+  assert.deepStrictEqual(fakeCalendar.calls, []);
+  assert.strictEqual(await CalendarSyncRetry.find(workItem.id, worker.id), null);
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+
+let app;
+let adminToken;
+let workerToken;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+  workerToken = await app.login('worker@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const assignWithChecklist = async (requireChecklist) => {
+  const response = await app.request('POST', '/api/work/assign', {
+    token: adminToken,
+    body: {
+      workerId: worker.id,
+      task: 'Publish the newsletter',
+      instructions: 'Follow the checklist',
+      deadline: '2030-01-15T12:00:00.000Z',
+      checklist: [{ text: 'Write the draft', mandatory: true }, 'Proofread'],
+      requireChecklist
+    }
+  });
+  assert.strictEqual(response.status, 201);
+  const checklist = await app.request('GET', `/api/work/${response.body.workItem.id}/checklist`, { token: workerToken });
+  return { workItemId: response.body.workItem.id, items: checklist.body.items };
+};
+
+const submit = (workItemId) => app.request('PUT', `/api/work/complete/${workItemId}`, {
+  token: workerToken,
+  body: { explanation: 'Sent it out' }
+});
+
+test('mandatory items must be ticked off before a required checklist can be submitted', async () => {
+  const { workItemId, items } = await assignWithChecklist(true);
+  assert.deepStrictEqual(items.map(item => [item.text, item.mandatory, item.done]), [
+    ['Write the draft', true, false],
+    ['Proofread', false, false]
+  ]);
+
+  const early = await submit(workItemId);
+  assert.strictEqual(early.status, 400);
+  assert.match(early.body.message, /mandatory checklist items/);
+
+  const ticked = await app.request('PUT', `/api/work/${workItemId}/checklist/${items[0].id}`, {
+    token: workerToken,
+    body: { done: true }
+  });
+  assert.strictEqual(ticked.status, 200);
+
+  assert.strictEqual((await submit(workItemId)).status, 200);
+
+  const afterSubmit = await app.request('PUT', `/api/work/${workItemId}/checklist/${items[1].id}`, {
+    token: workerToken,
+    body: { done: true }
+  });
+  assert.strictEqual(afterSubmit.status, 400);
+});
+
+test('an optional checklist does not block submission', async () => {
+  const { workItemId } = await assignWithChecklist(false);
+
+  assert.strictEqual((await submit(workItemId)).status, 200);
+});
+
+test('workers can tick items off but not rewrite them, and lists show progress', async () => {
+  const { workItemId, items } = await assignWithChecklist(true);
+
+  const rewritten = await app.request('PUT', `/api/work/${workItemId}/checklist/${items[0].id}`, {
+    token: workerToken,
+    body: { text: 'Skip the draft' }
+  });
+  assert.strictEqual(rewritten.status, 403);
+
+  await app.request('PUT', `/api/work/${workItemId}/checklist/${items[1].id}`, { token: workerToken, body: { done: true } });
+
+  const list = await app.request('GET', '/api/work', { token: workerToken });
+  const listed = list.body.find(workItem => workItem.id === workItemId);
+  assert.deepStrictEqual(listed.checklistProgress, { total: 2, done: 1, mandatory: 1, mandatoryDone: 0 });
+});
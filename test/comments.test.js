@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let workItem;
+let worker;
+let token;
+let adminToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+
+  const admin = await createUser({ name: 'Reviewer', email: 'reviewer@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  workItem = await WorkItem.create({
+    workerId: worker.id,
+    task: 'Write report',
+    instructions: 'Two pages',
+    deadline: '2030-01-15T12:00:00.000Z',
+    assignedBy: admin.id
+  });
+  token = await app.login('worker@example.com');
+  adminToken = await app.login('reviewer@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const addComment = async (body) => {
+  const response = await app.request('POST', `/api/work/${workItem.id}/comments`, { token, body: { body } });
+  assert.strictEqual(response.status, 201);
+  return response.body.comment;
+};
+
+test('the worker and the admin can hold a threaded conversation', async () => {
+  const question = await addComment('Should the report cover Q4?');
+  const reply = await app.request('POST', `/api/work/${workItem.id}/comments`, {
+    token: adminToken,
+    body: { body: 'Yes, Q4 only', parentId: question.id }
+  });
+  assert.strictEqual(reply.status, 201);
+
+  const response = await app.request('GET', `/api/work/${workItem.id}/comments`, { token });
+
+  assert.strictEqual(response.status, 200);
+  const thread = response.body.find(comment => comment.id === question.id);
+  assert.strictEqual(thread.author.email, 'worker@example.com');
+  assert.deepStrictEqual(thread.replies.map(comment => comment.body), ['Yes, Q4 only']);
+});
+
+test('other workers cannot read or post comments', async () => {
+  await createUser({ name: 'Outsider', email: 'outsider@example.com' });
+  const outsiderToken = await app.login('outsider@example.com');
+
+  const listed = await app.request('GET', `/api/work/${workItem.id}/comments`, { token: outsiderToken });
+  assert.strictEqual(listed.status, 403);
+
+  const posted = await app.request('POST', `/api/work/${workItem.id}/comments`, { token: outsiderToken, body: { body: 'Hi' } });
+  assert.strictEqual(posted.status, 403);
+});
+
+test('only the author can edit or delete a comment', async () => {
+  const comment = await addComment('Draft is up');
+
+  const editedByAdmin = await app.request('PUT', `/api/work/${workItem.id}/comments/${comment.id}`, {
+    token: adminToken,
+    body: { body: 'Rewritten' }
+  });
+  assert.strictEqual(editedByAdmin.status, 403);
+
+  const edited = await app.request('PUT', `/api/work/${workItem.id}/comments/${comment.id}`, {
+    token,
+    body: { body: 'Final draft is up' }
+  });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.comment.body, 'Final draft is up');
+  assert.ok(edited.body.comment.editedAt);
+
+  const deleted = await app.request('DELETE', `/api/work/${workItem.id}/comments/${comment.id}`, { token });
+  assert.strictEqual(deleted.status, 200);
+
+  const deletedAgain = await app.request('DELETE', `/api/work/${workItem.id}/comments/${comment.id}`, { token });
+  assert.strictEqual(deletedAgain.status, 404);
+});
+
+test('an empty comment is a bad request', async () => {
+  const response = await app.request('POST', `/api/work/${workItem.id}/comments`, { token, body: { body: '   ' } });
+
+  assert.strictEqual(response.status, 400);
+});
+
+test('a comment body that is not text is a bad request', async () => {
+  const created = await app.request('POST', `/api/work/${workItem.id}/comments`, { token, body: { body: 42 } });
+  assert.strictEqual(created.status, 400);
+
+  const comment = await addComment('First draft is up');
+  const edited = await app.request('PUT', `/api/work/${workItem.id}/comments/${comment.id}`, {
+    token,
+    body: { body: ['not', 'text'] }
+  });
+  assert.strictEqual(edited.status, 400);
+});
+
+test('authors cannot edit or delete comments on work they no longer have access to', async () => {
+  const comment = await addComment('Started on this');
+  const other = await createUser({ name: 'Other', email: 'other@example.com' });
+  await workItem.reassign(other.id);
+
+  const edited = await app.request('PUT', `/api/work/${workItem.id}/comments/${comment.id}`, {
+    token,
+    body: { body: 'Changed my mind' }
+  });
+  assert.strictEqual(edited.status, 403);
+
+  const deleted = await app.request('DELETE', `/api/work/${workItem.id}/comments/${comment.id}`, { token });
+  assert.strictEqual(deleted.status, 403);
+
+  await workItem.reassign(worker.id);
+  const editedBack = await app.request('PUT', `/api/work/${workItem.id}/comments/${comment.id}`, {
+    token,
+    body: { body: 'Changed my mind' }
+  });
+  assert.strictEqual(editedBack.status, 200);
+});
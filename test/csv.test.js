@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { toCsv, parseCsv } = require('../utils/csv');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let adminToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  await createUser({ name: 'Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const importCsv = (csv, query = '') => app.request('POST', `/api/work/import${query}`, {
+  token: adminToken,
+  body: { csv }
+});
+
+test('quoted fields round-trip and formulas are defused', () => {
+  const csv = toCsv(
+    [{ header: 'task', value: row => row.task }, { header: 'notes', value: row => row.notes }],
+    [{ task: 'Say "hi", then\nleave', notes: '=SUM(A1:A2)' }]
+  );
+
+  assert.strictEqual(csv, 'task,notes\r\n"Say ""hi"", then\nleave",\'=SUM(A1:A2)\r\n');
+  assert.deepStrictEqual(parseCsv(csv), [['task', 'notes'], ['Say "hi", then\nleave', "'=SUM(A1:A2)"]]);
+  assert.throws(() => parseCsv('"unterminated'), /unterminated/);
+});
+
+test('a dry run validates without creating anything', async () => {
+  const csv = 'Worker Email,Task,Instructions,Deadline,Priority\nworker@example.com,Stocktake,Count the shelves,2030-01-15,high\n';
+  const response = await importCsv(csv, '?dryRun=true');
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.summary, { rows: 1, valid: 1, invalid: 0, created: 0 });
+  assert.strictEqual(await WorkItem.count({}), 0);
+});
+
+test('one invalid row rejects the whole file', async () => {
+  const csv = [
+    'worker_email,task,instructions,deadline',
+    'worker@example.com,Stocktake,Count the shelves,2030-01-15',
+    'nobody@example.com,Inventory,Check the list,not a date'
+  ].join('\n');
+  const response = await importCsv(csv);
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(response.body.results.map(result => [result.row, result.valid]), [[2, true], [3, false]]);
+  assert.deepStrictEqual(response.body.results[1].errors, ['No user with email nobody@example.com', 'Deadline must be a valid date']);
+  assert.strictEqual(await WorkItem.count({}), 0);
+
+  const missingColumn = await importCsv('task,deadline\nStocktake,2030-01-15');
+  assert.strictEqual(missingColumn.status, 400);
+  assert.match(missingColumn.body.message, /workerEmail, instructions/);
+});
+
+test('imported work items come back out of the export', async () => {
+  const csv = 'email,task,instructions,deadline,tags\nworker@example.com,"Stocktake, aisle 4",Count the shelves,2030-01-15,"stores, q1"\n';
+  const imported = await importCsv(csv);
+  assert.strictEqual(imported.status, 201);
+  assert.strictEqual(imported.body.summary.created, 1);
+
+  const response = await fetch(`${app.baseUrl}/api/work/export`, { headers: { Authorization: `Bearer ${adminToken}` } });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/csv/);
+
+  const [header, row] = parseCsv(await response.text());
+  const record = Object.fromEntries(header.map((name, index) => [name, row[index]]));
+  assert.strictEqual(record.task, 'Stocktake, aisle 4');
+  assert.strictEqual(record.worker_email, 'worker@example.com');
+  assert.strictEqual(record.tags, 'q1, stores');
+});
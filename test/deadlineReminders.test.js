@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase } = require('./helpers');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const User = require('../models/User');
+const WorkItem = require('../models/WorkItem');
+const WorkItemNotification = require('../models/WorkItemNotification');
+const backfill = require('../migrations/025_backfill_overdue_notifications');
+const deadlineReminders = require('../jobs/deadlineReminders');
+
+const HOUR = 60 * 60 * 1000;
+
+let admin;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  admin = await User.findByEmail('admin@taskpilot.com');
+  worker = await User.create({ name: 'Worker', email: 'worker@example.com', password: 'hashed-password' });
+});
+
+after(closeDatabase);
+
+const createDueIn = (hours) => WorkItem.create({
+  workerId: worker.id,
+  task: 'Write report',
+  instructions: 'Two pages',
+  deadline: new Date(Date.now() + hours * HOUR).toISOString(),
+  assignedBy: admin.id
+});
+
+const sentFor = async (workItem) => (await WorkItemNotification.findByWorkItem(workItem.id))
+  .map(notification => `${notification.kind}:${notification.offsetMinutes}:${notification.recipientId}`);
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+test('sends each reminder once as its window opens', async () => {
+  const workItem = await createDueIn(30);
+
+  await deadlineReminders.runOnce(hoursFromNow(7));
+  await deadlineReminders.runOnce(hoursFromNow(8));
+  assert.deepStrictEqual(await sentFor(workItem), [`reminder:1440:${worker.id}`]);
+
+  await deadlineReminders.runOnce(hoursFromNow(29.5));
+  assert.deepStrictEqual(await sentFor(workItem), [`reminder:1440:${worker.id}`, `reminder:60:${worker.id}`]);
+});
+
+test('flags overdue work and escalates it to the assigner after the grace period', async () => {
+  const workItem = await createDueIn(1);
+
+  await deadlineReminders.runOnce(hoursFromNow(2));
+  assert.ok((await WorkItem.findById(workItem.id)).overdueAt);
+  assert.deepStrictEqual(await sentFor(workItem), [`overdue:0:${worker.id}`]);
+
+  await deadlineReminders.runOnce(hoursFromNow(26));
+  await deadlineReminders.runOnce(hoursFromNow(27));
+  assert.deepStrictEqual(await sentFor(workItem), [`overdue:0:${worker.id}`, `escalation:0:${admin.id}`]);
+});
+
+test('leaves submitted work alone', async () => {
+  const workItem = await createDueIn(1);
+  await workItem.markCompleted({ explanation: 'Done early' });
+
+  await deadlineReminders.runOnce(hoursFromNow(30));
+
+  assert.deepStrictEqual(await sentFor(workItem), []);
+  assert.strictEqual((await WorkItem.findById(workItem.id)).overdueAt, null);
+});
+
+test('work that was overdue before the upgrade is not escalated on the first run', async () => {
+  // Long overdue when the upgrade runs
+  const old = await createDueIn(-24 * 30);
+  await backfill.up({ dbGet, dbAll, dbRun });
+
+  // Falls overdue afterwards
+  const recent = await createDueIn(-48);
+
+  await deadlineReminders.runOnce(new Date());
+
+  const oldKinds = (await WorkItemNotification.findByWorkItem(old.id)).map(notification => [notification.kind, notification.delivered, notification.error]);
+  assert.deepStrictEqual(oldKinds, [
+    ['overdue', false, 'Overdue before deadline notifications were enabled'],
+    ['escalation', false, 'Overdue before deadline notifications were enabled']
+  ]);
+  assert.ok((await WorkItem.findById(old.id)).overdueAt);
+
+  const recentKinds = (await WorkItemNotification.findByWorkItem(recent.id)).map(notification => notification.kind);
+  assert.deepStrictEqual(recentKinds, ['overdue', 'escalation']);
+});
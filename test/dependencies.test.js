@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+
+const sent = [];
+let app;
+let adminToken;
+let workerToken;
+let worker;
+
+before(async () => {
+  global.transporter = { sendMail: async (mail) => sent.push(mail) };
+  global.emailWorking = true;
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+  workerToken = await app.login('worker@example.com');
+});
+
+after(async () => {
+  delete global.transporter;
+  delete global.emailWorking;
+  await app.close();
+  await closeDatabase();
+});
+
+const assign = async (task) => {
+  const response = await app.request('POST', '/api/work/assign', {
+    token: adminToken,
+    body: { workerId: worker.id, task, instructions: 'Do it', deadline: '2030-01-15T12:00:00.000Z' }
+  });
+  assert.strictEqual(response.status, 201);
+  return response.body.workItem.id;
+};
+
+const block = (workItemId, blockedById) => app.request('POST', `/api/work/${workItemId}/dependencies`, {
+  token: adminToken,
+  body: { blockedById }
+});
+
+const submit = (workItemId) => app.request('PUT', `/api/work/complete/${workItemId}`, {
+  token: workerToken,
+  body: { explanation: 'Done' }
+});
+
+test('a blocked task cannot be submitted until its prerequisite is approved', async () => {
+  const design = await assign('Design the schema');
+  const build = await assign('Build the API');
+  assert.strictEqual((await block(build, design)).status, 201);
+
+  const dependencies = await app.request('GET', `/api/work/${build}/dependencies`, { token: workerToken });
+  assert.strictEqual(dependencies.body.isBlocked, true);
+  assert.deepStrictEqual(dependencies.body.blockedBy.map(dependency => dependency.blockedById), [design]);
+
+  const early = await submit(build);
+  assert.strictEqual(early.status, 400);
+  assert.match(early.body.error, /Design the schema/);
+
+  assert.strictEqual((await submit(design)).status, 200);
+  sent.length = 0;
+  const approved = await app.request('PUT', `/api/work/approve/${design}`, { token: adminToken, body: {} });
+  assert.strictEqual(approved.status, 200);
+  assert.ok(sent.some(mail => mail.to === 'worker@example.com' && mail.subject.includes('Ready to start: "Build the API"')));
+
+  assert.strictEqual((await submit(build)).status, 200);
+});
+
+test('self-references, cycles and duplicates are refused', async () => {
+  const first = await assign('First');
+  const second = await assign('Second');
+  const third = await assign('Third');
+
+  assert.strictEqual((await block(first, first)).status, 400);
+  assert.strictEqual((await block(second, first)).status, 201);
+  assert.strictEqual((await block(third, second)).status, 201);
+  assert.strictEqual((await block(third, second)).status, 409);
+
+  const cycle = await block(first, third);
+  assert.strictEqual(cycle.status, 400);
+  assert.match(cycle.body.message, /cycle/);
+});
+
+test('removing the only prerequisite unblocks the task', async () => {
+  const prerequisite = await assign('Order parts');
+  const dependent = await assign('Assemble');
+  await block(dependent, prerequisite);
+
+  const removed = await app.request('DELETE', `/api/work/${dependent}/dependencies/${prerequisite}`, { token: adminToken });
+  assert.strictEqual(removed.status, 200);
+
+  const list = await app.request('GET', '/api/work', { token: workerToken });
+  assert.strictEqual(list.body.find(workItem => workItem.id === dependent).isBlocked, false);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { createCalendarEvent, setCalendarClientFactory } = require('../utils/calendar');
+
+let app;
+let user;
+let token;
+
+const workItem = {
+  id: 1,
+  task: 'Write report',
+  instructions: 'Two pages',
+  deadline: '2030-01-15T12:00:00.000Z',
+  status: 'pending'
+};
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({ '/api/auth': require('../routes/auth') });
+  user = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  token = await app.login('worker@example.com');
+});
+
+after(async () => {
+  setCalendarClientFactory(null);
+  await app.close();
+  await closeDatabase();
+});
+
+test('tokens refreshed by the client are saved for the next request', async () => {
+  await user.saveGoogleTokens({ accessToken: 'expired', refreshToken: 'refresh' });
+  setCalendarClientFactory(({ accessToken, onTokens }) => ({
+    events: {
+      insert: async () => {
+        assert.strictEqual(accessToken, 'expired');
+        await onTokens({ access_token: 'fresh' });
+        return { data: { id: 'event-1' } };
+      }
+    }
+  }));
+
+  const result = await createCalendarEvent(user, workItem);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(await user.getGoogleTokens(), { accessToken: 'fresh', refreshToken: 'refresh' });
+});
+
+test('a revoked grant disconnects the user and status says why', async () => {
+  await user.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+  setCalendarClientFactory(() => ({
+    events: {
+      insert: async () => {
+        throw Object.assign(new Error('invalid_grant'), { response: { data: { error: 'invalid_grant' } } });
+      }
+    }
+  }));
+
+  const result = await createCalendarEvent(user, workItem);
+  assert.strictEqual(result.disconnected, true);
+  assert.strictEqual(result.retryable, false);
+  assert.strictEqual(await user.getGoogleTokens(), null);
+
+  const status = await app.request('GET', '/api/auth/google/status', { token });
+  assert.strictEqual(status.body.connected, false);
+  assert.strictEqual(status.body.reason, 'Google access was revoked');
+  assert.match(status.body.message, /please reconnect/);
+
+  await user.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+  const reconnected = await app.request('GET', '/api/auth/google/status', { token });
+  assert.strictEqual(reconnected.body.connected, true);
+  assert.strictEqual(reconnected.body.reason, null);
+});
+
+test('status reports connected tokens as connected', async () => {
+  await user.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+
+  const status = await app.request('GET', '/api/auth/google/status', { token });
+
+  assert.strictEqual(status.body.connected, true);
+  assert.strictEqual(status.body.reauthRequired, false);
+});
+
+test('status asks to reconnect when the stored tokens cannot be decrypted', async (t) => {
+  await user.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+
+  // The key the tokens were encrypted with is no longer configured
+  const keys = process.env.TOKEN_ENCRYPTION_KEYS;
+  process.env.TOKEN_ENCRYPTION_KEYS = `other:${crypto.randomBytes(32).toString('hex')}`;
+  t.after(() => { process.env.TOKEN_ENCRYPTION_KEYS = keys; });
+
+  const status = await app.request('GET', '/api/auth/google/status', { token });
+
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.body.connected, false);
+  assert.strictEqual(status.body.reauthRequired, true);
+  assert.match(status.body.message, /cannot be decrypted - please reconnect/);
+});
@@ -0,0 +1,70 @@
+// test/helpers.js - A throwaway database and upload directory for each test file
+//
+// Require this before any model: config/database.js opens DB_PATH on load.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskpilot-test-'));
+process.env.DB_PATH = path.join(dir, 'test.sqlite');
+process.env.UPLOAD_DIR = path.join(dir, 'uploads');
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('hex')}`;
+
+const { db, initializeDatabase } = require('../config/database');
+
+const setupDatabase = () => initializeDatabase();
+
+const closeDatabase = () => new Promise((resolve) => {
+  db.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+  });
+});
+
+// A user who can log in with the given password
+const createUser = async ({ name, email, password = 'Password123', role = 'worker' }) => {
+  const User = require('../models/User');
+  return User.create({ name, email, password: await bcrypt.hash(password, 4), role });
+};
+
+// Serve the routers ({ '/api/auth': router, ... }, mounted in that order) on a free
+// port. request() resolves to { status, body } with the JSON body parsed; use
+// fetch() on baseUrl for anything that is not JSON. login() needs /api/auth mounted.
+const startApp = (routers) => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routers)) {
+    app.use(mountPath, router);
+  }
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, url, { token, body, headers = {} } = {}) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+          ...headers,
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    const login = async (email, password = 'Password123') => {
+      const response = await request('POST', '/api/auth/login', { body: { email, password } });
+      return response.body.token;
+    };
+
+    resolve({ baseUrl, request, login, close: () => new Promise(done => server.close(done)) });
+  });
+});
+
+module.exports = { setupDatabase, closeDatabase, createUser, startApp };
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { dbGet } = require('../config/database');
+const loginThrottle = require('../utils/loginThrottle');
+
+let app;
+let adminToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users'),
+    '/api/audit': require('../routes/audit')
+  });
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  adminToken = await app.login('boss@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const attempt = (email, password) => app.request('POST', '/api/auth/login', { body: { email, password } });
+
+test('asks the caller to wait once the free attempts are used up', async (t) => {
+  const { freeAttempts } = loginThrottle.config;
+  loginThrottle.config.freeAttempts = 1;
+  t.after(() => { loginThrottle.config.freeAttempts = freeAttempts; });
+
+  await createUser({ name: 'Slow', email: 'slow@example.com' });
+  assert.strictEqual((await attempt('slow@example.com', 'wrong-password')).status, 401);
+
+  const response = await attempt('slow@example.com', 'Password123');
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual(response.body.code, 'TOO_MANY_ATTEMPTS');
+  assert.ok(response.body.retryAfter > 0);
+});
+
+test('locks an account after repeated failures until an admin unlocks it', async (t) => {
+  // No back-off delays, so only the lockout is in play
+  const { freeAttempts } = loginThrottle.config;
+  loginThrottle.config.freeAttempts = 100;
+  t.after(() => { loginThrottle.config.freeAttempts = freeAttempts; });
+
+  const worker = await createUser({ name: 'Target', email: 'target@example.com' });
+  const statuses = [];
+  for (let i = 0; i < loginThrottle.config.maxAccountFailures; i++) {
+    statuses.push((await attempt('target@example.com', 'wrong-password')).status);
+  }
+  assert.deepStrictEqual(statuses, Array(loginThrottle.config.maxAccountFailures).fill(401));
+
+  const locked = await attempt('target@example.com', 'Password123');
+  assert.strictEqual(locked.status, 423);
+  assert.strictEqual(locked.body.code, 'ACCOUNT_LOCKED');
+
+  const audit = await app.request('GET', `/api/audit?action=auth.account_locked&entityId=${worker.id}`, { token: adminToken });
+  assert.strictEqual(audit.body.total, 1);
+
+  const unlocked = await app.request('POST', `/api/users/${worker.id}/unlock`, { token: adminToken });
+  assert.strictEqual(unlocked.status, 200);
+  assert.strictEqual((await attempt('target@example.com', 'Password123')).status, 200);
+});
+
+test('a forged X-Forwarded-For does not reset the per-IP login limit', async (t) => {
+  // Every failure so far came from this client; allow exactly two more
+  const { count } = await dbGet('SELECT COUNT(*) as count FROM login_attempts WHERE success = 0');
+  const { freeAttempts, maxIpFailures } = loginThrottle.config;
+  loginThrottle.config.freeAttempts = 100;
+  loginThrottle.config.maxIpFailures = count + 2;
+  t.after(() => Object.assign(loginThrottle.config, { freeAttempts, maxIpFailures }));
+
+  const statuses = [];
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const response = await app.request('POST', '/api/auth/login', {
+      headers: { 'X-Forwarded-For': `203.0.113.${attempt}` },
+      body: { email: `nobody${attempt}@example.com`, password: 'wrong-password' }
+    });
+    statuses.push(response.status);
+  }
+
+  assert.deepStrictEqual(statuses, [401, 401, 429]);
+});
@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase } = require('./helpers');
+const { dbGet, dbAll, dbRun, initializeDatabase } = require('../config/database');
+const { loadMigrations, runMigrations, getMigrationStatus } = require('../config/migrations');
+
+const helpers = { dbGet, dbAll, dbRun };
+
+before(setupDatabase);
+after(closeDatabase);
+
+test('applies every migration in order and records the schema version', async () => {
+  const migrations = loadMigrations();
+  const status = await getMigrationStatus(helpers);
+
+  assert.deepStrictEqual(status.pending, []);
+  assert.strictEqual(status.currentVersion, migrations[migrations.length - 1].version);
+  assert.strictEqual(status.latestVersion, status.currentVersion);
+
+  const applied = await dbAll('SELECT version FROM schema_migrations ORDER BY version');
+  assert.deepStrictEqual(applied.map(row => row.version), migrations.map(migration => migration.version));
+});
+
+test('does nothing when the schema is already up to date', async () => {
+  assert.deepStrictEqual(await runMigrations(helpers), []);
+});
+
+test('keeps existing work items when the server starts again', async () => {
+  const admin = await dbGet('SELECT id FROM users WHERE email = ?', ['admin@taskpilot.com']);
+  await dbRun(`
+    INSERT INTO work_items (workerId, task, instructions, deadline, assignedBy)
+    VALUES (?, ?, ?, ?, ?)
+  `, [admin.id, 'Survive a restart', 'Stay put', '2030-01-15T12:00:00.000Z', admin.id]);
+
+  await initializeDatabase();
+
+  const row = await dbGet('SELECT task FROM work_items WHERE task = ?', ['Survive a restart']);
+  assert.ok(row);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+
+let app;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users')
+  });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const changePassword = (token, currentPassword, newPassword) => app.request('PUT', '/api/users/password', {
+  token,
+  body: { currentPassword, newPassword }
+});
+
+test('a user can change their own password when it meets the policy', async () => {
+  const token = await app.login('worker@example.com');
+
+  const wrongCurrent = await changePassword(token, 'not-my-password', 'Changed123');
+  assert.strictEqual(wrongCurrent.status, 401);
+
+  const weak = await changePassword(token, 'Password123', 'changed');
+  assert.strictEqual(weak.status, 400);
+  assert.match(weak.body.message, /^Password must/);
+
+  const same = await changePassword(token, 'Password123', 'Password123');
+  assert.strictEqual(same.status, 400);
+  assert.match(same.body.message, /last \d+ passwords/);
+
+  const changed = await changePassword(token, 'Password123', 'Changed123');
+  assert.strictEqual(changed.status, 200);
+  assert.ok(await app.login('worker@example.com', 'Changed123'));
+
+  const back = await changePassword(changed.body.token, 'Changed123', 'Password123');
+  assert.strictEqual(back.status, 400);
+});
+
+test('the seeded admin has to change the default password before doing anything else', async () => {
+  const login = await app.request('POST', '/api/auth/login', {
+    body: { email: 'admin@taskpilot.com', password: 'admin123' }
+  });
+  assert.strictEqual(login.status, 200);
+  assert.strictEqual(login.body.mustChangePassword, true);
+
+  const blocked = await app.request('GET', '/api/users', { token: login.body.token });
+  assert.strictEqual(blocked.status, 403);
+  assert.strictEqual(blocked.body.code, 'PASSWORD_CHANGE_REQUIRED');
+
+  const changed = await changePassword(login.body.token, 'admin123', 'NewAdmin123');
+  assert.strictEqual(changed.status, 200);
+
+  const allowed = await app.request('GET', '/api/users', { token: changed.body.token });
+  assert.strictEqual(allowed.status, 200);
+});
+
+test('an admin can require a user to change their password at next login', async () => {
+  await createUser({ name: 'Admin Two', email: 'admin2@example.com', role: 'admin' });
+  const adminToken = await app.login('admin2@example.com');
+
+  const flagged = await app.request('PUT', `/api/users/${worker.id}/require-password-change`, { token: adminToken, body: {} });
+  assert.strictEqual(flagged.status, 200);
+
+  const login = await app.request('POST', '/api/auth/login', {
+    body: { email: 'worker@example.com', password: 'Changed123' }
+  });
+  assert.strictEqual(login.body.mustChangePassword, true);
+});
+
+test('a current password that is not text is a bad request', async () => {
+  await createUser({ name: 'Typed', email: 'typed@example.com' });
+  const token = await app.login('typed@example.com');
+
+  const changed = await changePassword(token, { $ne: '' }, 'Password456');
+  assert.strictEqual(changed.status, 400);
+});
+
+test('registering a user applies the password policy', async () => {
+  const token = await app.login('admin2@example.com');
+  const register = (password) => app.request('POST', '/api/auth/register', {
+    token,
+    body: { name: 'New Worker', email: 'new@example.com', password, role: 'worker' }
+  });
+
+  const weak = await register('secret');
+  assert.strictEqual(weak.status, 400);
+  assert.match(weak.body.message, /^Password must/);
+
+  const strong = await register('Secret123');
+  assert.strictEqual(strong.status, 200);
+});
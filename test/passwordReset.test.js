@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { dbRun } = require('../config/database');
+
+let app;
+let sent = [];
+
+before(async () => {
+  await setupDatabase();
+  global.transporter = { sendMail: async (mail) => sent.push(mail) };
+  global.emailWorking = true;
+  app = await startApp({ '/api/auth': require('../routes/auth') });
+  await createUser({ name: 'Worker', email: 'worker@example.com' });
+});
+
+after(async () => {
+  delete global.transporter;
+  delete global.emailWorking;
+  await app.close();
+  await closeDatabase();
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+// The reset email is sent in the background
+const requestReset = async (email) => {
+  const response = await app.request('POST', '/api/auth/forgot-password', { body: { email } });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return response;
+};
+
+const emailedToken = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+test('answers the same way whether or not the account exists', async () => {
+  const known = await requestReset('worker@example.com');
+  const unknown = await requestReset('nobody@example.com');
+
+  assert.strictEqual(known.status, 200);
+  assert.deepStrictEqual(unknown, known);
+  assert.deepStrictEqual(sent.map(mail => mail.to), ['worker@example.com']);
+});
+
+test('a reset token changes the password once', async () => {
+  await requestReset('worker@example.com');
+  const token = emailedToken(sent[0]);
+
+  const reset = await app.request('POST', '/api/auth/reset-password', { body: { token, password: 'NewPassword123' } });
+  assert.strictEqual(reset.status, 200);
+  assert.ok(await app.login('worker@example.com', 'NewPassword123'));
+
+  const reused = await app.request('POST', '/api/auth/reset-password', { body: { token, password: 'OtherPassword123' } });
+  assert.strictEqual(reused.status, 400);
+});
+
+test('a newer reset request replaces the older token', async () => {
+  await requestReset('worker@example.com');
+  await requestReset('worker@example.com');
+  const [older, newer] = sent.map(emailedToken);
+
+  const withOlder = await app.request('POST', '/api/auth/reset-password', { body: { token: older, password: 'Replaced123' } });
+  assert.strictEqual(withOlder.status, 400);
+
+  const withNewer = await app.request('POST', '/api/auth/reset-password', { body: { token: newer, password: 'Replaced123' } });
+  assert.strictEqual(withNewer.status, 200);
+});
+
+test('an expired token is refused', async () => {
+  await requestReset('worker@example.com');
+  await dbRun('UPDATE password_reset_tokens SET expiresAt = ?', [new Date(Date.now() - 1000).toISOString()]);
+
+  const response = await app.request('POST', '/api/auth/reset-password', {
+    body: { token: emailedToken(sent[0]), password: 'TooLate123' }
+  });
+
+  assert.strictEqual(response.status, 400);
+});
+
+test('a token or password that is not text is a bad request', async () => {
+  const reset = await app.request('POST', '/api/auth/reset-password', {
+    body: { token: ['abc'], password: 12345678 }
+  });
+  assert.strictEqual(reset.status, 400);
+});
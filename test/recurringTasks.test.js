@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+const { parseRule, occurrences } = require('../utils/recurrence');
+const recurringTasks = require('../jobs/recurringTasks');
+
+let app;
+let token;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/schedules': require('../routes/schedules')
+  });
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  token = await app.login('boss@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const expand = (rrule, start) => [...occurrences(parseRule(rrule), new Date(start))].map(date => date.toISOString());
+
+test('expands weekly, monthly and bounded rules', () => {
+  assert.deepStrictEqual(expand('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', '2030-01-07T09:00:00.000Z'), [
+    '2030-01-07T09:00:00.000Z',
+    '2030-01-09T09:00:00.000Z',
+    '2030-01-14T09:00:00.000Z',
+    '2030-01-16T09:00:00.000Z'
+  ]);
+
+  assert.deepStrictEqual(expand('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', '2030-01-31T17:00:00.000Z'), [
+    '2030-01-31T17:00:00.000Z',
+    '2030-02-28T17:00:00.000Z',
+    '2030-03-31T17:00:00.000Z'
+  ]);
+
+  assert.deepStrictEqual(expand('FREQ=DAILY;INTERVAL=2;UNTIL=20300105', '2030-01-01T09:00:00.000Z'), [
+    '2030-01-01T09:00:00.000Z',
+    '2030-01-03T09:00:00.000Z',
+    '2030-01-05T09:00:00.000Z'
+  ]);
+
+  assert.throws(() => parseRule('FREQ=YEARLY'));
+});
+
+test('creates work ahead of time, and edits only change later occurrences', async () => {
+  const created = await app.request('POST', '/api/schedules', {
+    token,
+    body: {
+      workerId: worker.id,
+      task: 'Status update',
+      instructions: 'Three bullet points',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+      startsAt: '2030-01-07T09:00:00.000Z',
+      leadDays: 3
+    }
+  });
+  assert.strictEqual(created.status, 201);
+  const scheduleId = created.body.schedule.id;
+
+  assert.strictEqual(await recurringTasks.runOnce(new Date('2030-01-06T09:00:00.000Z')), 2);
+  assert.strictEqual(await recurringTasks.runOnce(new Date('2030-01-06T09:00:00.000Z')), 0);
+
+  const edited = await app.request('PUT', `/api/schedules/${scheduleId}`, { token, body: { task: 'Weekly status update' } });
+  assert.strictEqual(edited.status, 200);
+
+  assert.strictEqual(await recurringTasks.runOnce(new Date('2030-01-13T09:00:00.000Z')), 2);
+
+  const workItems = await WorkItem.findAll({ workerId: worker.id });
+  assert.deepStrictEqual(
+    workItems.map(workItem => `${workItem.deadline} ${workItem.task}`).sort(),
+    [
+      '2030-01-07T09:00:00.000Z Status update',
+      '2030-01-09T09:00:00.000Z Status update',
+      '2030-01-14T09:00:00.000Z Weekly status update',
+      '2030-01-16T09:00:00.000Z Weekly status update'
+    ]
+  );
+});
+
+test('a paused or stopped series creates nothing', async () => {
+  const created = await app.request('POST', '/api/schedules', {
+    token,
+    body: {
+      workerId: worker.id,
+      task: 'Audit',
+      instructions: 'Check the books',
+      rrule: 'FREQ=MONTHLY;BYMONTHDAY=1',
+      startsAt: '2031-01-01T09:00:00.000Z',
+      leadDays: 7
+    }
+  });
+  const scheduleId = created.body.schedule.id;
+
+  const paused = await app.request('POST', `/api/schedules/${scheduleId}/pause`, { token });
+  assert.strictEqual(paused.body.schedule.status, 'paused');
+  assert.strictEqual(await recurringTasks.runOnce(new Date('2030-12-30T09:00:00.000Z')), 0);
+
+  const stopped = await app.request('POST', `/api/schedules/${scheduleId}/stop`, { token });
+  assert.strictEqual(stopped.body.schedule.status, 'stopped');
+
+  const resumed = await app.request('POST', `/api/schedules/${scheduleId}/resume`, { token });
+  assert.strictEqual(resumed.status, 400);
+});
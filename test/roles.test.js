@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+const Team = require('../models/Team');
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+let app;
+let admin;
+let manager;
+let adminToken;
+let managerToken;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users'),
+    '/api/work': require('../routes/work'),
+    '/api/roles': require('../routes/roles'),
+    '/api/audit': require('../routes/audit')
+  });
+
+  admin = await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  manager = await createUser({ name: 'Lead', email: 'lead@example.com', role: 'manager' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+  managerToken = await app.login('lead@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+test('a manager can assign and review work for their team', async () => {
+  const team = await Team.create({ name: 'Reports', createdBy: admin.id });
+  await team.addMember(manager.id, { isLead: true });
+  await team.addMember(worker.id);
+
+  const assigned = await app.request('POST', '/api/work/assign', {
+    token: managerToken,
+    body: { workerId: worker.id, task: 'Write report', instructions: 'Two pages', deadline: '2030-01-15T12:00:00.000Z' }
+  });
+  assert.strictEqual(assigned.status, 201);
+
+  const workItem = await WorkItem.findById(assigned.body.workItem.id);
+  await workItem.markCompleted({ explanation: 'Done', submittedBy: worker.id });
+
+  const approved = await app.request('PUT', `/api/work/approve/${workItem.id}`, { token: managerToken, body: {} });
+  assert.strictEqual(approved.status, 200);
+});
+
+test('a manager cannot delete users or see every account', async () => {
+  const deleted = await app.request('DELETE', `/api/users/${worker.id}`, { token: managerToken });
+  assert.strictEqual(deleted.status, 403);
+
+  const all = await app.request('GET', '/api/users/all', { token: managerToken });
+  assert.strictEqual(all.status, 403);
+
+  const workers = await app.request('GET', '/api/users', { token: managerToken });
+  assert.strictEqual(workers.status, 200);
+  assert.ok(workers.body.every(user => user.role === 'worker'));
+});
+
+test('a custom role grants exactly its permissions', async () => {
+  const created = await app.request('POST', '/api/roles', {
+    token: adminToken,
+    body: { name: 'auditor', description: 'Reads the audit log', permissions: ['audit:read'] }
+  });
+  assert.strictEqual(created.status, 201);
+
+  const auditor = await createUser({ name: 'Auditor', email: 'auditor@example.com' });
+  const changed = await app.request('PUT', `/api/users/${auditor.id}/role`, { token: adminToken, body: { role: 'auditor' } });
+  assert.strictEqual(changed.status, 200);
+
+  const token = await app.login('auditor@example.com');
+  assert.strictEqual((await app.request('GET', '/api/audit', { token })).status, 200);
+  assert.strictEqual((await app.request('GET', '/api/users', { token })).status, 403);
+});
+
+test('a role with an unknown permission is refused', async () => {
+  const response = await app.request('POST', '/api/roles', {
+    token: adminToken,
+    body: { name: 'teleporter', permissions: ['work:teleport'] }
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.message, /Unknown permission/);
+});
+
+test('a role is created with its permissions', async () => {
+  const role = await Role.create({ name: 'reporter', permissions: ['work:stats'] });
+
+  assert.deepStrictEqual(role.permissions, ['work:stats']);
+  assert.deepStrictEqual((await Role.findByName('reporter')).permissions, ['work:stats']);
+});
+
+test('a role whose permissions cannot be saved is not created', async () => {
+  await assert.rejects(
+    Role.create({ name: 'reviewer', permissions: ['work:approve', 'work:teleport'] }),
+    /Unknown permission\(s\): work:teleport/
+  );
+
+  assert.strictEqual(await Role.exists('reviewer'), false);
+  assert.strictEqual(await Role.findByName('reviewer'), null);
+
+  await assert.rejects(Role.create({ name: 'reporter' }), /Role already exists/);
+});
+
+test('a refused role does not undo writes made by other requests meanwhile', async () => {
+  const [created] = await Promise.allSettled([
+    Role.create({ name: 'courier', permissions: ['work:teleport'] }),
+    createUser({ name: 'Bystander', email: 'bystander@example.com' })
+  ]);
+
+  assert.strictEqual(created.status, 'rejected');
+  assert.strictEqual(await Role.exists('courier'), false);
+  assert.ok(await User.findByEmail('bystander@example.com'));
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { dbRun } = require('../config/database');
+
+let app;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users')
+  });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const loginSession = async (email) => {
+  const response = await app.request('POST', '/api/auth/login', { body: { email, password: 'Password123' } });
+  assert.strictEqual(response.status, 200);
+  return response.body;
+};
+
+const listSessions = (token) => app.request('GET', '/api/auth/sessions', { token });
+
+test('a refresh token can be used once and replaying it ends the session', async () => {
+  await createUser({ name: 'Rotating', email: 'rotating@example.com' });
+  const { refreshToken } = await loginSession('rotating@example.com');
+
+  const refreshed = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.strictEqual(refreshed.status, 200);
+  assert.ok(refreshed.body.token);
+  assert.notStrictEqual(refreshed.body.refreshToken, refreshToken);
+
+  const replayed = await app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+  assert.strictEqual(replayed.status, 401);
+
+  const afterReplay = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.strictEqual(afterReplay.status, 401);
+  assert.strictEqual((await listSessions(refreshed.body.token)).status, 401);
+});
+
+test('logging out revokes the access token', async () => {
+  await createUser({ name: 'Leaving', email: 'leaving@example.com' });
+  const { token } = await loginSession('leaving@example.com');
+
+  const logout = await app.request('POST', '/api/auth/logout', { token });
+  assert.strictEqual(logout.status, 200);
+
+  const response = await listSessions(token);
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.body.code, 'SESSION_REVOKED');
+});
+
+test('a user can see their devices and sign one out', async () => {
+  await createUser({ name: 'Two Devices', email: 'devices@example.com' });
+  const laptop = await loginSession('devices@example.com');
+  const phone = await loginSession('devices@example.com');
+
+  const listed = await listSessions(laptop.token);
+  assert.strictEqual(listed.status, 200);
+  assert.strictEqual(listed.body.length, 2);
+  const other = listed.body.find(session => !session.current);
+
+  const revoked = await app.request('DELETE', `/api/auth/sessions/${other.id}`, { token: laptop.token });
+  assert.strictEqual(revoked.status, 200);
+
+  assert.strictEqual((await listSessions(phone.token)).status, 401);
+  assert.strictEqual((await listSessions(laptop.token)).status, 200);
+});
+
+test('deactivating an account or revoking its sessions cuts off existing tokens', async () => {
+  const worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  const adminToken = (await loginSession('boss@example.com')).token;
+
+  const first = await loginSession('worker@example.com');
+  const revoked = await app.request('DELETE', `/api/users/${worker.id}/sessions`, { token: adminToken });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual(revoked.body.revoked, 1);
+  assert.strictEqual((await listSessions(first.token)).status, 401);
+
+  const second = await loginSession('worker@example.com');
+  await dbRun('UPDATE users SET isActive = 0 WHERE id = ?', [worker.id]);
+  const response = await listSessions(second.token);
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.message, 'Account is deactivated');
+});
+
+test('starting the Google Calendar connection needs a live session on an active account', async () => {
+  const user = await createUser({ name: 'Calendar', email: 'calendar@example.com' });
+  const connect = (token) => app.request('GET', `/api/auth/google?token=${encodeURIComponent(token)}`);
+
+  const first = await loginSession('calendar@example.com');
+  await app.request('POST', '/api/auth/logout', { token: first.token, body: {} });
+  const loggedOut = await connect(first.token);
+  assert.strictEqual(loggedOut.status, 401);
+  assert.strictEqual(loggedOut.body.code, 'SESSION_REVOKED');
+
+  const second = await loginSession('calendar@example.com');
+  await dbRun('UPDATE users SET isActive = 0 WHERE id = ?', [user.id]);
+  const deactivated = await connect(second.token);
+  assert.strictEqual(deactivated.status, 403);
+  assert.strictEqual(deactivated.body.message, 'Account is deactivated');
+});
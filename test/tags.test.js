@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+
+let app;
+let token;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work'),
+    '/api/tags': require('../routes/tags')
+  });
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  token = await app.login('boss@example.com');
+
+  const tasks = [
+    { task: 'Close the books', priority: 'high', tags: ['billing', 'q3'], deadline: '2030-01-20T12:00:00.000Z' },
+    { task: 'Fix the printer', priority: 'low', tags: [], deadline: '2030-01-10T12:00:00.000Z' },
+    { task: 'Chase invoices', priority: 'urgent', tags: ['billing'], deadline: '2030-01-25T12:00:00.000Z' },
+    { task: 'Send receipts', priority: 'high', tags: 'billing', deadline: '2030-01-15T12:00:00.000Z' }
+  ];
+  for (const body of tasks) {
+    const response = await app.request('POST', '/api/work/assign', {
+      token,
+      body: { workerId: worker.id, instructions: 'As usual', ...body }
+    });
+    assert.strictEqual(response.status, 201);
+  }
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const list = async (query) => {
+  const response = await app.request('GET', `/api/work?${query}`, { token });
+  assert.strictEqual(response.status, 200);
+  return response.body.map(workItem => workItem.task);
+};
+
+test('filters by priority and by tags', async () => {
+  assert.strictEqual((await list('priority=high,urgent')).length, 3);
+  assert.deepStrictEqual(await list('tags=billing,q3'), ['Close the books']);
+  assert.deepStrictEqual((await list('tags=billing&priority=high')).sort(), ['Close the books', 'Send receipts']);
+});
+
+test('orders by priority, then by deadline', async () => {
+  assert.deepStrictEqual(await list('sort=priority'), [
+    'Chase invoices', 'Send receipts', 'Close the books', 'Fix the printer'
+  ]);
+});
+
+test('rejects unknown priorities', async () => {
+  const response = await app.request('GET', '/api/work?priority=someday', { token });
+  assert.strictEqual(response.status, 400);
+});
+
+test('admins manage the tag vocabulary and workers cannot', async () => {
+  const tags = await app.request('GET', '/api/tags', { token });
+  const billing = tags.body.find(tag => tag.name === 'billing');
+  const q3 = tags.body.find(tag => tag.name === 'q3');
+  assert.strictEqual(billing.usageCount, 3);
+
+  const workerToken = await app.login('worker@example.com');
+  const denied = await app.request('POST', '/api/tags', { token: workerToken, body: { name: 'mine' } });
+  assert.strictEqual(denied.status, 403);
+
+  const merged = await app.request('POST', `/api/tags/${q3.id}/merge`, { token, body: { targetId: billing.id } });
+  assert.strictEqual(merged.status, 200);
+  assert.deepStrictEqual(await list('tags=q3'), []);
+
+  const renamed = await app.request('PUT', `/api/tags/${billing.id}`, { token, body: { name: 'finance' } });
+  assert.strictEqual(renamed.status, 200);
+  assert.strictEqual((await list('tags=finance')).length, 3);
+
+  const deleted = await app.request('DELETE', `/api/tags/${billing.id}`, { token });
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual(await list('tags=finance'), []);
+});
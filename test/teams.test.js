@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let admin;
+let adminToken;
+let leadToken;
+let team;
+let teammate;
+let outsider;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users'),
+    '/api/work': require('../routes/work'),
+    '/api/teams': require('../routes/teams')
+  });
+
+  admin = await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  const lead = await createUser({ name: 'Lead', email: 'lead@example.com', role: 'manager' });
+  teammate = await createUser({ name: 'Teammate', email: 'teammate@example.com' });
+  outsider = await createUser({ name: 'Outsider', email: 'outsider@example.com' });
+  adminToken = await app.login('boss@example.com');
+  leadToken = await app.login('lead@example.com');
+
+  const created = await app.request('POST', '/api/teams', { token: adminToken, body: { name: 'Design' } });
+  assert.strictEqual(created.status, 201);
+  team = created.body.team;
+
+  for (const member of [{ userId: lead.id, isLead: true }, { userId: teammate.id }]) {
+    const added = await app.request('POST', `/api/teams/${team.id}/members`, { token: adminToken, body: member });
+    assert.strictEqual(added.status, 201);
+  }
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const createWorkItem = (workerId, task) => WorkItem.create({
+  workerId,
+  task,
+  instructions: 'Do it',
+  deadline: '2030-01-15T12:00:00.000Z',
+  assignedBy: admin.id
+});
+
+test('a team lead only sees the users and work of their own team', async () => {
+  await createWorkItem(teammate.id, 'Team task');
+  await createWorkItem(outsider.id, 'Someone else\'s task');
+
+  const users = await app.request('GET', '/api/users', { token: leadToken });
+  assert.deepStrictEqual(users.body.map(user => user.email), ['teammate@example.com']);
+
+  const work = await app.request('GET', '/api/work', { token: leadToken });
+  assert.deepStrictEqual(work.body.map(workItem => workItem.task), ['Team task']);
+
+  const everything = await app.request('GET', '/api/work', { token: adminToken });
+  assert.strictEqual(everything.body.length, 2);
+});
+
+test('work assigned to a team waits in its queue until a member claims it', async () => {
+  const assigned = await app.request('POST', '/api/work/assign', {
+    token: adminToken,
+    body: { teamId: team.id, task: 'Whoever is free', instructions: 'Pick it up', deadline: '2030-01-15T12:00:00.000Z' }
+  });
+  assert.strictEqual(assigned.status, 201);
+  const workItemId = assigned.body.workItem.id;
+
+  const teammateToken = await app.login('teammate@example.com');
+  const queue = await app.request('GET', '/api/work/queue', { token: teammateToken });
+  assert.deepStrictEqual(queue.body.map(workItem => workItem.id), [workItemId]);
+
+  const outsiderToken = await app.login('outsider@example.com');
+  const stolen = await app.request('POST', `/api/work/${workItemId}/claim`, { token: outsiderToken });
+  assert.strictEqual(stolen.status, 403);
+
+  const claimed = await app.request('POST', `/api/work/${workItemId}/claim`, { token: teammateToken });
+  assert.strictEqual(claimed.status, 200);
+  assert.strictEqual((await WorkItem.findById(workItemId)).workerId, teammate.id);
+
+  const again = await app.request('POST', `/api/work/${workItemId}/claim`, { token: teammateToken });
+  assert.strictEqual(again.status, 400);
+});
+
+test('only team administrators can rename or delete a team', async () => {
+  const byLead = await app.request('PUT', `/api/teams/${team.id}`, { token: leadToken, body: { name: 'Lead renamed' } });
+  assert.strictEqual(byLead.status, 403);
+
+  const renamed = await app.request('PUT', `/api/teams/${team.id}`, { token: adminToken, body: { name: 'Product design' } });
+  assert.strictEqual(renamed.status, 200);
+  assert.strictEqual(renamed.body.team.name, 'Product design');
+
+  const spare = await app.request('POST', '/api/teams', { token: adminToken, body: { name: 'Spare' } });
+  const deleted = await app.request('DELETE', `/api/teams/${spare.body.team.id}`, { token: adminToken });
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual((await app.request('GET', `/api/teams/${spare.body.team.id}`, { token: adminToken })).status, 404);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const { resolveRelativeDeadline, parseRelativeDeadline } = require('../utils/templates');
+
+let app;
+let adminToken;
+let worker;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/templates': require('../routes/templates'),
+    '/api/work': require('../routes/work')
+  });
+
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Wendy Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+test('relative deadlines skip weekends for business days', () => {
+  const friday = new Date('2030-01-04T09:00:00.000Z');
+
+  assert.strictEqual(resolveRelativeDeadline('+3 business days', friday).toISOString(), '2030-01-09T09:00:00.000Z');
+  assert.strictEqual(resolveRelativeDeadline('+2 weeks', friday).toISOString(), '2030-01-18T09:00:00.000Z');
+  assert.throws(() => parseRelativeDeadline('next tuesday'), /Default deadline must look like/);
+});
+
+test('assigning from a template fills in placeholders and the default deadline', async () => {
+  const created = await app.request('POST', '/api/templates', {
+    token: adminToken,
+    body: {
+      name: 'Monthly report',
+      task: '{{month}} report for {{worker.name}}',
+      instructions: 'Send it to {{assigner.name}} by {{deadline}}',
+      defaultDeadline: '+3 days',
+      priority: 'high',
+      checklist: [{ text: 'Ask {{assigner.name}} for figures', mandatory: true }]
+    }
+  });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.template.defaultDeadline, '+3 days');
+
+  const before = Date.now();
+  const assigned = await app.request('POST', '/api/work/assign-from-template', {
+    token: adminToken,
+    body: { templateId: created.body.template.id, workerId: worker.id }
+  });
+  assert.strictEqual(assigned.status, 201);
+
+  const workItem = assigned.body.workItem;
+  const month = new Date().toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+  assert.strictEqual(workItem.task, `${month} report for Wendy Worker`);
+  assert.strictEqual(workItem.priority, 'high');
+  const deadline = new Date(workItem.deadline).getTime();
+  assert.ok(Math.abs(deadline - (before + 3 * 24 * 60 * 60 * 1000)) < 60 * 1000);
+  assert.strictEqual(workItem.instructions, `Send it to Admin by ${workItem.deadline.slice(0, 10)}`);
+
+  const checklist = await app.request('GET', `/api/work/${workItem.id}/checklist`, { token: adminToken });
+  assert.deepStrictEqual(checklist.body.items.map(item => item.text), ['Ask Admin for figures']);
+});
+
+test('unknown placeholders and missing values are refused', async () => {
+  const unknown = await app.request('POST', '/api/templates', {
+    token: adminToken,
+    body: { name: 'Broken', task: 'Hello {{worker.phone}}', instructions: 'x' }
+  });
+  assert.strictEqual(unknown.status, 400);
+  assert.match(unknown.body.message, /worker\.phone/);
+
+  const created = await app.request('POST', '/api/templates', {
+    token: adminToken,
+    body: { name: 'Team intro', task: 'Welcome to {{team.name}}', instructions: 'Say hi' }
+  });
+  const assigned = await app.request('POST', '/api/work/assign-from-template', {
+    token: adminToken,
+    body: { templateId: created.body.template.id, workerId: worker.id, deadline: '2030-01-15T12:00:00.000Z' }
+  });
+  assert.strictEqual(assigned.status, 400);
+  assert.match(assigned.body.message, /team\.name/);
+});
+
+test('only the author or an admin can change or delete a template', async () => {
+  await createUser({ name: 'Author', email: 'author@example.com', role: 'manager' });
+  await createUser({ name: 'Colleague', email: 'colleague@example.com', role: 'manager' });
+  const author = await app.login('author@example.com');
+  const colleague = await app.login('colleague@example.com');
+
+  const created = await app.request('POST', '/api/templates', {
+    token: author,
+    body: { name: 'Weekly report', task: 'Weekly report for {{worker.name}}', instructions: 'Use the usual sheet' }
+  });
+  assert.strictEqual(created.status, 201);
+  const url = `/api/templates/${created.body.template.id}`;
+
+  assert.strictEqual((await app.request('GET', url, { token: colleague })).status, 200);
+  assert.strictEqual((await app.request('PUT', url, { token: colleague, body: { name: 'Mine now' } })).status, 403);
+  assert.strictEqual((await app.request('DELETE', url, { token: colleague })).status, 403);
+
+  assert.strictEqual((await app.request('PUT', url, { token: author, body: { name: 'Weekly status' } })).status, 200);
+  assert.strictEqual((await app.request('DELETE', url, { token: adminToken })).status, 200);
+});
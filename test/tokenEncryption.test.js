@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { setupDatabase, closeDatabase, createUser } = require('./helpers');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const tokenEncryption = require('../utils/tokenEncryption');
+const encryptPlaintextTokens = require('../migrations/026_encrypt_google_tokens');
+
+const newKey = () => crypto.randomBytes(32).toString('hex');
+
+let user;
+
+before(async () => {
+  await setupDatabase();
+  user = await createUser({ name: 'Worker', email: 'worker@example.com' });
+});
+
+after(async () => {
+  await closeDatabase();
+});
+
+// Use these TOKEN_ENCRYPTION_KEYS for the rest of the test, then put the test key back
+const withKeys = (t, keys) => {
+  const original = process.env.TOKEN_ENCRYPTION_KEYS;
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  t.after(() => { process.env.TOKEN_ENCRYPTION_KEYS = original; });
+};
+
+test('tokens round-trip and never encrypt to the same value twice', () => {
+  const first = tokenEncryption.encrypt('ya29.secret');
+  const second = tokenEncryption.encrypt('ya29.secret');
+
+  assert.match(first, /^enc:v1:test:/);
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(tokenEncryption.decrypt(first), 'ya29.secret');
+});
+
+test('older keys still decrypt after a new key is put first', (t) => {
+  const oldKey = newKey();
+  withKeys(t, `old:${oldKey}`);
+  const stored = tokenEncryption.encrypt('refresh-me');
+
+  process.env.TOKEN_ENCRYPTION_KEYS = `new:${newKey()},old:${oldKey}`;
+  assert.strictEqual(tokenEncryption.decrypt(stored), 'refresh-me');
+  assert.strictEqual(tokenEncryption.needsRotation(stored), true);
+  assert.strictEqual(tokenEncryption.needsRotation(tokenEncryption.encrypt('refresh-me')), false);
+
+  process.env.TOKEN_ENCRYPTION_KEYS = `new:${newKey()}`;
+  assert.throws(() => tokenEncryption.decrypt(stored), /key "old" is not configured/);
+});
+
+test('a stored value without the encryption prefix is refused', () => {
+  assert.throws(() => tokenEncryption.decrypt('ya29.plaintext'), /not encrypted/);
+  assert.strictEqual(tokenEncryption.decrypt(null), null);
+});
+
+test('malformed key configuration is refused', (t) => {
+  withKeys(t, 'short:abcd');
+  assert.throws(() => tokenEncryption.encrypt('x'), /must be 32 bytes/);
+
+  process.env.TOKEN_ENCRYPTION_KEYS = '';
+  assert.strictEqual(tokenEncryption.isConfigured(), false);
+  assert.throws(() => tokenEncryption.encrypt('x'), /not configured/);
+});
+
+test('Google tokens are stored encrypted and a missing refresh token keeps the old one', async () => {
+  await user.saveGoogleTokens({ accessToken: 'access-1', refreshToken: 'refresh-1' });
+
+  const row = await dbGet('SELECT googleAccessToken, googleRefreshToken FROM users WHERE id = ?', [user.id]);
+  assert.ok(tokenEncryption.isEncrypted(row.googleAccessToken));
+  assert.ok(!row.googleRefreshToken.includes('refresh-1'));
+
+  await user.saveGoogleTokens({ accessToken: 'access-2' });
+  assert.deepStrictEqual(await user.getGoogleTokens(), { accessToken: 'access-2', refreshToken: 'refresh-1' });
+});
+
+test('the upgrade encrypts plaintext tokens, or disconnects them when there is no key', async (t) => {
+  const storePlaintext = async (email) => {
+    const owner = await createUser({ name: 'Early adopter', email });
+    await dbRun('UPDATE users SET googleAccessToken = ?, googleRefreshToken = ? WHERE id = ?', ['plain-access', 'plain-refresh', owner.id]);
+    return owner;
+  };
+
+  const kept = await storePlaintext('kept@example.com');
+  await encryptPlaintextTokens.up({ dbAll, dbRun });
+  assert.deepStrictEqual(await kept.getGoogleTokens(), { accessToken: 'plain-access', refreshToken: 'plain-refresh' });
+
+  const dropped = await storePlaintext('dropped@example.com');
+  withKeys(t, '');
+  await encryptPlaintextTokens.up({ dbAll, dbRun });
+  assert.strictEqual(await dropped.getGoogleTokens(), null);
+  assert.strictEqual((await dropped.getGoogleStatus()).disconnectReason, 'Google tokens were stored unencrypted');
+});
+
+test('key rotation skips and disconnects users whose tokens cannot be decrypted', async (t) => {
+  const rotating = await createUser({ name: 'Rotating', email: 'rotating@example.com' });
+  await rotating.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+
+  // Saved under a key that is no longer configured
+  const lost = await createUser({ name: 'Lost', email: 'lost@example.com' });
+  const keys = `new:${newKey()},${process.env.TOKEN_ENCRYPTION_KEYS}`;
+  withKeys(t, `gone:${newKey()}`);
+  await lost.saveGoogleTokens({ accessToken: 'access', refreshToken: 'refresh' });
+
+  // The new key goes first, the test key stays for decrypting
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  const { stdout } = await promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'scripts', 'rotate-token-key.js')], {
+    env: process.env,
+    timeout: 30000
+  });
+
+  assert.match(stdout, /Disconnected 1 user\(s\) .*: lost@example.com/);
+
+  const row = await dbGet('SELECT googleAccessToken FROM users WHERE id = ?', [rotating.id]);
+  assert.match(row.googleAccessToken, /^enc:v1:new:/);
+  assert.deepStrictEqual(await rotating.getGoogleTokens(), { accessToken: 'access', refreshToken: 'refresh' });
+
+  const status = await lost.getGoogleStatus();
+  assert.strictEqual(status.connected, false);
+  assert.strictEqual(status.disconnectReason, 'Stored Google tokens cannot be decrypted');
+});
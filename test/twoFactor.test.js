@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const Setting = require('../models/Setting');
+const { generateCode } = require('../utils/totp');
+
+const STEP_SECONDS = 30;
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+let app;
+let secret;
+let recoveryCodes;
+let bossToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth/2fa': require('../routes/twoFactor'),
+    '/api/auth': require('../routes/auth'),
+    '/api/users': require('../routes/users')
+  });
+  await createUser({ name: 'Boss', email: 'boss@example.com', role: 'admin' });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const passwordStep = () => app.request('POST', '/api/auth/login', {
+  body: { email: 'boss@example.com', password: 'Password123' }
+});
+
+test('an admin can enroll and then needs a code to log in', async () => {
+  const token = await app.login('boss@example.com');
+
+  const setup = await app.request('POST', '/api/auth/2fa/setup', { token, body: { password: 'Password123' } });
+  assert.strictEqual(setup.status, 200);
+  assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/TaskPilot%3Aboss%40example.com\?secret=/);
+  secret = setup.body.secret;
+
+  const step = currentStep();
+  const verified = await app.request('POST', '/api/auth/2fa/verify', { token, body: { code: generateCode(secret, step) } });
+  assert.strictEqual(verified.status, 200);
+  recoveryCodes = verified.body.recoveryCodes;
+  assert.ok(recoveryCodes.length > 0);
+
+  const challenge = await passwordStep();
+  assert.strictEqual(challenge.status, 200);
+  assert.strictEqual(challenge.body.twoFactorRequired, true);
+  assert.strictEqual(challenge.body.token, undefined);
+
+  // Enrollment used this step's code; a code can only be used once
+  const code = generateCode(secret, step + 1);
+  const login = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: challenge.body.challengeToken, code }
+  });
+  assert.strictEqual(login.status, 200);
+  assert.ok(login.body.token);
+  bossToken = login.body.token;
+
+  const replay = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: (await passwordStep()).body.challengeToken, code }
+  });
+  assert.strictEqual(replay.status, 401);
+});
+
+test('a recovery code logs in once', async () => {
+  const [recoveryCode] = recoveryCodes;
+
+  const first = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: (await passwordStep()).body.challengeToken, recoveryCode }
+  });
+  assert.strictEqual(first.status, 200);
+
+  const second = await app.request('POST', '/api/auth/login/2fa', {
+    body: { challengeToken: (await passwordStep()).body.challengeToken, recoveryCode }
+  });
+  assert.strictEqual(second.status, 401);
+});
+
+test('when 2FA is required, admins without it can only enroll', async (t) => {
+  const policy = await app.request('PUT', '/api/auth/2fa/policy', { token: bossToken, body: { requireForAdmins: true } });
+  assert.strictEqual(policy.status, 200);
+  t.after(() => Setting.set(Setting.REQUIRE_ADMIN_TWO_FACTOR, false));
+
+  await createUser({ name: 'Admin Two', email: 'admin2@example.com', role: 'admin' });
+  const login = await app.request('POST', '/api/auth/login', {
+    body: { email: 'admin2@example.com', password: 'Password123' }
+  });
+  assert.strictEqual(login.body.twoFactorEnrollmentRequired, true);
+
+  const blocked = await app.request('GET', '/api/users', { token: login.body.token });
+  assert.strictEqual(blocked.status, 403);
+  assert.strictEqual(blocked.body.code, 'TWO_FACTOR_ENROLLMENT_REQUIRED');
+
+  const status = await app.request('GET', '/api/auth/2fa/status', { token: login.body.token });
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.body.required, true);
+
+  assert.strictEqual((await app.request('GET', '/api/users', { token: bossToken })).status, 200);
+});
+
+test('an admin who must change their password and enroll in 2FA can do both, in that order', async (t) => {
+  await Setting.set(Setting.REQUIRE_ADMIN_TWO_FACTOR, true);
+  t.after(() => Setting.set(Setting.REQUIRE_ADMIN_TWO_FACTOR, false));
+
+  const login = await app.request('POST', '/api/auth/login', {
+    body: { email: 'admin@taskpilot.com', password: 'admin123' }
+  });
+  assert.strictEqual(login.status, 200);
+
+  const blocked = await app.request('GET', '/api/auth/2fa/status', { token: login.body.token });
+  assert.strictEqual(blocked.body.code, 'PASSWORD_CHANGE_REQUIRED');
+
+  const changed = await app.request('PUT', '/api/users/password', {
+    token: login.body.token,
+    body: { currentPassword: 'admin123', newPassword: 'NewAdmin123' }
+  });
+  assert.strictEqual(changed.status, 200);
+  const { token } = changed.body;
+
+  const status = await app.request('GET', '/api/auth/2fa/status', { token });
+  assert.strictEqual(status.status, 200);
+
+  const setup = await app.request('POST', '/api/auth/2fa/setup', { token, body: { password: 'NewAdmin123' } });
+  assert.strictEqual(setup.status, 200);
+
+  const elsewhere = await app.request('GET', '/api/users', { token });
+  assert.strictEqual(elsewhere.status, 403);
+  assert.strictEqual(elsewhere.body.code, 'TWO_FACTOR_ENROLLMENT_REQUIRED');
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+const WorkItem = require('../models/WorkItem');
+
+let app;
+let admin;
+let worker;
+
+// Keep each step on its own millisecond so the timeline order is unambiguous
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+before(async () => {
+  await setupDatabase();
+  admin = await createUser({ name: 'Reviewer', email: 'reviewer@example.com', role: 'admin' });
+  worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  await createUser({ name: 'Other', email: 'other@example.com' });
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+test('keeps every submission and review after a rejection', async () => {
+  const workItem = await WorkItem.create({
+    workerId: worker.id,
+    task: 'Write report',
+    instructions: 'Two pages',
+    deadline: '2030-01-15T12:00:00.000Z',
+    assignedBy: admin.id
+  });
+
+  await workItem.markCompleted({ explanation: 'First draft', workLink: 'https://example.com/v1', submittedBy: worker.id });
+  await tick();
+  await workItem.reject({ reviewedBy: admin.id, reviewNotes: 'Add the figures' });
+  await tick();
+  await workItem.markCompleted({ explanation: 'Figures added', workLink: 'https://example.com/v2', submittedBy: worker.id });
+  await tick();
+  await workItem.approve({ reviewedBy: admin.id, reviewNotes: 'Thanks' });
+
+  const token = await app.login('worker@example.com');
+  const response = await app.request('GET', `/api/work/${workItem.id}/history`, { token });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.status, 'approved');
+  assert.strictEqual(response.body.submissionCount, 2);
+  assert.deepStrictEqual(response.body.history.map(event => event.type === 'review' ? event.decision : event.explanation), [
+    'First draft', 'rejected', 'Figures added', 'approved'
+  ]);
+  assert.strictEqual(response.body.history[1].reviewNotes, 'Add the figures');
+  assert.strictEqual(response.body.history[0].workLink, 'https://example.com/v1');
+});
+
+test('hides the history from other workers', async () => {
+  const workItem = await WorkItem.create({
+    workerId: worker.id,
+    task: 'Private task',
+    instructions: 'Only for one worker',
+    deadline: '2030-01-15T12:00:00.000Z',
+    assignedBy: admin.id
+  });
+
+  const token = await app.login('other@example.com');
+  const response = await app.request('GET', `/api/work/${workItem.id}/history`, { token });
+
+  assert.strictEqual(response.status, 403);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase } = require('./helpers');
+const User = require('../models/User');
+const WorkItem = require('../models/WorkItem');
+const Tag = require('../models/Tag');
+
+let admin;
+let worker;
+
+const createWorkItem = (overrides = {}) => WorkItem.create({
+  workerId: worker.id,
+  task: 'Write report',
+  instructions: 'Two pages',
+  deadline: '2030-01-15T12:00:00.000Z',
+  assignedBy: admin.id,
+  ...overrides
+});
+
+before(async () => {
+  await setupDatabase();
+  admin = await User.findByEmail('admin@taskpilot.com');
+  worker = await User.create({ name: 'Worker', email: 'worker@example.com', password: 'hashed-password' });
+});
+
+after(closeDatabase);
+
+test('update leaves the status to the review lifecycle', async () => {
+  const workItem = await createWorkItem();
+
+  await workItem.update({ status: 'approved', task: 'Write summary' });
+  assert.strictEqual(workItem.status, 'pending');
+  assert.strictEqual(workItem.task, 'Write summary');
+
+  await assert.rejects(workItem.update({ status: 'approved' }), /No valid fields to update/);
+
+  await workItem.approve({ reviewedBy: admin.id });
+  assert.strictEqual((await WorkItem.findById(workItem.id)).status, 'approved');
+});
+
+test('a deadline that is not a date is rejected on create and update', async () => {
+  await assert.rejects(createWorkItem({ deadline: 'next friday' }), /Deadline must be a valid date/);
+
+  const workItem = await createWorkItem();
+  await assert.rejects(workItem.update({ deadline: 'next friday' }), /Deadline must be a valid date/);
+  assert.strictEqual((await WorkItem.findById(workItem.id)).deadline, '2030-01-15T12:00:00.000Z');
+});
+
+test('an invalid tag list rejects the whole update', async () => {
+  const workItem = await createWorkItem({ tags: ['billing'] });
+
+  await assert.rejects(
+    workItem.update({ task: 'Rewrite report', priority: 'high', tags: ['q3', ''] }),
+    /Tag name is required/
+  );
+  await assert.rejects(workItem.update({ task: 'Rewrite report', tags: 'q3' }), /Tags must be a list/);
+
+  const saved = await WorkItem.findById(workItem.id);
+  assert.strictEqual(saved.task, 'Write report');
+  assert.strictEqual(saved.priority, 'normal');
+  assert.deepStrictEqual(saved.tags.map(tag => tag.name), ['billing']);
+  assert.strictEqual(await Tag.findByName('q3'), null);
+});
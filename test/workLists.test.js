@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, closeDatabase, createUser, startApp } = require('./helpers');
+
+let app;
+let adminToken;
+
+before(async () => {
+  await setupDatabase();
+  app = await startApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/work': require('../routes/work')
+  });
+
+  await createUser({ name: 'Admin', email: 'boss@example.com', role: 'admin' });
+  const worker = await createUser({ name: 'Worker', email: 'worker@example.com' });
+  adminToken = await app.login('boss@example.com');
+
+  const tasks = [
+    ['Prepare invoices', 'Send the March invoices', '2030-03-10T12:00:00.000Z'],
+    ['Update the website', 'Refresh the pricing page', '2030-01-05T12:00:00.000Z'],
+    ['Invoice reminders', 'Chase unpaid customers', '2030-02-20T12:00:00.000Z'],
+    ['Office move', 'Pack the archive', '2030-04-01T12:00:00.000Z']
+  ];
+  for (const [task, instructions, deadline] of tasks) {
+    const response = await app.request('POST', '/api/work/assign', {
+      token: adminToken,
+      body: { workerId: worker.id, task, instructions, deadline }
+    });
+    assert.strictEqual(response.status, 201);
+  }
+});
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const list = (query) => app.request('GET', `/api/work?${query}`, { token: adminToken });
+
+test('lists stay a plain array unless a page is requested', async () => {
+  const plain = await list('sort=deadline');
+  assert.ok(Array.isArray(plain.body));
+  assert.deepStrictEqual(plain.body.map(workItem => workItem.task), [
+    'Update the website', 'Invoice reminders', 'Prepare invoices', 'Office move'
+  ]);
+
+  const page = await list('sort=deadline&order=desc&limit=2&offset=1');
+  assert.strictEqual(page.status, 200);
+  assert.strictEqual(page.body.total, 4);
+  assert.strictEqual(page.body.count, 2);
+  assert.deepStrictEqual(page.body.workItems.map(workItem => workItem.task), ['Prepare invoices', 'Invoice reminders']);
+});
+
+test('search matches word prefixes across the task text', async () => {
+  const invoices = await list('search=invoice');
+  assert.deepStrictEqual(invoices.body.map(workItem => workItem.task).sort(), ['Invoice reminders', 'Prepare invoices']);
+
+  const both = await list(`search=${encodeURIComponent('pricing page')}`);
+  assert.deepStrictEqual(both.body.map(workItem => workItem.task), ['Update the website']);
+
+  const syntax = await list(`search=${encodeURIComponent('"archive" OR (')}`);
+  assert.strictEqual(syntax.status, 200);
+  assert.deepStrictEqual(syntax.body.map(workItem => workItem.task), []);
+});
+
+test('deadline ranges include the whole end day', async () => {
+  const response = await list('deadlineFrom=2030-02-01&deadlineTo=2030-03-10&sort=deadline');
+  assert.deepStrictEqual(response.body.map(workItem => workItem.task), ['Invoice reminders', 'Prepare invoices']);
+});
+
+test('bad list parameters are refused', async () => {
+  assert.strictEqual((await list('sort=task')).status, 400);
+  assert.strictEqual((await list('order=sideways')).status, 400);
+  assert.strictEqual((await list('deadlineFrom=someday')).status, 400);
+  assert.strictEqual((await list('limit=0')).status, 400);
+  assert.strictEqual((await list('status=lost')).status, 400);
+});
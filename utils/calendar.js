@@ -0,0 +1,217 @@
+// utils/calendar.js - Google Calendar events for assigned work
+//
+// Each call resolves to { success, ... } instead of throwing. Failures say
+// whether trying again later could help (retryable) - network errors, rate
+// limits and Google-side errors can; a missing connection or a bad request can't.
+const { google } = require('googleapis');
+const User = require('../models/User');
+
+const EVENT_LENGTH_MS = 60 * 60 * 1000;
+const REVOKED_REASON = 'Google access was revoked';
+// Graphite, so finished work stands out from what is still due
+const DONE_COLOR_ID = '8';
+
+// The Calendar API client for one user's tokens. onTokens receives the new
+// credentials whenever the client refreshes the access token.
+const googleClientFactory = ({ accessToken, refreshToken, onTokens }) => {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+  oauth2Client.setCredentials({
+    access_token: accessToken,
+    refresh_token: refreshToken,
+  });
+  oauth2Client.on('tokens', onTokens);
+
+  return google.calendar({ version: 'v3', auth: oauth2Client });
+};
+
+let clientFactory = googleClientFactory;
+
+// Swap the client for a fake in tests or local development. The replacement gets
+// { user, accessToken, refreshToken, onTokens } and must provide events.insert / patch / delete
+// with the googleapis signatures. Pass nothing to go back to Google.
+const setCalendarClientFactory = (factory) => {
+  clientFactory = factory || googleClientFactory;
+};
+
+// { calendar, account } for the user, or { reason } when there is no calendar to write to
+const getClient = async (user) => {
+  const account = await User.findById(user.id);
+  let tokens = null;
+  try {
+    tokens = account && await account.getGoogleTokens();
+  } catch (error) {
+    console.error(`Cannot decrypt Google tokens for user ${user.email}:`, error.message);
+    return { reason: 'Stored Google tokens cannot be decrypted' };
+  }
+
+  if (!tokens) {
+    console.log(`No Google Calendar access for user ${user.email}`);
+    return { reason: 'Google Calendar not connected' };
+  }
+
+  if (clientFactory === googleClientFactory && (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET)) {
+    console.log('Google OAuth not configured - skipping calendar event');
+    return { reason: 'Google OAuth not configured' };
+  }
+
+  // Keep refreshed credentials, or the next request starts from an expired token
+  const onTokens = async (refreshed) => {
+    try {
+      await account.saveGoogleTokens({ accessToken: refreshed.access_token, refreshToken: refreshed.refresh_token });
+      console.log(`Saved refreshed Google tokens for user ${user.email}`);
+    } catch (error) {
+      console.error(`Error saving refreshed Google tokens for user ${user.email}:`, error.message);
+    }
+  };
+
+  return {
+    account,
+    calendar: clientFactory({ user, ...tokens, onTokens })
+  };
+};
+
+// Event body for the work item's current state; approved work is marked done
+const buildEvent = (workItem) => {
+  const done = workItem.status === 'approved';
+  const start = new Date(workItem.deadline);
+  if (isNaN(start.getTime())) {
+    throw new RangeError(`Work item ${workItem.id} has an invalid deadline: ${workItem.deadline}`);
+  }
+
+  return {
+    summary: `${done ? '✓ Done - ' : ''}TaskPilot: ${workItem.task}`,
+    description: `Task: ${workItem.task}\n\nDescription: ${workItem.description || 'No description'}\n\nInstructions: ${workItem.instructions}\n\nAssigned via TaskPilot`,
+    start: {
+      dateTime: start.toISOString(),
+      timeZone: 'UTC',
+    },
+    end: {
+      dateTime: new Date(start.getTime() + EVENT_LENGTH_MS).toISOString(),
+      timeZone: 'UTC',
+    },
+    reminders: done
+      ? { useDefault: false, overrides: [] }
+      : {
+        useDefault: false,
+        overrides: [
+          { method: 'email', minutes: 30 },
+          { method: 'popup', minutes: 10 },
+        ],
+      },
+    ...(done ? { colorId: DONE_COLOR_ID, transparency: 'transparent' } : {})
+  };
+};
+
+// { resource } for the work item, or { failed } when its data can't make an event.
+// Trying again would fail the same way, so that is never retryable.
+const prepareEvent = (workItem) => {
+  try {
+    return { resource: buildEvent(workItem) };
+  } catch (error) {
+    console.error(`Cannot build calendar event for work item ${workItem.id}:`, error.message);
+    return { failed: { success: false, reason: error.message, retryable: false } };
+  }
+};
+
+// HTTP status of a googleapis error, or null for network-level failures
+const errorStatus = (error) => {
+  if (error.response && error.response.status) return error.response.status;
+  return typeof error.code === 'number' ? error.code : null;
+};
+
+// Refreshing fails with invalid_grant once the user revokes access in their Google account
+const isRevoked = (error) => (error.response && error.response.data && error.response.data.error === 'invalid_grant') ||
+  /invalid_grant/.test(error.message);
+
+// A revoked grant disconnects the user so their status stops claiming a working link
+const failure = async (error, action, user, account) => {
+  const status = errorStatus(error);
+  console.error(`Error ${action} calendar event:`, error.message);
+
+  if (isRevoked(error)) {
+    console.log('Google access revoked for user', user.email);
+    await account.disconnectGoogle(REVOKED_REASON);
+    return { success: false, reason: REVOKED_REASON, disconnected: true, retryable: false };
+  }
+
+  return {
+    success: false,
+    reason: error.message,
+    status,
+    retryable: status === null || status === 429 || status >= 500
+  };
+};
+
+const createCalendarEvent = async (user, workItem) => {
+  const { resource, failed } = prepareEvent(workItem);
+  if (failed) return failed;
+
+  const { calendar, account, reason } = await getClient(user);
+  if (!calendar) return { success: false, reason };
+
+  try {
+    const response = await calendar.events.insert({
+      calendarId: 'primary',
+      resource,
+    });
+    console.log(`Calendar event created for task ${workItem.id} for user ${user.email}`);
+    return { success: true, eventId: response.data.id };
+  } catch (error) {
+    return await failure(error, 'creating', user, account);
+  }
+};
+
+// Bring an existing event in line with the work item. gone: true means the
+// user deleted the event in Google themselves.
+const updateCalendarEvent = async (user, eventId, workItem) => {
+  const { resource, failed } = prepareEvent(workItem);
+  if (failed) return failed;
+
+  const { calendar, account, reason } = await getClient(user);
+  if (!calendar) return { success: false, reason };
+
+  try {
+    await calendar.events.patch({
+      calendarId: 'primary',
+      eventId,
+      resource,
+    });
+    console.log(`Calendar event ${eventId} updated for task ${workItem.id}`);
+    return { success: true, eventId };
+  } catch (error) {
+    if ([404, 410].includes(errorStatus(error))) {
+      return { success: false, reason: 'Calendar event no longer exists', gone: true };
+    }
+    return await failure(error, 'updating', user, account);
+  }
+};
+
+// An event that is already gone counts as deleted
+const deleteCalendarEvent = async (user, eventId) => {
+  const { calendar, account, reason } = await getClient(user);
+  if (!calendar) return { success: false, reason };
+
+  try {
+    await calendar.events.delete({ calendarId: 'primary', eventId });
+    console.log(`Calendar event ${eventId} deleted for user ${user.email}`);
+    return { success: true };
+  } catch (error) {
+    if ([404, 410].includes(errorStatus(error))) {
+      return { success: true };
+    }
+    return await failure(error, 'deleting', user, account);
+  }
+};
+
+module.exports = {
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  setCalendarClientFactory,
+  buildEvent
+};
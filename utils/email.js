@@ -1,39 +1,171 @@
-require('dotenv').config();
-const nodemailer = require('nodemailer');
-
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: process.env.EMAIL_PORT === '465', // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
-transporter.verify((error, success) => {
-  if (error) {
-    console.error('Email service setup failed:', error);
-  } else {
-    console.log('Email service is ready');
+// utils/email.js - Send mail through the transporter set up in server.js
+const sendTaskNotification = async (to, subject, text) => {
+  if (!global.transporter) {
+    console.log('Email not configured - skipping notification to:', to);
+    return { success: false, reason: 'Email not configured' };
   }
-});
 
-const sendTaskNotification = async (to, subject, text) => {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to,
-    subject,
-    text,
-  };
+  if (!global.emailWorking) {
+    console.log('Email not working - skipping notification to:', to);
+    return { success: false, reason: 'Email service not working' };
+  }
 
   try {
-    await transporter.sendMail(mailOptions);
+    await global.transporter.sendMail({
+      from: process.env.EMAIL_USER || 'noreply@taskpilot.com',
+      to,
+      subject,
+      text,
+    });
     console.log('Email sent successfully to:', to);
+    return { success: true };
   } catch (error) {
     console.error('Failed to send email to', to, ':', error);
-    throw new Error('Failed to send task notification email');
+    return { success: false, reason: error.message };
   }
 };
 
-module.exports = { sendTaskNotification };
\ No newline at end of file
+// Emails for the usual work item notifications
+
+const sendAssignmentNotification = async (worker, workItem) => {
+  console.log('Sending notification to worker:', worker.email);
+  const deadlineDate = new Date(workItem.deadline);
+
+  return await sendTaskNotification(
+    worker.email,
+    'New Task Assigned - TaskPilot',
+    `Hello ${worker.name},
+
+You have been assigned a new task:
+
+Task: ${workItem.task}
+${workItem.description ? `Description: ${workItem.description}` : ''}
+Instructions: ${workItem.instructions}
+Deadline: ${deadlineDate.toLocaleDateString()} at ${deadlineDate.toLocaleTimeString()}
+
+This task has been added to your Google Calendar (if connected).
+
+Please log into TaskPilot to view and complete this task.
+
+Best regards,
+TaskPilot Team`
+  );
+};
+
+const sendTeamQueueNotification = async (member, team, workItem) => {
+  return await sendTaskNotification(
+    member.email,
+    `New task in the ${team.name} queue - TaskPilot`,
+    `Hello ${member.name},
+
+A new task is waiting in the ${team.name} team queue:
+
+Task: ${workItem.task}
+Deadline: ${new Date(workItem.deadline).toLocaleDateString()}
+
+Any team member can claim it. Please log into TaskPilot to view and claim this task.
+
+Best regards,
+TaskPilot Team`
+  );
+};
+
+const formatDeadline = (deadline) => {
+  const deadlineDate = new Date(deadline);
+  return `${deadlineDate.toLocaleDateString()} at ${deadlineDate.toLocaleTimeString()}`;
+};
+
+const formatTimeLeft = (minutes) => {
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} day(s)`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour(s)`;
+  return `${minutes} minute(s)`;
+};
+
+const sendDeadlineReminder = async (worker, workItem, offsetMinutes) => {
+  return await sendTaskNotification(
+    worker.email,
+    `Reminder: "${workItem.task}" is due in ${formatTimeLeft(offsetMinutes)} - TaskPilot`,
+    `Hello ${worker.name},
+
+This is a reminder that your task is due soon:
+
+Task: ${workItem.task}
+Deadline: ${formatDeadline(workItem.deadline)}
+
+Please log into TaskPilot to submit your work before the deadline.
+
+Best regards,
+TaskPilot Team`
+  );
+};
+
+const sendOverdueNotice = async (worker, workItem) => {
+  return await sendTaskNotification(
+    worker.email,
+    `Overdue: "${workItem.task}" - TaskPilot`,
+    `Hello ${worker.name},
+
+The deadline for your task has passed and it has not been submitted yet:
+
+Task: ${workItem.task}
+Deadline: ${formatDeadline(workItem.deadline)}
+
+Please log into TaskPilot and submit your work as soon as possible.
+
+Best regards,
+TaskPilot Team`
+  );
+};
+
+const sendOverdueEscalation = async (assigner, workItem, graceHours) => {
+  const assignee = workItem.worker
+    ? `${workItem.worker.name} (${workItem.worker.email})`
+    : `the ${workItem.team ? workItem.team.name : 'team'} queue (not claimed yet)`;
+
+  return await sendTaskNotification(
+    assigner.email,
+    `Escalation: "${workItem.task}" is overdue - TaskPilot`,
+    `Hello ${assigner.name},
+
+A task you assigned is still not submitted more than ${graceHours} hour(s) after its deadline:
+
+Task: ${workItem.task}
+Assigned to: ${assignee}
+Deadline: ${formatDeadline(workItem.deadline)}
+Status: ${workItem.status}
+
+Please follow up in TaskPilot.
+
+Best regards,
+TaskPilot Team`
+  );
+};
+
+const sendUnblockedNotification = async (worker, workItem, blocker) => {
+  return await sendTaskNotification(
+    worker.email,
+    `Ready to start: "${workItem.task}" - TaskPilot`,
+    `Hello ${worker.name},
+
+The last task your work was waiting on has been approved, so you can start now:
+
+Task: ${workItem.task}
+Deadline: ${formatDeadline(workItem.deadline)}
+Prerequisite approved: ${blocker.task}
+
+Please log into TaskPilot to get started.
+
+Best regards,
+TaskPilot Team`
+  );
+};
+
+module.exports = {
+  sendTaskNotification,
+  sendAssignmentNotification,
+  sendTeamQueueNotification,
+  sendDeadlineReminder,
+  sendOverdueNotice,
+  sendOverdueEscalation,
+  sendUnblockedNotification
+};
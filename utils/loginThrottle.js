@@ -0,0 +1,31 @@
+// utils/loginThrottle.js - Limits and back-off for login attempts
+const config = {
+  // Failures allowed before any delay kicks in
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3,
+  // Account is locked after this many consecutive failures
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  // Failures from one IP inside the window before it is blocked
+  maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+  maxDelaySeconds: 30
+};
+
+// 1s, 2s, 4s ... after the free attempts are used up
+const delayForFailures = (failures) => {
+  if (failures < config.freeAttempts) return 0;
+  return Math.min(2 ** (failures - config.freeAttempts), config.maxDelaySeconds);
+};
+
+// Seconds the caller still has to wait, or 0 if they may try again
+const secondsUntilNextAttempt = (failures, lastFailedAt) => {
+  const delay = delayForFailures(failures);
+  if (!delay || !lastFailedAt) return 0;
+
+  const readyAt = new Date(lastFailedAt).getTime() + delay * 1000;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+};
+
+const windowStart = () => new Date(Date.now() - config.windowMinutes * 60 * 1000).toISOString();
+
+module.exports = { config, delayForFailures, secondsUntilNextAttempt, windowStart };
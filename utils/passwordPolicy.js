@@ -0,0 +1,31 @@
+// utils/passwordPolicy.js - Configurable password rules
+const policy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  requireComplexity: process.env.PASSWORD_REQUIRE_COMPLEXITY !== 'false',
+  historyCount: process.env.PASSWORD_HISTORY_COUNT !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY_COUNT, 10) || 0
+    : 5
+};
+
+// Returns a list of human readable problems; empty when the password is acceptable
+const validatePassword = (password) => {
+  const errors = [];
+
+  if (!password || typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`be at least ${policy.minLength} characters long`);
+  }
+
+  if (policy.requireComplexity) {
+    if (!/[a-z]/.test(password)) errors.push('contain a lowercase letter');
+    if (!/[A-Z]/.test(password)) errors.push('contain an uppercase letter');
+    if (!/[0-9]/.test(password)) errors.push('contain a number');
+  }
+
+  return errors.length ? [`Password must ${errors.join(', ')}`] : [];
+};
+
+module.exports = { policy, validatePassword };
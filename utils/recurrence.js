@@ -0,0 +1,196 @@
+// utils/recurrence.js - Subset of iCalendar (RFC 5545) RRULEs used by recurring schedules
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly), BYMONTHDAY
+// (monthly, negative values count from the end of the month), COUNT and UNTIL.
+// All dates are computed in UTC; the time of day comes from the series start.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stop looking for the next occurrence after this many periods (e.g. BYMONTHDAY=31 every 12 months from April)
+const MAX_PERIODS = 10000;
+
+const parsePositiveInt = (key, value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${key} must be a positive whole number`);
+  }
+  return number;
+};
+
+// UNTIL as 20250131, 20250131T170000Z or any ISO date
+const parseUntil = (value) => {
+  const basic = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = basic
+    ? new Date(Date.UTC(+basic[1], +basic[2] - 1, +basic[3], basic[4] ? +basic[4] : 23, basic[5] ? +basic[5] : 59, basic[6] ? +basic[6] : 59))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new Error('UNTIL must be a valid date');
+  }
+  return date;
+};
+
+const parseRule = (text) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw new Error(`Invalid recurrence rule part: ${part}`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parsePositiveInt('INTERVAL', parts.INTERVAL) : 1,
+    byDay: null,
+    byMonthDay: null,
+    count: null,
+    until: null
+  };
+
+  if (parts.BYDAY) {
+    if (rule.freq !== 'WEEKLY') {
+      throw new Error('BYDAY is only supported for weekly rules');
+    }
+    const days = parts.BYDAY.split(',');
+    const unknown = days.filter(day => !WEEKDAYS.includes(day));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown weekday(s) in BYDAY: ${unknown.join(', ')}`);
+    }
+    rule.byDay = [...new Set(days)];
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== 'MONTHLY') {
+      throw new Error('BYMONTHDAY is only supported for monthly rules');
+    }
+    rule.byMonthDay = [...new Set(parts.BYMONTHDAY.split(',').map(day => {
+      const number = Number(day);
+      if (!Number.isInteger(number) || number === 0 || number < -31 || number > 31) {
+        throw new Error('BYMONTHDAY values must be between 1 and 31 or -31 and -1');
+      }
+      return number;
+    }))];
+  }
+
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error('A recurrence rule cannot have both COUNT and UNTIL');
+  }
+
+  if (parts.COUNT) rule.count = parsePositiveInt('COUNT', parts.COUNT);
+  if (parts.UNTIL) rule.until = parseUntil(parts.UNTIL);
+
+  return rule;
+};
+
+// Normalized RRULE text for storage
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+};
+
+// Candidate dates in order, before COUNT/UNTIL are applied
+function* candidates(rule, start) {
+  const timeOfDay = start.getTime() - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+
+  if (rule.freq === 'DAILY') {
+    for (let period = 0; period < MAX_PERIODS * 10; period++) {
+      yield new Date(start.getTime() + period * rule.interval * DAY_MS);
+    }
+    return;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const mondayOffset = (day) => (day + 6) % 7;
+    const weekStart = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()) -
+      mondayOffset(start.getUTCDay()) * DAY_MS;
+    const offsets = (rule.byDay || [WEEKDAYS[start.getUTCDay()]])
+      .map(day => mondayOffset(WEEKDAYS.indexOf(day)))
+      .sort((a, b) => a - b);
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+      const base = weekStart + period * rule.interval * 7 * DAY_MS;
+      for (const offset of offsets) {
+        yield new Date(base + offset * DAY_MS + timeOfDay);
+      }
+    }
+    return;
+  }
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const monthIndex = start.getUTCMonth() + period * rule.interval;
+    const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    // Days that don't exist in a month (e.g. the 31st in April) are skipped, as in RFC 5545
+    const days = [...new Set((rule.byMonthDay || [start.getUTCDate()])
+      .map(day => (day > 0 ? day : daysInMonth + day + 1))
+      .filter(day => day >= 1 && day <= daysInMonth))]
+      .sort((a, b) => a - b);
+
+    for (const day of days) {
+      yield new Date(Date.UTC(year, month, day) + timeOfDay);
+    }
+  }
+}
+
+// Every occurrence of the series starting at `start`, honouring COUNT and UNTIL
+function* occurrences(rule, start) {
+  let emitted = 0;
+  for (const candidate of candidates(rule, start)) {
+    if (candidate < start) continue;
+    if (rule.until && candidate > rule.until) return;
+    yield candidate;
+    emitted += 1;
+    if (rule.count && emitted >= rule.count) return;
+  }
+}
+
+// First occurrence at or after `from`, or null once the series has ended
+const nextOccurrence = (rule, start, from) => {
+  for (const occurrence of occurrences(rule, start)) {
+    if (occurrence >= from) return occurrence;
+  }
+  return null;
+};
+
+// The next `limit` occurrences at or after `from`
+const upcomingOccurrences = (rule, start, from, limit) => {
+  const upcoming = [];
+  for (const occurrence of occurrences(rule, start)) {
+    if (upcoming.length >= limit) break;
+    if (occurrence >= from) upcoming.push(occurrence);
+  }
+  return upcoming;
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseRule,
+  formatRule,
+  occurrences,
+  nextOccurrence,
+  upcomingOccurrences
+};
@@ -0,0 +1,13 @@
+// utils/request.js - Helpers for reading client details off a request
+
+// Express works out req.ip from X-Forwarded-For only as far as the 'trust proxy'
+// setting allows (see TRUST_PROXY_HOPS in server.js). Reading the header directly
+// would let a client name any address, e.g. to get around the login throttle.
+const getClientIp = (req) => req.ip || (req.socket && req.socket.remoteAddress) || null;
+
+const getUserAgent = (req) => {
+  const userAgent = req.headers['user-agent'];
+  return userAgent ? userAgent.substring(0, 255) : null;
+};
+
+module.exports = { getClientIp, getUserAgent };
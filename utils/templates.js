@@ -0,0 +1,90 @@
+// utils/templates.js - Placeholder rendering and relative deadlines for task templates
+//
+// Placeholders look like {{worker.name}}; whitespace inside the braces is ignored.
+// Relative deadlines look like "+3 business days", "+2 weeks" or "+4 hours".
+// Calendar values ({{month}}, {{date}}, ...) and business days are computed in UTC.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const VARIABLES = {
+  'worker.name': ({ worker }) => worker && worker.name,
+  'worker.email': ({ worker }) => worker && worker.email,
+  'team.name': ({ team }) => team && team.name,
+  'assigner.name': ({ assigner }) => assigner && assigner.name,
+  date: ({ now }) => now.toISOString().slice(0, 10),
+  month: ({ now }) => now.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' }),
+  year: ({ now }) => String(now.getUTCFullYear()),
+  deadline: ({ deadline }) => deadline && new Date(deadline).toISOString().slice(0, 10)
+};
+
+const RELATIVE_DEADLINE_PATTERN = /^\+\s*(\d+)\s*(minute|hour|day|business day|week|month)s?$/i;
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+const MAX_RELATIVE_AMOUNT = 1000;
+
+const findPlaceholders = (text) => [...new Set([...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+// Throws on placeholders that render() would not know how to fill
+const validatePlaceholders = (text) => {
+  const unknown = findPlaceholders(text).filter(name => !VARIABLES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown template placeholder: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+  }
+};
+
+const render = (text, context) => {
+  if (!text) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const resolve = VARIABLES[name];
+    if (!resolve) {
+      throw new Error(`Unknown template placeholder: {{${name}}}`);
+    }
+    const value = resolve({ now: new Date(), ...context });
+    if (value === undefined || value === null) {
+      throw new Error(`Template placeholder {{${name}}} has no value for this assignment`);
+    }
+    return value;
+  });
+};
+
+// "+3 business days" -> { amount: 3, unit: 'business day' }
+const parseRelativeDeadline = (text) => {
+  const match = RELATIVE_DEADLINE_PATTERN.exec(typeof text === 'string' ? text.trim() : '');
+  if (!match || Number(match[1]) > MAX_RELATIVE_AMOUNT) {
+    throw new Error('Default deadline must look like "+3 business days" (minutes, hours, days, business days, weeks or months)');
+  }
+  return { amount: Number(match[1]), unit: match[2].toLowerCase() };
+};
+
+const formatRelativeDeadline = ({ amount, unit }) => `+${amount} ${unit}${amount === 1 ? '' : 's'}`;
+
+// Business days skip Saturdays and Sundays and keep the time of day
+const resolveRelativeDeadline = (text, from = new Date()) => {
+  const { amount, unit } = parseRelativeDeadline(text);
+  const date = new Date(from.getTime());
+
+  if (unit === 'business day') {
+    let remaining = amount;
+    while (remaining > 0) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) remaining -= 1;
+    }
+    return date;
+  }
+
+  if (unit === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + amount);
+    return date;
+  }
+
+  return new Date(date.getTime() + amount * UNIT_MS[unit]);
+};
+
+module.exports = {
+  VARIABLES: Object.keys(VARIABLES),
+  findPlaceholders,
+  validatePlaceholders,
+  render,
+  parseRelativeDeadline,
+  formatRelativeDeadline,
+  resolveRelativeDeadline
+};
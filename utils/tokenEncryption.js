@@ -0,0 +1,93 @@
+// utils/tokenEncryption.js - AES-256-GCM encryption for OAuth tokens stored in the database
+//
+// TOKEN_ENCRYPTION_KEYS is a comma-separated list of id:key pairs, each key 32
+// bytes as base64 or hex, e.g. "2025b:BASE64...,2025a:BASE64...". The first key
+// encrypts; the rest can only decrypt. To rotate, put a new key first, run
+// `npm run tokens:rotate`, then drop the old key.
+//
+// Stored form: enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, all base64. Tokens
+// saved before encryption were encrypted by migration 026, so a value without
+// the prefix is refused rather than used as a token.
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let cached = { source: null, keys: [] };
+
+const parseKey = (id, value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (!/^[\w.-]+$/.test(id)) {
+    throw new Error(`Token encryption key id "${id}" may only contain letters, digits, ".", "_" and "-"`);
+  }
+  if (key.length !== 32) {
+    throw new Error(`Token encryption key "${id}" must be 32 bytes (base64 or hex)`);
+  }
+  return { id, key };
+};
+
+// Keys from the environment, current key first
+const getKeys = () => {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  if (cached.source !== source) {
+    const keys = source.split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        if (separator < 1) {
+          throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like id:key');
+        }
+        return parseKey(entry.slice(0, separator), entry.slice(separator + 1));
+      });
+    cached = { source, keys };
+  }
+  return cached.keys;
+};
+
+const isConfigured = () => getKeys().length > 0;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const [current] = getKeys();
+  if (!current) {
+    throw new Error('Token encryption key is not configured (TOKEN_ENCRYPTION_KEYS)');
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [PREFIX, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decrypt = (value) => {
+  if (value === null || value === undefined) return value;
+  if (!isEncrypted(value)) {
+    throw new Error('Stored token is not encrypted');
+  }
+
+  const [, , keyId, iv, tag, ciphertext] = value.split(':');
+  const entry = getKeys().find(key => key.id === keyId);
+  if (!entry) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Whether the value should be rewritten under the current key
+const needsRotation = (value) => {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+  const [current] = getKeys();
+  return !!current && value.split(':')[2] !== current.id;
+};
+
+module.exports = { encrypt, decrypt, isConfigured, isEncrypted, needsRotation };
@@ -0,0 +1,32 @@
+// utils/tokens.js - Access and refresh token helpers shared by the auth and users routes
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Short-lived JWT tied to a server-side session (sid) so it can be revoked
+const createAccessToken = (user, sessionId) => {
+  const tokenPayload = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    name: user.name,
+    sid: sessionId
+  };
+
+  return jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const createRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  createAccessToken,
+  createRefreshToken,
+  hashToken
+};